@@ -0,0 +1,189 @@
+/**
+ * API keys and rate limits for the scan endpoints (server only).
+ * Keys come from a JSON file and/or an environment variable; once at least
+ * one is configured, every request must send one as `X-API-Key: <key>` or
+ * `Authorization: Bearer <key>` (401 otherwise). Requests are throttled with
+ * token buckets — per key for authenticated clients, per IP address for
+ * everyone else — and answered 429 with Retry-After when the bucket is empty.
+ * Usage counters per key live in memory and reset on restart.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { apiError, sendError } = require('./messages');
+
+const hash = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Read key definitions.
+ * @param {{ file?: string|null, env?: string }} sources
+ *   file — JSON: [{ key, name?, limit?, admin? }] or { keys: [...] }
+ *   env  — comma-separated "name:key" or bare keys
+ * @returns {Array<{ name: string, key: string, limit: number|null, admin: boolean }>}
+ *   throws on unreadable files and keys shorter than 16 characters
+ */
+function loadApiKeys({ file = null, env = '' } = {}) {
+  const defs = [];
+  if (file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    defs.push(...(Array.isArray(parsed) ? parsed : parsed.keys || []));
+  }
+  String(env || '').split(',').map(s => s.trim()).filter(Boolean).forEach(item => {
+    const i = item.indexOf(':');
+    defs.push(i > 0 ? { name: item.slice(0, i), key: item.slice(i + 1) } : { key: item });
+  });
+  const names = new Set();
+  return defs.map((d, i) => {
+    if (!d || typeof d.key !== 'string' || d.key.length < 16) {
+      throw new Error('API key #' + (i + 1) + ' must be a string of at least 16 characters');
+    }
+    const name = String(d.name || 'key-' + (i + 1));
+    if (names.has(name)) throw new Error('duplicate API key name "' + name + '"');
+    names.add(name);
+    return { name, key: d.key, limit: Number(d.limit) || null, admin: !!d.admin };
+  });
+}
+
+/**
+ * Token buckets refilling `limit` tokens per `windowMs`; full buckets are
+ * dropped periodically so one-off clients do not accumulate.
+ */
+function createBuckets(windowMs) {
+  const buckets = new Map(); // id → { tokens, limit, updated }
+
+  function refill(b, now) {
+    b.tokens = Math.min(b.limit, b.tokens + (now - b.updated) * b.limit / windowMs);
+    b.updated = now;
+  }
+
+  /**
+   * Take one token. Extra cost charged later (see charge()) may drive a
+   * bucket negative, which delays the client's next requests.
+   * @returns {{ ok: boolean, remaining: number, retryAfter: number }}
+   */
+  function take(id, limit) {
+    const now = Date.now();
+    let b = buckets.get(id);
+    if (!b) {
+      b = { tokens: limit, limit, updated: now };
+      buckets.set(id, b);
+    }
+    b.limit = limit;
+    refill(b, now);
+    if (b.tokens < 1) {
+      return { ok: false, remaining: 0, retryAfter: Math.ceil((1 - b.tokens) * windowMs / limit / 1000) };
+    }
+    b.tokens -= 1;
+    return { ok: true, remaining: Math.floor(b.tokens), retryAfter: 0 };
+  }
+
+  function charge(id, cost) {
+    const b = buckets.get(id);
+    if (b) b.tokens -= cost;
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((b, id) => {
+      refill(b, now);
+      if (b.tokens >= b.limit) buckets.delete(id);
+    });
+  }, windowMs).unref();
+
+  return { take, charge };
+}
+
+/**
+ * @param {{ keys?: Array<object>, keyLimit?: number, ipLimit?: number, windowMs?: number }} [options]
+ *   keys     — from loadApiKeys(); none = no authentication
+ *   keyLimit — requests per window and key (a key's own `limit` wins); 0 = unlimited
+ *   ipLimit  — requests per window and IP address without a valid key; 0 = unlimited;
+ *              by default DEFAULT_IP_LIMIT with keys configured, unlimited without
+ * The IP limit keys on req.ip: behind a reverse proxy without Express's
+ * "trust proxy" setting every client shares the proxy's bucket, which is
+ * logged once.
+ */
+const DEFAULT_IP_LIMIT = 30;
+
+function createApiAuth({ keys = [], keyLimit = 120, ipLimit, windowMs = 60 * 1000 } = {}) {
+  const clients = new Map(); // sha256(key) → { name, limit, admin, usage }
+  keys.forEach(k => clients.set(hash(k.key), {
+    name: k.name,
+    limit: k.limit || keyLimit,
+    admin: k.admin,
+    usage: { requests: 0, images: 0, bytes: 0, limited: 0, lastUsed: null },
+  }));
+  const enabled = clients.size > 0;
+  if (ipLimit === undefined || ipLimit === null) ipLimit = enabled ? DEFAULT_IP_LIMIT : 0;
+  const buckets = createBuckets(windowMs);
+  let warnedProxy = false;
+
+  /** Key sent with the request, or null. */
+  function sentKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+    const bearer = /^Bearer\s+(\S+)/i.exec(req.get('authorization') || '');
+    return bearer ? bearer[1] : null;
+  }
+
+  const reject = (req, res, status, id, params) => sendError(req, res, apiError(status, id, params));
+
+  /**
+   * Express middleware: authenticate, then take a token from the key's or
+   * the IP's bucket. Sets `req.apiClient` = { name, admin, record(images, bytes) };
+   * name and admin are null / false for anonymous clients.
+   */
+  function middleware() {
+    return (req, res, next) => {
+      const key = sentKey(req);
+      const client = key ? clients.get(hash(key)) || null : null;
+      const bucketId = client ? 'key:' + client.name : 'ip:' + req.ip;
+      const limit = client ? client.limit : ipLimit;
+      if (!client && limit > 0 && !warnedProxy && req.get('x-forwarded-for') && !req.app.get('trust proxy')) {
+        warnedProxy = true;
+        console.warn('[auth] X-Forwarded-For without TRUST_PROXY: the per-IP rate limit sees only the proxy address');
+      }
+
+      if (limit > 0) {
+        const taken = buckets.take(bucketId, limit);
+        res.setHeader('X-RateLimit-Limit', String(limit));
+        res.setHeader('X-RateLimit-Remaining', String(taken.remaining));
+        if (!taken.ok) {
+          if (client) client.usage.limited++;
+          res.setHeader('Retry-After', String(taken.retryAfter));
+          return reject(req, res, 429, 'rate_limited', { seconds: taken.retryAfter });
+        }
+      }
+      // failed attempts count against the IP bucket above, which slows down guessing
+      if (enabled && !client) return reject(req, res, 401, key ? 'invalid_api_key' : 'api_key_required');
+
+      if (client) {
+        client.usage.requests++;
+        client.usage.lastUsed = new Date().toISOString();
+      }
+      req.apiClient = {
+        name: client ? client.name : null,
+        admin: client ? client.admin : false,
+        /** Count uploaded images; a batch costs one token per image. */
+        record(images, bytes) {
+          if (client) {
+            client.usage.images += images;
+            client.usage.bytes += bytes;
+          }
+          if (limit > 0 && images > 1) buckets.charge(bucketId, images - 1);
+        },
+      };
+      next();
+    };
+  }
+
+  /** Usage counters per key, optionally only those of `name`. */
+  function usage(name = null) {
+    return Array.from(clients.values())
+      .filter(c => name === null || c.name === name)
+      .map(c => Object.assign({ name: c.name, limit: c.limit }, c.usage));
+  }
+
+  return { enabled, windowMs, middleware, usage };
+}
+
+module.exports = { loadApiKeys, createApiAuth };
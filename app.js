@@ -3,298 +3,502 @@ const canvas = document.getElementById('canvas');
 const ctx = canvas.getContext('2d');
 let scanning = false;
 
-// when a barcode is decoded we may receive an array of corner points
-// keep the last set so we can draw a frame on the next animation frame
-let lastCorners = null;
-// hidden processing canvas so OpenCV doesn't overwrite the visible overlay
+// codes of the last completed scan cycle: DecoderChain results
+// [{ text, points, decoder, … }] plus undecoded OpenCV candidates (text null);
+// kept so the overlay can redraw their borders on every animation frame
+let lastDetections = [];
+// hidden canvas holding the full-resolution still image (and frames when no worker)
 const procCanvas = document.createElement('canvas');
 const pctx = procCanvas.getContext('2d', { willReadFrequently: true });
-let cvReady = false;
 
-function ensureCvReady() {
-  if (cvReady) return;
-  if (typeof cv === 'undefined') return;
+// ─── Overlay ─────────────────────────────────────────────────────────────────
 
-  // Some OpenCV.js builds expose a `cv` object before the WASM runtime is
-  // fully initialised. A lightweight "smoke test" is the most reliable
-  // indicator: try to construct a small `cv.Mat` and delete it. If that
-  // succeeds, the runtime is ready.
-  try {
-    const t = new cv.Mat();
-    if (t && typeof t.delete === 'function') {
-      t.delete();
-      cvReady = true;
-      console.info('OpenCV: runtime ready (smoke test)');
-      return;
-    }
-  } catch (e) {
-    // Not ready yet — fall through to attach hooks
+/**
+ * Draw a closed polygon border on the overlay canvas.
+ * @param {Array<{x,y}>} corners
+ * @param {string} color  CSS colour string
+ */
+function drawDetectionBorder(corners, color = '#FF5722', label = null) {
+  if (!corners || corners.length < 2) return;
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(3, Math.round(canvas.width * 0.004));
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  for (let i = 1; i < corners.length; i++) ctx.lineTo(corners[i].x, corners[i].y);
+  ctx.closePath();
+  ctx.stroke();
+
+  // numbered tag above the top-left of the polygon, matching the result list
+  if (label !== null) {
+    const size = Math.max(14, Math.round(canvas.width * 0.025));
+    const x = Math.min(...corners.map(p => p.x));
+    const y = Math.max(size * 1.3, Math.min(...corners.map(p => p.y)));
+    ctx.font = 'bold ' + size + 'px sans-serif';
+    ctx.textBaseline = 'middle';
+    const w = ctx.measureText(label).width + size * 0.6;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y - size * 1.3, w, size * 1.3);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(label, x + size * 0.3, y - size * 0.65);
   }
+  ctx.restore();
+}
 
-  // Attach robust onRuntimeInitialized hooks to `cv` and global `Module` (if
-  // available). Preserve any existing handlers.
-  const attachHook = (obj, name) => {
-    try {
-      const prev = obj[name];
-      obj[name] = function() {
-        try { if (typeof prev === 'function') prev(); } catch (e) {}
-        try {
-          const t2 = new cv.Mat();
-          if (t2 && typeof t2.delete === 'function') t2.delete();
-        } catch (_) {}
-        cvReady = true;
-        console.info('OpenCV: runtime initialised (' + name + ')');
-      };
-    } catch (e) {
-      // ignore
-    }
-  };
+// expected-code validation (validation.js); colours decoded codes pass / fail
+let validationView = null;
+const VERDICT_COLORS = { pass: '#4CAF50', fail: '#F44336' };
 
-  if (typeof cv !== 'undefined') attachHook(cv, 'onRuntimeInitialized');
-  if (typeof Module !== 'undefined') attachHook(Module, 'onRuntimeInitialized');
+/**
+ * Draw all detections; decoded codes are labelled with their 1-based
+ * position in the result list and, in validation mode, drawn green / red.
+ * Live codes still waiting for confirmation (ScanVoting) are grey and unlabelled.
+ */
+function drawDetections(detections, color = '#FF5722') {
+  let n = 0;
+  detections.forEach(d => {
+    if (d.pending) return drawDetectionBorder(d.points, '#9E9E9E');
+    const verdict = d.text && validationView ? validationView.verdict(d.text) : null;
+    drawDetectionBorder(d.points, VERDICT_COLORS[verdict] || color, d.text ? String(++n) : null);
+  });
 }
 
-// ZXing pure-JS decoder wrapper (DataMatrix)
-function decodeWithZXing(imgData) {
-  if (typeof window.ZXingLib === 'undefined') return null;
-  try {
-    const ZX = window.ZXingLib;
-    const RGB = ZX.RGBLuminanceSource;
-    const Hybrid = ZX.HybridBinarizer;
-    const BinaryBitmap = ZX.BinaryBitmap;
-    const DataMatrixReader = ZX.DataMatrixReader;
-    if (!RGB || !Hybrid || !BinaryBitmap || !DataMatrixReader) return null;
-    const src = new RGB(imgData.data, imgData.width, imgData.height);
-    const bitmap = new BinaryBitmap(new Hybrid(src));
-    const reader = new DataMatrixReader();
-    const res = reader.decode(bitmap);
-    if (!res) return null;
-    const text = (typeof res.getText === 'function') ? res.getText() : (res.text || res.getResult ? res.getResult() : null);
-    let pts = null;
-    if (typeof res.getResultPoints === 'function') {
-      const rp = res.getResultPoints();
-      if (rp && rp.length) pts = Array.from(rp).map(p => ({ x: (p.getX ? p.getX() : p.x), y: (p.getY ? p.getY() : p.y) }));
-    }
-    return { text, points: pts, raw: res };
-  } catch (e) {
-    // decode throws when nothing found; ignore
-    return null;
+// ─── Debug overlay ───────────────────────────────────────────────────────────
+
+/**
+ * Debug overlay ("Debug" button, remembered across reloads): shows what the
+ * OpenCV pipeline saw — the binary image of opencvPreprocess, every contour
+ * quad it considered (accepted cyan, rejected magenta dashed) and the warped
+ * 400×400 patch. The frame worker only builds the trace while it is on.
+ */
+let debugOverlay = localStorage.getItem('debug-overlay') === '1';
+// { binary, quads: [{ corners, accepted, reason? }], patch, offsetX, offsetY } or null
+let lastTrace = null;
+// reasons with a message 'debug.reason.<reason>'; others are shown as they are
+const REJECT_REASONS = ['concave', 'aspect', 'limit'];
+
+/** Rejected quads of the last trace; accepted ones are the cyan candidates. */
+function drawTrace() {
+  if (!debugOverlay || !lastTrace) return;
+  const { offsetX = 0, offsetY = 0 } = lastTrace;
+  ctx.save();
+  ctx.strokeStyle = '#E040FB';
+  ctx.lineWidth = Math.max(1, Math.round(canvas.width * 0.002));
+  ctx.setLineDash([6, 4]);
+  lastTrace.quads.filter(q => !q.accepted).forEach(({ corners }) => {
+    ctx.beginPath();
+    corners.forEach((p, i) => (i ? ctx.lineTo : ctx.moveTo).call(ctx, p.x + offsetX, p.y + offsetY));
+    ctx.closePath();
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+function putTraceImage(target, imgData) {
+  if (!target) return;
+  if (!imgData) {
+    target.getContext('2d').clearRect(0, 0, target.width, target.height);
+    return;
   }
+  target.width = imgData.width;
+  target.height = imgData.height;
+  target.getContext('2d').putImageData(imgData, 0, 0);
 }
 
-// libdmtx (C library) wrapper — loader exposes window.LibDmtx.scanImageData(imgData)
-// Server-side scan: POST frame to server endpoint /api/scan
-async function decodeWithServer(imgData) {
-  try {
-    // convert ImageData to Blob (PNG) for upload
-    const off = document.createElement('canvas');
-    off.width = imgData.width;
-    off.height = imgData.height;
-    const octx = off.getContext('2d');
-    octx.putImageData(imgData, 0, 0);
-    const blob = await new Promise(resolve => off.toBlob(resolve, 'image/png'));
-    const fd = new FormData();
-    fd.append('image', blob, 'frame.png');
-
-    const resp = await fetch('/api/scan', { method: 'POST', body: fd });
-    if (!resp.ok) {
-      const j = await resp.json().catch(() => ({}));
-      console.warn('server scan failed', resp.status, j);
-      return null;
-    }
-    const j = await resp.json();
-    // Expect { ok: true, results: [ { text, points } ] }
-    return j.results || null;
-  } catch (e) {
-    console.warn('decodeWithServer error', e);
-    return null;
+/** Show a trace from the frame worker in the debug panel; null clears it. */
+function showTrace(trace, note = '') {
+  if (!debugOverlay) return;
+  lastTrace = trace;
+  putTraceImage(document.getElementById('debug-binary'), trace && trace.binary);
+  putTraceImage(document.getElementById('debug-patch'), trace && trace.patch);
+  const info = document.getElementById('debug-info');
+  if (!trace) {
+    info.textContent = t('debug.noTrace');
+    return;
   }
+  const rejected = {};
+  trace.quads.filter(q => !q.accepted).forEach(q => { rejected[q.reason] = (rejected[q.reason] || 0) + 1; });
+  const accepted = trace.quads.filter(q => q.accepted).length;
+  const reasons = Object.keys(rejected)
+    .map(r => (REJECT_REASONS.includes(r) ? t('debug.reason.' + r) : r) + ' ' + rejected[r]).join(', ');
+  info.textContent = t('debug.summary', { quads: trace.quads.length, accepted })
+    + (reasons ? ' · ' + t('debug.rejected', { reasons }) : '') + (note ? ' · ' + note : '');
 }
 
-// Backwards-compatible alias used in places where libdmtx was previously tried
-function decodeWithLibDmtx(imgData) { return decodeWithServer(imgData); }
+function setDebugOverlay(on) {
+  debugOverlay = on;
+  localStorage.setItem('debug-overlay', on ? '1' : '0');
+  if (!on) lastTrace = null;
+  document.getElementById('debug-panel')?.classList.toggle('hidden', !on);
+  document.getElementById('debug-toggle')?.setAttribute('aria-pressed', String(on));
+}
 
-// ─── OpenCV helpers (added for robust DataMatrix detection) ────────────────
+// ─── Frame worker ────────────────────────────────────────────────────────────
 
 /**
- * Sort 4 arbitrary corner points into [TL, TR, BR, BL] order.
- * Uses coordinate sums / differences (robust for axis-aligned and rotated quads).
+ * Live frames are preprocessed and decoded in frame-worker.js; the main
+ * thread only grabs an ImageBitmap of the video and paints video and
+ * overlays. While the worker is busy, new frames are dropped rather than
+ * queued. Without worker support (no OffscreenCanvas / createImageBitmap)
+ * the decoder chain runs on the raw frame in the page instead.
  */
-function sortCorners(pts) {
-  // TL = min(x+y), BR = max(x+y)
-  const bySum = pts.slice().sort((a, b) => (a.x + a.y) - (b.x + b.y));
-  const tl = bySum[0];
-  const br = bySum[3];
-  // among the two middle points: TR has greater x, BL has lesser x
-  const mid = [bySum[1], bySum[2]].sort((a, b) => a.x - b.x);
-  const bl = mid[0];
-  const tr = mid[1];
-  return [tl, tr, br, bl];
-}
-
-/** Lazy CLAHE instance — created once after cv runtime is initialised. */
-let _clahe = null;
-function getCLAHE() {
-  if (_clahe) return _clahe;
+let frameWorker = null;
+if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
   try {
-    // clipLimit 2.0, tileSize 4×4 — better for small ECC 200 module grids
-    _clahe = new cv.CLAHE(2.0, new cv.Size(4, 4));
-  } catch (_) {
-    try { _clahe = cv.createCLAHE(2.0, new cv.Size(4, 4)); } catch (_) { /* not available */ }
+    frameWorker = new Worker('frame-worker.js');
+  } catch (e) {
+    console.warn('frame worker unavailable, decoding on the main thread', e);
+  }
+}
+let frameInFlight = null;   // id of the frame being scanned, null when idle
+let nextFrameId = 1;
+// OpenCV quads of the last scanned frame, outlined until the next result
+let lastCandidates = [];
+const _outlineRequests = new Map(); // id → resolve
+const _frameCrops = new Map();       // id → ROI crop { x, y, w, h } of a frame in flight
+
+frameWorker?.addEventListener('message', ({ data }) => {
+  if (data.type === 'frame') {
+    if (data.id === frameInFlight) frameInFlight = null;
+    if (data.error) console.warn('frame worker:', data.error);
+    const crop = _frameCrops.get(data.id) || null;
+    _frameCrops.delete(data.id);
+    onFrameResult(Object.assign(data, { crop }));
+  } else if (data.type === 'outline') {
+    _outlineRequests.get(data.id)?.(data);
+    _outlineRequests.delete(data.id);
+  } else if (data.type === 'ready') {
+    console.info('frame worker: OpenCV ' + (data.cv ? 'ready' : 'loading') + ', ZBar ' + (data.zbar ? 'ready' : 'missing'));
   }
-  return _clahe;
+});
+
+// a worker that failed to load never answers; fall back to the main thread
+frameWorker?.addEventListener('error', e => {
+  console.warn('frame worker failed, decoding on the main thread', e.message);
+  frameWorker.terminate();
+  frameWorker = null;
+  frameInFlight = null;
+  _frameCrops.clear();
+  _outlineRequests.forEach(resolve => resolve({ quads: [], trace: null }));
+  _outlineRequests.clear();
+});
+
+/**
+ * Candidate quads of a still image from the worker's OpenCV pipeline.
+ * @returns {Promise<{ quads: Array<Array<{x,y}>>, trace: object|null }>}
+ */
+function findQuadsInWorker(imgData, { trace = false } = {}) {
+  if (!frameWorker) return Promise.resolve({ quads: [], trace: null });
+  const id = nextFrameId++;
+  return new Promise(resolve => {
+    _outlineRequests.set(id, resolve);
+    frameWorker.postMessage({ type: 'outline', id, imgData, trace });
+  });
 }
 
 /**
- * Full preprocessing pipeline optimised for ECC 200 DataMatrix codes.
- * Input : RGBA cv.Mat (from cv.imread / procCanvas).
- * Output: single-channel binary cv.Mat — caller MUST .delete() it.
- * Pipeline: grayscale → CLAHE(2.0,4×4) → UnsharpMask → AdaptiveThreshold(21) → Morph-Close(3×3)
+ * Results of a live frame. `crop` is the ROI part of the frame that was
+ * scanned: points are moved back to frame coordinates and, with "Nur Codes
+ * im Rahmen", codes centred outside the reticle are dropped.
  */
-function opencvPreprocess(src) {
-  const gray = new cv.Mat();
-  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
-
-  // CLAHE: boosts local contrast on small module grids
-  const enhanced = new cv.Mat();
-  const clahe = getCLAHE();
-  if (clahe) {
-    clahe.apply(gray, enhanced);
+function onFrameResult({ detections, candidates, raw, trace = null, ms, crop = null }) {
+  if (!scanning) return; // stopped while the frame was in flight
+  const offsetX = crop ? crop.x : 0;
+  const offsetY = crop ? crop.y : 0;
+  if (offsetX || offsetY) {
+    const shift = points => points && points.map(p => ({ x: p.x + offsetX, y: p.y + offsetY }));
+    detections.forEach(d => { d.points = shift(d.points); });
+    candidates = candidates.map(shift);
+  }
+  if (crop) detections = LiveROI.filter(detections, video.videoWidth, video.videoHeight);
+  lastCandidates = candidates;
+  showTrace(trace && Object.assign(trace, { offsetX, offsetY }), ms !== undefined ? ms + ' ms' : '');
+  // history, validation and feedback follow the 'accepted' event (voting.js)
+  ScanVoting.push(detections, { source: frameSource, imgData: raw, offsetX, offsetY });
+  lastDetections = detections;                   // persist for next frame overlay; [] clears stale borders
+  const confirmed = detections.filter(d => d.text && !d.pending);
+  if (confirmed.length) {
+    showDecodedResults(confirmed);
+  } else if (detections.length) {
+    const { required } = ScanVoting.config();
+    const votes = Math.max(...detections.map(d => d.votes || 0));
+    document.getElementById('result').textContent = t('result.confirming', { votes, required });
   } else {
-    gray.copyTo(enhanced); // graceful degradation
+    document.getElementById('result').textContent = t('result.scanning');
   }
-  gray.delete();
-
-  // Unsharp mask: sharpen ECC 200 module edges before thresholding
-  // result = 1.5 * src - 0.5 * blur(src, sigma=3)
-  const blurTemp = new cv.Mat();
-  cv.GaussianBlur(enhanced, blurTemp, new cv.Size(0, 0), 3);
-  const sharpened = new cv.Mat();
-  cv.addWeighted(enhanced, 1.5, blurTemp, -0.5, 0, sharpened);
-  blurTemp.delete();
-  enhanced.delete();
-
-  // Adaptive threshold: robust to non-uniform illumination across the frame.
-  // blockSize=21 covers module sizes of 3–15 px (typical camera distances).
-  const binary = new cv.Mat();
-  cv.adaptiveThreshold(sharpened, binary, 255,
-    cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY, 21, 4);
-  sharpened.delete();
-
-  // Morphological closing: fill tiny holes/gaps in ECC 200 modules
-  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
-  const closed = new cv.Mat();
-  cv.morphologyEx(binary, closed, cv.MORPH_CLOSE, kernel);
-  kernel.delete();
-  binary.delete();
-
-  return closed; // single-channel binary
+}
+
+/** ROI crop of the camera frame when the reticle is on, else null (whole frame). */
+function liveCrop() {
+  if (frameSource !== 'camera' || !LiveROI.enabled()) return null;
+  return LiveROI.cropRect(video.videoWidth, video.videoHeight);
 }
 
 /**
- * Warp a detected quadrilateral to a 400×400 RGBA square.
- * corners = [TL, TR, BR, BL] from sortCorners().
- * Returns warped RGBA cv.Mat — caller MUST .delete() it.
+ * Hand the current video frame — or only its ROI crop — to the worker (or
+ * scan it here without one).
  */
-function warpToSquare(srcMat, corners, size = 400) {
-  const [tl, tr, br, bl] = corners;
-  const srcPts = cv.matFromArray(4, 1, cv.CV_32FC2, [
-    tl.x, tl.y,
-    tr.x, tr.y,
-    br.x, br.y,
-    bl.x, bl.y,
-  ]);
-  const dstPts = cv.matFromArray(4, 1, cv.CV_32FC2, [
-    0,    0,
-    size, 0,
-    size, size,
-    0,    size,
-  ]);
-  const M = cv.getPerspectiveTransform(srcPts, dstPts);
-  const warped = new cv.Mat();
-  cv.warpPerspective(srcMat, warped, M, new cv.Size(size, size));
-  srcPts.delete(); dstPts.delete(); M.delete();
-  return warped; // RGBA, size × size
+function scanVideoFrame() {
+  const id = nextFrameId++;
+  frameInFlight = id;
+  const crop = liveCrop();
+  const area = crop || { x: 0, y: 0, w: video.videoWidth, h: video.videoHeight };
+  if (frameWorker) {
+    if (crop) _frameCrops.set(id, crop);
+    createImageBitmap(video, area.x, area.y, area.w, area.h)
+      .then(bitmap => frameWorker.postMessage({
+        type: 'frame', id, bitmap, chain: DecoderChain.config(), trace: debugOverlay,
+      }, [bitmap]))
+      .catch(e => {
+        console.warn('cannot capture frame', e);
+        _frameCrops.delete(id);
+        if (frameInFlight === id) frameInFlight = null;
+      });
+    return;
+  }
+  procCanvas.width  = area.w;
+  procCanvas.height = area.h;
+  pctx.drawImage(video, area.x, area.y, area.w, area.h, 0, 0, area.w, area.h);
+  const raw = pctx.getImageData(0, 0, procCanvas.width, procCanvas.height);
+  DecoderChain.run(raw, { live: true })
+    .then(detections => onFrameResult({ detections, candidates: [], raw, crop }))
+    .finally(() => { if (frameInFlight === id) frameInFlight = null; });
 }
 
+// ─── Result rendering ────────────────────────────────────────────────────────
+
 /**
- * Convert an RGBA cv.Mat to an ImageData object.
- *
- * NOTE: We must copy the pixel bytes into a fresh Uint8ClampedArray whose
- * .buffer owns exactly width×height×4 bytes.  Passing a shared-buffer view
- * (new Uint8ClampedArray(wasm.memory.buffer, offset, len)) causes ImageData
- * to validate against the full 128 MB WebAssembly heap and throw
- * "data length does not match width and height".
+ * Build a labelled field table (GS1 AIs, 15434 data identifiers, …).
+ * rows: [{ id, title, value, valid, error?, date?, number? }]
+ * Invalid rows are flagged with their validation error as tooltip; dates
+ * and numbers are formatted for the UI language.
  */
-function matToImageData(rgbaMat) {
-  // new Uint8ClampedArray(typedArray) copies elements into a new, self-owned buffer
-  const pixels = new Uint8ClampedArray(rgbaMat.data);
-  return new ImageData(pixels, rgbaMat.cols, rgbaMat.rows);
+function renderFieldTable(captionText, idLabel, rows) {
+  const table = document.createElement('table');
+  table.className = 'field-table';
+  table.createCaption().textContent = captionText;
+  const head = table.createTHead().insertRow();
+  [idLabel, t('fields.title'), t('fields.value')].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(el => {
+    const row = body.insertRow();
+    if (!el.valid) {
+      row.className = 'invalid';
+      row.title = el.error;
+    }
+    row.insertCell().textContent = el.id;
+    row.insertCell().textContent = el.title;
+    row.insertCell().textContent = el.date ? I18n.formatDate(el.date)
+      : (el.number !== undefined ? I18n.formatNumber(el.number) : el.value);
+  });
+  return table;
+}
+
+function renderGS1Table(gs1) {
+  const rows = gs1.elements.map(el => Object.assign({}, el, { id: '(' + el.ai + ')' }));
+  return renderFieldTable(gs1.ok ? 'GS1' : t('gs1.invalid'), 'AI', rows);
+}
+
+// ISO/IEC 15415 parameters with a message 'grade.<id>'
+const GRADE_PARAMETERS = ['SC', 'MOD', 'RM', 'FPD', 'AN', 'GNU', 'UEC'];
+
+/** ISO/IEC 15415 grade report returned by /api/scan?verify=1. */
+function renderGradeReport(report) {
+  if (report.skipped || report.error) {
+    const div = document.createElement('div');
+    div.className = 'parse-errors';
+    if (report.skipped) div.textContent = t(report.code === 'queue_full' ? 'grade.skippedBusy' : 'grade.skipped');
+    else div.textContent = t('grade.unavailable', { error: report.error });
+    return div;
+  }
+  const rows = Object.entries(report.parameters).map(([id, p]) => {
+    let value = p.grade;
+    if (p.value !== undefined && p.value !== null) {
+      value += ' (' + I18n.formatNumber(p.value) + (id === 'SC' ? ' %' : '') + ')';
+    }
+    const title = GRADE_PARAMETERS.includes(id) ? t('grade.' + id) : id;
+    return { id, title, value, valid: p.gradeValue > 0, error: t('grade.failed') };
+  });
+  rows.push({ id: 'Decode', title: t('grade.decode'), value: report.decode, valid: report.decode !== 'F', error: t('grade.failed') });
+  const table = renderFieldTable(t('grade.caption', {
+    grade: report.grade,
+    size: report.symbolSize.replace('x', ' × '),
+    module: I18n.formatNumber(report.moduleSize),
+  }), t('grade.parameter'), rows);
+  table.classList.add('grade-report', 'grade-' + report.grade);
+  return table;
+}
+
+function renderISO15434(msg) {
+  const nodes = [];
+  const raw = document.createElement('div');
+  raw.className = 'raw-text';
+  raw.textContent = msg.display;
+  nodes.push(raw);
+  msg.segments.forEach(seg => {
+    const label = 'ISO/IEC 15434 · Format ' + seg.format + ' · ' + seg.name;
+    nodes.push(renderFieldTable(label, seg.format === '05' ? 'AI' : 'DI', seg.elements));
+  });
+  return nodes;
 }
 
 /**
- * Draw a closed polygon border on the overlay canvas.
- * @param {Array<{x,y}>} corners
- * @param {string} color  CSS colour string
+ * Run the content parsers on decoded text.
+ * fields — flat [{ id, title, value }] list used by history and exports.
  */
-function drawDetectionBorder(corners, color = '#FF5722') {
-  if (!corners || corners.length < 2) return;
-  ctx.save();
-  ctx.strokeStyle = color;
-  ctx.lineWidth = Math.max(3, Math.round(canvas.width * 0.004));
-  ctx.lineJoin = 'round';
-  ctx.beginPath();
-  ctx.moveTo(corners[0].x, corners[0].y);
-  for (let i = 1; i < corners.length; i++) ctx.lineTo(corners[i].x, corners[i].y);
-  ctx.closePath();
-  ctx.stroke();
-  ctx.restore();
+function parseContent(text) {
+  let iso15434 = null;
+  let gs1 = null;
+  if (typeof ISO15434 !== 'undefined' && ISO15434.isEnvelope(text)) iso15434 = ISO15434.parse(text);
+  else if (typeof GS1 !== 'undefined' && GS1.isGS1(text)) gs1 = GS1.parse(text);
+  const elements = iso15434
+    ? iso15434.segments.flatMap(seg => seg.elements)
+    : (gs1 ? gs1.elements.map(el => Object.assign({ id: el.ai }, el)) : []);
+  const fields = elements.map(el => ({ id: el.id, title: el.title, value: el.value }));
+  return { gs1, iso15434, fields };
+}
+
+/**
+ * Render a decoded symbol: GS1 content and ISO/IEC 15434 envelopes become
+ * field tables, everything else a single line with control characters made
+ * visible. Returns DOM nodes.
+ */
+function renderDecodedContent(text, prefix = t('result.found')) {
+  text = String(text);
+  const { gs1, iso15434 } = parseContent(text);
+  const errors = document.createElement('div');
+  errors.className = 'parse-errors';
+
+  if (iso15434) {
+    errors.textContent = iso15434.errors.join('; ');
+    return [...renderISO15434(iso15434), errors];
+  }
+  if (gs1 && gs1.elements.length) {
+    errors.textContent = gs1.errors.join('; ');
+    return [renderGS1Table(gs1), errors];
+  }
+  const visible = typeof ISO15434 !== 'undefined' ? ISO15434.visualize(text) : text;
+  return [document.createTextNode(prefix + visible)];
+}
+
+/** Show a single decoded symbol (and its grade report, if any) in #result. */
+function showDecodedText(text, verification = null) {
+  const nodes = renderDecodedContent(text);
+  if (verification) nodes.push(renderGradeReport(verification));
+  document.getElementById('result').replaceChildren(...nodes);
 }
 
 /**
- * Throttle flag: prevents queuing multiple concurrent ZBar async calls
- * when OpenCV processing finishes faster than ZBar resolves.
+ * Show all decoded codes in #result: one code as before, several as a
+ * numbered list matching the overlay labels.
  */
-let _frameScanning = false;
+function showDecodedResults(detections) {
+  const decoded = detections.filter(d => d.text);
+  if (decoded.length === 1) return showDecodedText(decoded[0].text, decoded[0].verification);
+  const heading = document.createElement('div');
+  heading.textContent = t('result.codesFound', { count: decoded.length });
+  const list = document.createElement('ol');
+  list.className = 'result-list';
+  decoded.forEach(d => {
+    const li = document.createElement('li');
+    li.append(...renderDecodedContent(d.text, ''));
+    if (d.verification) li.appendChild(renderGradeReport(d.verification));
+    list.appendChild(li);
+  });
+  document.getElementById('result').replaceChildren(heading, list);
+}
+
+// ─── Scan history ────────────────────────────────────────────────────────────
 
-// ─── End OpenCV helpers ──────────────────────────────────────────────────────
+let historyView = null;
+// forwarding to the MES endpoint (outbox.js)
+let outboxView = null;
+// counting sessions (session.js)
+let sessionView = null;
+// processFrame serves both the live camera and video files
+let frameSource = 'camera';
 
-function decodeSymbolText(sym) {
+/**
+ * Small JPEG data URL of an ImageData, cropped to the bounding box of
+ * `corners` (plus margin) when given.
+ */
+function makeThumbnail(imgData, corners = null, max = 96) {
   try {
-    if (!sym) return null;
-    if (typeof sym.decode === 'function') {
-      return sym.decode();
-    }
-    if (sym.data) {
-      if (sym.data instanceof Uint8Array) return new TextDecoder().decode(sym.data);
-      return String(sym.data);
+    let sx = 0, sy = 0, sw = imgData.width, sh = imgData.height;
+    if (corners && corners.length) {
+      const xs = corners.map(p => p.x);
+      const ys = corners.map(p => p.y);
+      const margin = 0.1 * Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+      sx = Math.max(0, Math.floor(Math.min(...xs) - margin));
+      sy = Math.max(0, Math.floor(Math.min(...ys) - margin));
+      sw = Math.min(imgData.width, Math.ceil(Math.max(...xs) + margin)) - sx;
+      sh = Math.min(imgData.height, Math.ceil(Math.max(...ys) + margin)) - sy;
+      if (sw < 2 || sh < 2) { sx = 0; sy = 0; sw = imgData.width; sh = imgData.height; }
     }
-    if (sym.rawData) {
-      if (sym.rawData instanceof Uint8Array) return new TextDecoder().decode(sym.rawData);
-      return String(sym.rawData);
-    }
-    if (sym.dataString) return String(sym.dataString);
-    if (sym.raw) return String(sym.raw);
+    const full = document.createElement('canvas');
+    full.width = imgData.width;
+    full.height = imgData.height;
+    full.getContext('2d').putImageData(imgData, 0, 0);
+    const scale = Math.min(1, max / Math.max(sw, sh));
+    const thumb = document.createElement('canvas');
+    thumb.width = Math.max(1, Math.round(sw * scale));
+    thumb.height = Math.max(1, Math.round(sh * scale));
+    thumb.getContext('2d').drawImage(full, sx, sy, sw, sh, 0, 0, thumb.width, thumb.height);
+    return thumb.toDataURL('image/jpeg', 0.7);
   } catch (e) {
-    console.warn('Could not decode symbol text', e);
+    return null;
   }
-  return null;
 }
 
-function extractCorners(sym) {
-  if (!sym) return null;
-  // common property names
-  if (Array.isArray(sym.points) && sym.points.length) return sym.points.map(p => ({ x: p.x, y: p.y }));
-  if (Array.isArray(sym.location) && sym.location.length) return sym.location.map(p => ({ x: p.x ?? p[0], y: p.y ?? p[1] }));
-  if (Array.isArray(sym.corners) && sym.corners.length) return sym.corners.map(p => ({ x: p.x, y: p.y }));
-  return null;
+/**
+ * Store a successful decode in the history and forward it. Live codes
+ * arrive here once per presentation (see ScanVoting).
+ * @param {string} text
+ * @param {{ source: string, decoder: string, thumbnail?: string|(() => string) }} meta
+ *   thumbnail may be a function so the (costly) JPEG is only built when stored
+ */
+function recordScan(text, { source, decoder, thumbnail = null }) {
+  if (!text) return;
+  text = String(text);
+  const now = Date.now();
+  const { gs1, iso15434, fields } = parseContent(text);
+  outboxView?.forward({ text, fields, source, decoder, timestamp: now });
+  if (typeof ScanHistory === 'undefined') return;
+  ScanHistory.add({
+    text, fields, gs1, iso15434, source, decoder,
+    thumbnail: typeof thumbnail === 'function' ? thumbnail() : thumbnail,
+  })
+    .then(() => historyView?.refresh())
+    .catch(e => console.warn('history: cannot store scan', e));
+}
+
+/**
+ * Record every decoded detection; thumbnails are cropped from `imgData`
+ * whose origin lies at (offsetX, offsetY) in detection coordinates.
+ */
+function recordDetections(detections, source, imgData, offsetX = 0, offsetY = 0) {
+  detections.filter(d => d.text).forEach(d => {
+    const corners = d.points ? d.points.map(p => ({ x: p.x - offsetX, y: p.y - offsetY })) : null;
+    recordScan(d.text, {
+      source,
+      decoder: d.decoder,
+      thumbnail: () => d.patch ? makeThumbnail(d.patch) : makeThumbnail(imgData, corners),
+    });
+  });
 }
+
 // file/media handling
 const fileInput = document.getElementById('file-input');
 const stopButton = document.getElementById('stop-button');
 let currentFileURL = null;
 
 function stopPlayback() {
+  ScanVoting.reset();
   // revoke file URL if one was used and pause video playback
   if (currentFileURL) {
     try { URL.revokeObjectURL(currentFileURL); } catch (e) {}
@@ -325,102 +529,45 @@ async function processImageOnce(img) {
   ctx.drawImage(procCanvas, 0, 0);
 
   const imgData = pctx.getImageData(0, 0, procCanvas.width, procCanvas.height);
+  // the server adds an ISO/IEC 15415 print-quality grade per code
+  await scanStill(imgData, { source: 'file', verify: true, emptyText: t('result.none') });
 
-  // try zbar first
-  if (typeof ZBar !== 'undefined' && typeof ZBar.scanImageData === 'function') {
-    try {
-      const result = await ZBar.scanImageData(imgData);
-      const output = document.getElementById('result');
-      if (result?.length) {
-        const sym = result[0];
-        const text = decodeSymbolText(sym) || sym.typeName || 'Gefunden';
-        output.textContent = 'Gefunden: ' + text;
-        const pts = extractCorners(sym);
-        if (pts && pts.length) lastCorners = pts;
-      } else {
-        output.textContent = 'Keine Codes gefunden';
-      }
-    } catch (e) {
-      console.error('ZBar Fehler', e);
-    }
-  }
+  // draw borders of all detections
+  drawDetections(lastDetections);
+}
 
-  // try ZXing (pure JS DataMatrix) as a fallback if ZBar didn't return corners
-  if (!lastCorners) {
-    // try libdmtx (if available) first, then ZXing
-    const ld = decodeWithLibDmtx(imgData);
-    if (ld && ld.then) {
-      try {
-        const res = await ld;
-        if (res?.length) {
-          const sym = res[0];
-          const output = document.getElementById('result');
-          output.textContent = 'Gefunden: ' + (decodeSymbolText(sym) || sym.typeName || 'DataMatrix');
-          const pts = extractCorners(sym);
-          if (pts && pts.length) lastCorners = pts;
-        }
-      } catch (e) { /* ignore */ }
-    } else if (ld && ld.length) {
-      const sym = ld[0];
-      const output = document.getElementById('result');
-      output.textContent = 'Gefunden: ' + (decodeSymbolText(sym) || sym.typeName || 'DataMatrix');
-      const pts = extractCorners(sym);
-      if (pts && pts.length) lastCorners = pts;
-    } else {
-      const zx = decodeWithZXing(imgData);
-      if (zx) {
-        const output = document.getElementById('result');
-        output.textContent = 'Gefunden: ' + (zx.text || 'DataMatrix');
-        if (zx.points && zx.points.length) lastCorners = zx.points;
-      }
-    }
-  }
+/**
+ * Without corner points from any decoder, outline what OpenCV finds (full
+ * ECC 200 preprocessing pipeline): a single code gets the largest quad,
+ * otherwise all quads are shown as undecoded candidates.
+ */
+async function addCandidateOutlines(detections, imgData, offsetX = 0, offsetY = 0) {
+  if (detections.some(d => d.points)) return;
+  const quads = (await findQuadsInWorker(imgData)).quads
+    .map(corners => corners.map(p => ({ x: p.x + offsetX, y: p.y + offsetY })));
+  if (detections.length === 1 && quads.length) detections[0].points = quads[0];
+  else quads.forEach(points => detections.push({ text: null, points, decoder: null }));
+}
 
-  // fallback OpenCV contour detection — uses full ECC 200 preprocessing pipeline
-  if (cvReady && !lastCorners) {
-    const src = cv.imread(procCanvas);
-    const binary = opencvPreprocess(src);
-    const contours = new cv.MatVector();
-    const hierarchy = new cv.Mat();
-    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-    let bestArea = 0;
-    for (let i = 0; i < contours.size(); i++) {
-      const cnt = contours.get(i);
-      const area = cv.contourArea(cnt);
-      if (area < 200) { cnt.delete(); continue; }
-      const approx = new cv.Mat();
-      cv.approxPolyDP(cnt, approx, 0.04 * cv.arcLength(cnt, true), true);
-      if (approx.rows === 4 && area > bestArea && cv.isContourConvex(approx)) {
-        const rect = cv.boundingRect(approx);
-        const ratio = rect.width / Math.max(rect.height, 1);
-        if (ratio >= 0.35 && ratio <= 3.0) {
-          bestArea = area;
-          const d = approx.data32S;
-          lastCorners = [
-            { x: d[0], y: d[1] }, { x: d[2], y: d[3] },
-            { x: d[4], y: d[5] }, { x: d[6], y: d[7] },
-          ];
-        }
-      }
-      approx.delete();
-      cnt.delete();
-    }
-    if (lastCorners) lastCorners = sortCorners(lastCorners);
-    hierarchy.delete();
-    contours.delete();
-    binary.delete();
-    src.delete();
+/**
+ * Decode a still image (uploaded file or selection) with the decoder chain,
+ * outline the codes and show / record the results.
+ * offsetX/Y: position of `imgData` on the canvas.
+ */
+async function scanStill(imgData, { source, offsetX = 0, offsetY = 0, verify = false, emptyText }) {
+  const detections = await DecoderChain.run(imgData, { offsetX, offsetY, verify });
+  await addCandidateOutlines(detections, imgData, offsetX, offsetY);
+  if (debugOverlay) {
+    const { trace } = await findQuadsInWorker(imgData, { trace: true });
+    showTrace(trace && Object.assign(trace, { offsetX, offsetY }));
   }
 
-  // draw border if corners available
-  if (lastCorners) {
-    ctx.strokeStyle = '#FF5722';
-    ctx.lineWidth = Math.max(3, Math.round(canvas.width * 0.004));
-    ctx.beginPath();
-    ctx.moveTo(lastCorners[0].x, lastCorners[0].y);
-    for (let i = 1; i < lastCorners.length; i++) ctx.lineTo(lastCorners[i].x, lastCorners[i].y);
-    ctx.closePath();
-    ctx.stroke();
+  lastDetections = detections;
+  if (detections.some(d => d.text)) {
+    showDecodedResults(detections);
+    ScanVoting.accept(detections, { source, imgData, offsetX, offsetY });
+  } else {
+    document.getElementById('result').textContent = emptyText;
   }
 }
 
@@ -439,8 +586,13 @@ function setCanvasInteractive(active) {
   } else {
     canvas.style.pointerEvents = 'none';
   }
+  // dragging must not scroll the page on touch screens
+  canvas.style.touchAction = active ? 'none' : '';
 }
 
+// the live camera takes pointer input only to drag the reticle (roi.js)
+const liveROIActive = () => !imageMode && frameSource === 'camera' && LiveROI.enabled();
+
 // convert pointer event to canvas coordinates
 function getCanvasPoint(e) {
   const rect = canvas.getBoundingClientRect();
@@ -454,12 +606,21 @@ function getCanvasPoint(e) {
 
 canvas.addEventListener('pointerdown', (e) => {
   if (canvas.style.pointerEvents !== 'auto') return;
+  if (liveROIActive()) {
+    canvas.setPointerCapture(e.pointerId);
+    LiveROI.pointerDown(getCanvasPoint(e), canvas.width, canvas.height);
+    return;
+  }
   isSelecting = true;
   selectStart = getCanvasPoint(e);
   selection = { x: selectStart.x, y: selectStart.y, w: 0, h: 0 };
 });
 
 canvas.addEventListener('pointermove', (e) => {
+  if (LiveROI.dragging()) {
+    LiveROI.pointerMove(getCanvasPoint(e), canvas.width, canvas.height);
+    return;
+  }
   if (!isSelecting) return;
   const p = getCanvasPoint(e);
   // update selection rectangle while dragging
@@ -468,6 +629,10 @@ canvas.addEventListener('pointermove', (e) => {
 });
 
 canvas.addEventListener('pointerup', async (e) => {
+  if (LiveROI.dragging()) {
+    LiveROI.pointerUp();
+    return;
+  }
   if (!isSelecting) return;
   isSelecting = false;
   // require a minimum size
@@ -480,6 +645,9 @@ canvas.addEventListener('pointerup', async (e) => {
   await processSelection(imgData, selection.x, selection.y);
 });
 
+// a drag cut short by the system (scroll, palm rejection) still saves the box
+canvas.addEventListener('pointercancel', () => LiveROI.pointerUp());
+
 function renderImageOverlay() {
   if (!imageMode) return;
   // redraw image
@@ -497,118 +665,21 @@ function renderImageOverlay() {
     ctx.restore();
   }
 
-  // draw detection corners
-  if (lastCorners) {
-    ctx.strokeStyle = '#FF5722';
-    ctx.lineWidth = Math.max(3, Math.round(canvas.width * 0.004));
-    ctx.beginPath();
-    ctx.moveTo(lastCorners[0].x, lastCorners[0].y);
-    for (let i = 1; i < lastCorners.length; i++) ctx.lineTo(lastCorners[i].x, lastCorners[i].y);
-    ctx.closePath();
-    ctx.stroke();
-  }
+  // draw detection borders
+  drawTrace();
+  drawDetections(lastDetections);
 
   requestAnimationFrame(renderImageOverlay);
 }
 
 async function processSelection(imgData, offsetX = 0, offsetY = 0) {
-  // try zbar first
-  if (typeof ZBar !== 'undefined' && typeof ZBar.scanImageData === 'function') {
-    try {
-      const result = await ZBar.scanImageData(imgData);
-      const output = document.getElementById('result');
-      if (result?.length) {
-        output.textContent = 'Gefunden: ' + result[0].data;
-        if (result[0].location && result[0].location.length >= 4) {
-          // map returned points into canvas coordinates
-          lastCorners = result[0].location.map(pt => ({ x: pt.x + offsetX, y: pt.y + offsetY }));
-        }
-        return;
-      } else {
-        output.textContent = 'Keine Codes im Auswahlbereich gefunden';
-      }
-    } catch (e) {
-      console.error('ZBar Fehler', e);
-    }
-  }
-
-  // try ZXing DataMatrix decoder on the selection as a fallback
-  if (!lastCorners) {
-    // try libdmtx first, then ZXing
-    const ld = decodeWithLibDmtx(imgData);
-    if (ld && ld.then) {
-      try {
-        const res = await ld;
-        if (res?.length) {
-          const output = document.getElementById('result');
-          output.textContent = 'Gefunden: ' + (decodeSymbolText(res[0]) || res[0].typeName || 'DataMatrix');
-          const pts = extractCorners(res[0]);
-          if (pts && pts.length) lastCorners = pts.map(p => ({ x: p.x + offsetX, y: p.y + offsetY }));
-          return;
-        }
-      } catch (e) { /* ignore */ }
-    } else if (ld && ld.length) {
-      const output = document.getElementById('result');
-      output.textContent = 'Gefunden: ' + (decodeSymbolText(ld[0]) || ld[0].typeName || 'DataMatrix');
-      const pts = extractCorners(ld[0]);
-      if (pts && pts.length) lastCorners = pts.map(p => ({ x: p.x + offsetX, y: p.y + offsetY }));
-      return;
-    }
-
-    const zx = decodeWithZXing(imgData);
-    if (zx) {
-      const output = document.getElementById('result');
-      output.textContent = 'Gefunden: ' + (zx.text || 'DataMatrix');
-      if (zx.points && zx.points.length) lastCorners = zx.points.map(p => ({ x: p.x + offsetX, y: p.y + offsetY }));
-      return;
-    }
-  }
-
-  // fallback OpenCV detection on the selection — uses full ECC 200 pipeline
-  if (cvReady) {
-    const tmp = document.createElement('canvas');
-    tmp.width = imgData.width;
-    tmp.height = imgData.height;
-    const tctx = tmp.getContext('2d');
-    tctx.putImageData(imgData, 0, 0);
-    const src = cv.imread(tmp);
-    const binary = opencvPreprocess(src);
-    const contours = new cv.MatVector();
-    const hierarchy = new cv.Mat();
-    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-    let bestArea = 0;
-    for (let i = 0; i < contours.size(); i++) {
-      const cnt = contours.get(i);
-      const area = cv.contourArea(cnt);
-      if (area < 200) { cnt.delete(); continue; }
-      const approx = new cv.Mat();
-      cv.approxPolyDP(cnt, approx, 0.04 * cv.arcLength(cnt, true), true);
-      if (approx.rows === 4 && area > bestArea && cv.isContourConvex(approx)) {
-        const rect = cv.boundingRect(approx);
-        const ratio = rect.width / Math.max(rect.height, 1);
-        if (ratio >= 0.35 && ratio <= 3.0) {
-          bestArea = area;
-          const d = approx.data32S;
-          lastCorners = sortCorners([
-            { x: d[0] + offsetX, y: d[1] + offsetY },
-            { x: d[2] + offsetX, y: d[3] + offsetY },
-            { x: d[4] + offsetX, y: d[5] + offsetY },
-            { x: d[6] + offsetX, y: d[7] + offsetY },
-          ]);
-        }
-      }
-      approx.delete();
-      cnt.delete();
-    }
-    hierarchy.delete();
-    contours.delete();
-    binary.delete();
-    src.delete();
-  }
+  await scanStill(imgData, { source: 'selection', offsetX, offsetY, emptyText: t('result.noneInSelection') });
 }
 function handleFile(file) {
   if (!file) return;
-  lastCorners = null;
+  lastDetections = [];
+  lastCandidates = [];
+  lastTrace = null;
   // stop live camera if running
   stopCamera();
   stopPlayback();
@@ -638,6 +709,7 @@ function handleFile(file) {
       setCanvasInteractive(false);
       imageMode = false;
       video.play();
+      frameSource = 'file';
       scanning = true;
       // requestFrame loop will handle processing frames
       requestAnimationFrame(processFrame);
@@ -646,65 +718,77 @@ function handleFile(file) {
 }
 
 fileInput?.addEventListener('change', (e) => {
-  const f = e.target.files && e.target.files[0];
-  if (f) handleFile(f);
+  const files = Array.from(e.target.files || []);
+  if (batchView && isBatchSelection(files)) batchView.run(files);
+  else if (files[0]) handleFile(files[0]);
 });
 
 stopButton?.addEventListener('click', () => {
   stopCamera();
   stopPlayback();
-  document.getElementById('result').textContent = 'Gestoppt';
+  document.getElementById('result').textContent = t('result.stopped');
 });
 
-async function startCamera() {
+// camera control bar (camera.js); null when index.html has none
+let cameraControls = null;
+
+/**
+ * Open the camera (see Camera.start: remembered device and settings) and
+ * start the frame loop.
+ * @param {{ deviceId?: string }} [options]  switch to another camera
+ */
+async function startCamera(options = {}) {
   try {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { facingMode: { ideal: 'environment' } }
-    });
+    const wasScanning = scanning && frameSource === 'camera';
+    const stream = await Camera.start(options);
     video.srcObject = stream;
     await video.play();
+    frameSource = 'camera';
     scanning = true;
-    ensureCvReady();
-    requestAnimationFrame(processFrame);
+    setCanvasInteractive(LiveROI.enabled());
+    // a restart (device or resolution change) keeps the running loop
+    if (!wasScanning) requestAnimationFrame(processFrame);
+    cameraControls?.update();
   } catch (err) {
-    console.error('Kamera kann nicht gestartet werden', err);
-    document.getElementById('result').textContent = 'Kamerafehler';
+    console.error('cannot start camera', err);
+    document.getElementById('result').textContent = t('result.cameraError');
   }
 }
 
 function stopCamera() {
-  const tracks = video.srcObject?.getTracks() || [];
-  tracks.forEach(t => t.stop());
+  Camera.stop();
+  cameraControls?.hide();
+  ScanVoting.reset();
   scanning = false;
 }
 
 /**
- * processFrame — refactored for robust small-DataMatrix detection.
+ * processFrame — paints video overlay and feeds the frame worker.
  *
  * Architecture:
- *   • Synchronous: capture frame → OpenCV preprocess → contour quad detection
- *     → perspective warp to 400×400.
- *   • Async (fire-and-forget, guarded by _frameScanning flag):
- *       1) ZBar on warped patch
- *       2) ZBar on preprocessed full frame
- *       3) ZXing fallback on raw frame
- *   • Overlay drawn from lastCorners which persists until next successful scan
- *     (or cleared when a complete scan cycle finds nothing).
+ *   • Main thread (every animation frame): size the overlay, paint selection,
+ *     OpenCV candidates (cyan), rejected quads (debug overlay) and the codes
+ *     of the last completed scan.
+ *   • When the worker is idle the current frame is handed over as an
+ *     ImageBitmap (scanVideoFrame); frames arriving while it is busy are
+ *     dropped. Preprocessing, quad search, warping and decoding happen in
+ *     frame-worker.js.
+ *   • Overlay drawn from lastDetections which persist until the next completed
+ *     scan cycle (cleared when a cycle finds nothing); codes are numbered in
+ *     the same order as the result list.
  */
 function processFrame() {
   if (!scanning || video.readyState !== 4) {
     return requestAnimationFrame(processFrame);
   }
-  ensureCvReady();
 
-  // ── 1. Capture frame into procCanvas ────────────────────────────────────
-  procCanvas.width  = video.videoWidth;
-  procCanvas.height = video.videoHeight;
-  canvas.width  = procCanvas.width;
-  canvas.height = procCanvas.height;
-  pctx.drawImage(video, 0, 0, procCanvas.width, procCanvas.height);
+  // ── 1. Size overlay to the video ────────────────────────────────────────
+  if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+    canvas.width  = video.videoWidth;
+    canvas.height = video.videoHeight;
+  }
 
-  // ── 2. Paint overlay (selection + last known border) ────────────────────
+  // ── 2. Paint overlay (selection + last known borders) ───────────────────
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   if (selection) {
     ctx.save();
@@ -715,187 +799,286 @@ function processFrame() {
     ctx.strokeRect(selection.x, selection.y, selection.w, selection.h);
     ctx.restore();
   }
-  // Draw persistent border from last completed scan cycle
-  if (lastCorners) drawDetectionBorder(lastCorners, '#FF5722');
+  if (liveROIActive()) LiveROI.draw(ctx, canvas.width, canvas.height);
+  lastCandidates.forEach(corners => drawDetectionBorder(corners, '#00BCD4'));
+  drawTrace();
+  drawDetections(lastDetections);
 
-  // ── 3. Skip new scan if previous async decode still running ─────────────
-  if (_frameScanning) {
-    return requestAnimationFrame(processFrame);
-  }
+  // ── 3. Scan this frame unless the previous one is still in flight ───────
+  if (!frameInFlight) scanVideoFrame();
 
-  // ── 4. Synchronous OpenCV preprocessing ─────────────────────────────────
-  if (!cvReady) {
-    // CV not ready yet — ZXing-only lightweight pass
-    const raw = pctx.getImageData(0, 0, procCanvas.width, procCanvas.height);
-    const zx  = decodeWithZXing(raw);
-    if (zx) {
-      document.getElementById('result').textContent = 'Gefunden: ' + (zx.text || 'DataMatrix');
-      lastCorners = zx.points?.length ? zx.points : lastCorners;
-    }
-    return requestAnimationFrame(processFrame);
-  }
+  requestAnimationFrame(processFrame);
+}
 
-  // Read RGBA frame into OpenCV Mat
-  const src    = cv.imread(procCanvas);
-  // Full ECC 200 pipeline: CLAHE(2.0,4×4) → UnsharpMask → AdaptiveThresh(21) → Morph-Close
-  const binary = opencvPreprocess(src);
-
-  // ── 5. Contour detection on binary image ────────────────────────────────
-  const contours  = new cv.MatVector();
-  const hierarchy = new cv.Mat();
-  // Use RETR_EXTERNAL to focus on outer boundaries of the DataMatrix
-  cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-
-  let warpedCorners = null; // sorted [TL, TR, BR, BL] if a quad is found
-  let warpedMat     = null; // perspective-corrected patch (RGBA)
-
-  // Find the largest 4-point approximation (most likely the DataMatrix border)
-  let bestArea = 0;
-  for (let i = 0; i < contours.size(); i++) {
-    const cnt  = contours.get(i);
-    const area = cv.contourArea(cnt);
-    if (area < 200) { cnt.delete(); continue; } // skip tiny blobs
-
-    const approx = new cv.Mat();
-    // epsilon ~4% of arc length gives stable quads for ECC200
-    cv.approxPolyDP(cnt, approx, 0.04 * cv.arcLength(cnt, true), true);
-
-    if (approx.rows === 4 && area > bestArea) {
-      // ECC 200: outer boundary must be convex
-      if (!cv.isContourConvex(approx)) { approx.delete(); cnt.delete(); continue; }
-      // ECC 200 aspect ratio: square variants ≈1.0; rectangular 1:2 / 1:3 allowed
-      const rect = cv.boundingRect(approx);
-      const ratio = rect.width / Math.max(rect.height, 1);
-      if (ratio < 0.35 || ratio > 3.0) { approx.delete(); cnt.delete(); continue; }
-      bestArea = area;
-      const d = approx.data32S; // CV_32SC2 → Int32Array, stride = 2
-      const raw = [
-        { x: d[0], y: d[1] },
-        { x: d[2], y: d[3] },
-        { x: d[4], y: d[5] },
-        { x: d[6], y: d[7] },
-      ];
-      warpedCorners = sortCorners(raw); // TL, TR, BR, BL
-    }
-    approx.delete();
-    cnt.delete();
-  }
-  contours.delete();
-  hierarchy.delete();
-
-  // ── 6. Perspective warp of detected quad ────────────────────────────────
-  if (warpedCorners) {
-    warpedMat = warpToSquare(src, warpedCorners, 400);
-    // Show detected quad immediately (cyan) while async decode is in flight
-    drawDetectionBorder(warpedCorners, '#00BCD4');
+// ─── Language ────────────────────────────────────────────────────────────────
+
+/**
+ * Header language switch (i18n.js). Static markup is re-translated by
+ * I18n.apply(); the result area is re-rendered here, the views listen for
+ * the 'change' event themselves.
+ */
+function initLanguage() {
+  const select = document.getElementById('language-select');
+  I18n.apply();
+  if (select) {
+    select.value = I18n.choice();
+    select.addEventListener('change', () => I18n.setLanguage(select.value));
   }
+  I18n.addEventListener('change', () => {
+    if (lastDetections.some(d => d.text)) showDecodedResults(lastDetections);
+    else if (scanning) document.getElementById('result').textContent = t('result.scanning');
+  });
+}
 
-  // Snapshot full binary frame as ImageData for ZBar fallback
-  // Convert single-channel binary → RGBA so ZBar can consume it
-  const binaryRGBA = new cv.Mat();
-  cv.cvtColor(binary, binaryRGBA, cv.COLOR_GRAY2RGBA);
-  const fullImgData = matToImageData(binaryRGBA);
-  binaryRGBA.delete();
-  binary.delete();
-
-  // Raw RGBA ImageData for ZXing (keeps original colour information)
-  const rawImgData = pctx.getImageData(0, 0, procCanvas.width, procCanvas.height);
-
-  // Pre-compute warped ImageData (sync, before we delete warpedMat)
-  const warpedImgData = warpedMat ? matToImageData(warpedMat) : null;
-  // warpedMat can be deleted now — ImageData holds its own buffer copy
-  if (warpedMat) { warpedMat.delete(); warpedMat = null; }
-  src.delete();
-
-  // ── 7. Async decode pipeline (fire-and-forget) ───────────────────────────
-  _frameScanning = true;
-  (async () => {
-    const output  = document.getElementById('result');
-    let decoded   = false;
-    let foundText = '';
-    let foundPts  = null;
-
-    // ── 7a. ZBar on perspective-warped patch (best quality for small codes)
-    if (!decoded && warpedImgData &&
-        typeof ZBar !== 'undefined' && typeof ZBar.scanImageData === 'function') {
-      try {
-        const res = await ZBar.scanImageData(warpedImgData);
-        if (res?.length) {
-          foundText = decodeSymbolText(res[0]) || res[0].typeName || 'Gefunden';
-          // corners come from OCV, not from ZBar (warped coord space)
-          foundPts  = warpedCorners;
-          decoded   = true;
-        }
-      } catch (e) { console.warn('ZBar(warped):', e); }
-    }
+initLanguage();
 
-    // try libdmtx on warped patch (if available)
-    if (!decoded && warpedImgData && typeof window.LibDmtx !== 'undefined') {
-      try {
-        const res = await decodeWithLibDmtx(warpedImgData);
-        if (res?.length) {
-          foundText = decodeSymbolText(res[0]) || res[0].typeName || 'Gefunden';
-          foundPts  = warpedCorners;
-          decoded   = true;
-        }
-      } catch (e) { console.warn('libdmtx(warped):', e); }
-    }
+document.getElementById('help-toggle').addEventListener('click', () => {
+  document.getElementById('help').classList.toggle('hidden');
+});
+document.getElementById('debug-toggle')?.addEventListener('click', () => setDebugOverlay(!debugOverlay));
+setDebugOverlay(debugOverlay);
+
+historyView = initHistoryView();
+sessionView = initSessionView();
+outboxView = initOutboxView();
+initGenerateView();
+validationView = initValidationView();
+initServerSettings();
+cameraControls = initCameraControls({
+  onSelectDevice: deviceId => startCamera({ deviceId }),
+  onResolution: () => startCamera(),
+});
+initLiveROIControls();
+initVotingControls();
+const batchView = initBatchView({
+  onResult: entry => {
+    validationView?.check(entry.results, 'batch');
+    sessionView?.record(entry.results, 'batch');
+    entry.results.forEach(r => recordScan(r.text, { source: 'batch', decoder: r.decoder }));
+  },
+});
 
-    // ── 7b. ZBar on full preprocessed (binary→RGBA) frame
-    if (!decoded &&
-        typeof ZBar !== 'undefined' && typeof ZBar.scanImageData === 'function') {
-      try {
-        const res = await ZBar.scanImageData(fullImgData);
-        if (res?.length) {
-          const sym = res[0];
-          foundText = decodeSymbolText(sym) || sym.typeName || 'Gefunden';
-          const pts = extractCorners(sym);
-          foundPts  = pts?.length ? pts : warpedCorners;
-          decoded   = true;
-        }
-      } catch (e) { console.warn('ZBar(full):', e); }
-    }
+// ─── Accepted scans ───────────────────────────────────────────────────────────
 
-    // try libdmtx on full preprocessed frame
-    if (!decoded && typeof window.LibDmtx !== 'undefined') {
-      try {
-        const res = await decodeWithLibDmtx(fullImgData);
-        if (res?.length) {
-          const sym = res[0];
-          foundText = decodeSymbolText(sym) || sym.typeName || 'Gefunden';
-          const pts = extractCorners(sym);
-          foundPts  = pts?.length ? pts : warpedCorners;
-          decoded   = true;
-        }
-      } catch (e) { console.warn('libdmtx(full):', e); }
-    }
+/**
+ * Feedback on every accepted scan ("Ton" in the camera bar, remembered): a
+ * short high beep and vibration, a low beep and double vibration when
+ * validation rejects the code or it repeats a serial number of the open
+ * counting session.
+ */
+let scanFeedback = localStorage.getItem('scan-feedback') !== '0';
+let _audio = null;
+
+function beep(frequency, ms) {
+  try {
+    _audio = _audio || new AudioContext();
+    if (_audio.state === 'suspended') _audio.resume();
+    const osc = _audio.createOscillator();
+    const gain = _audio.createGain();
+    osc.frequency.value = frequency;
+    gain.gain.value = 0.1;
+    osc.connect(gain).connect(_audio.destination);
+    osc.start();
+    osc.stop(_audio.currentTime + ms / 1000);
+  } catch (e) { /* no Web Audio */ }
+}
+
+function giveFeedback(detections, duplicate = false) {
+  if (!scanFeedback) return;
+  const failed = duplicate || (validationView && detections.some(d => validationView.verdict(d.text) === 'fail'));
+  navigator.vibrate?.(failed ? [80, 60, 80] : 60);
+  beep(failed ? 220 : 880, failed ? 300 : 100);
+}
+
+// validation and counting first, so the feedback knows verdict and duplicates
+ScanVoting.addEventListener('accepted', ({ detail }) => {
+  validationView?.check(detail.detections, detail.source);
+  const duplicates = sessionView ? sessionView.record(detail.detections, detail.source) : 0;
+  recordDetections(detail.detections, detail.source, detail.imgData, detail.offsetX, detail.offsetY);
+  giveFeedback(detail.detections, duplicates > 0);
+});
+
+/** "Bestätigung" / "Sperrzeit" presets and the "Ton" toggle in the camera bar; labels follow the language. */
+function initVotingControls() {
+  const preset = document.getElementById('vote-preset');
+  const cooldown = document.getElementById('vote-cooldown');
+  const sound = document.getElementById('feedback-toggle');
+  if (!preset || !cooldown) return;
+  // settings made with ScanVoting.configure() that match no preset get their own option
+  const select = (el, value, label) => {
+    if (!Array.from(el.options).some(o => o.value === value)) el.add(new Option(label, value));
+    el.value = value;
+  };
+  const presetLabel = value => {
+    const [required, size] = value.split('/').map(Number);
+    return size === 1 ? t('vote.instant') : t('vote.preset', { required, window: size });
+  };
+  const cooldownLabel = value => t('vote.cooldown', { seconds: I18n.formatNumber(Number(value) / 1000) });
+  const sync = () => {
+    const c = ScanVoting.config();
+    select(preset, c.required + '/' + c.window, '');
+    select(cooldown, String(c.cooldownMs), '');
+    Array.from(preset.options).forEach(o => { o.textContent = presetLabel(o.value); });
+    Array.from(cooldown.options).forEach(o => { o.textContent = cooldownLabel(o.value); });
+    sound?.setAttribute('aria-pressed', String(scanFeedback));
+  };
+  preset.addEventListener('change', () => {
+    const [required, size] = preset.value.split('/').map(Number);
+    ScanVoting.configure({ required, window: size });
+  });
+  cooldown.addEventListener('change', () => ScanVoting.configure({ cooldownMs: Number(cooldown.value) }));
+  sound?.addEventListener('click', () => {
+    scanFeedback = !scanFeedback;
+    localStorage.setItem('scan-feedback', scanFeedback ? '1' : '0');
+    sync();
+  });
+  I18n.addEventListener('change', sync);
+  sync();
+}
 
-    // ── 7c. ZXing pure-JS DataMatrix fallback on raw frame
-    if (!decoded) {
-      const zx = decodeWithZXing(rawImgData);
-      if (zx) {
-        foundText = zx.text || 'DataMatrix';
-        foundPts  = zx.points?.length ? zx.points : warpedCorners;
-        decoded   = true;
+// ─── Live region of interest ─────────────────────────────────────────────────
+
+/** "Zielrahmen" toggle and "nur Codes im Rahmen" option in the camera bar (roi.js). */
+function initLiveROIControls() {
+  const toggle = document.getElementById('roi-toggle');
+  const center = document.getElementById('roi-center');
+  if (!toggle || !center) return;
+  const sync = () => {
+    toggle.setAttribute('aria-pressed', String(LiveROI.enabled()));
+    center.checked = LiveROI.centerOnly();
+    document.getElementById('roi-center-label').classList.toggle('hidden', !LiveROI.enabled());
+    if (!imageMode && frameSource === 'camera') setCanvasInteractive(LiveROI.enabled());
+  };
+  toggle.addEventListener('click', () => {
+    LiveROI.configure({ enabled: !LiveROI.enabled() });
+    lastDetections = [];
+    lastCandidates = [];
+    sync();
+  });
+  center.addEventListener('change', () => LiveROI.configure({ centerOnly: center.checked }));
+  sync();
+}
+
+// ─── Server access ───────────────────────────────────────────────────────────
+
+/** Format a byte count for the usage line. */
+const formatBytes = n => (n >= 1048576
+  ? I18n.formatNumber(n / 1048576, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) + ' MB'
+  : I18n.formatNumber(Math.round(n / 1024)) + ' kB');
+
+/**
+ * API key setting for /api/scan (stored by decoders.js, sent as X-API-Key);
+ * "Prüfen" asks GET /api/usage whether the server accepts it.
+ */
+function initServerSettings() {
+  const section = document.getElementById('server');
+  const form = document.getElementById('server-form');
+  const keyInput = document.getElementById('server-key');
+  const info = document.getElementById('server-info');
+  if (!section || !form) return;
+
+  async function check() {
+    info.textContent = t('common.checking');
+    try {
+      const resp = await fetch('/api/usage', { headers: apiHeaders(), cache: 'no-store' });
+      const j = await resp.json().catch(() => ({}));
+      if (resp.status === 401) {
+        info.textContent = t(getApiKey() ? 'server.keyInvalid' : 'server.keyRequired');
+      } else if (resp.status === 429) {
+        info.textContent = t('server.rateLimited', { seconds: resp.headers.get('Retry-After') || '?' });
+      } else if (!resp.ok) {
+        info.textContent = t('common.error', { error: j.error || 'HTTP ' + resp.status });
+      } else if (!j.auth) {
+        info.textContent = t('server.open');
+      } else {
+        const own = j.usage.find(u => u.name === j.key) || {};
+        info.textContent = t('server.usage', {
+          key: j.key,
+          requests: I18n.formatNumber(own.requests || 0),
+          images: I18n.formatNumber(own.images || 0),
+          bytes: formatBytes(own.bytes || 0),
+          limit: own.limit,
+          window: j.windowSeconds,
+        });
       }
+    } catch (e) {
+      info.textContent = t('server.unreachable');
     }
+  }
 
-    // ── 7d. Update UI & state
-    if (decoded) {
-      output.textContent = 'Gefunden: ' + foundText;
-      lastCorners = foundPts;                      // persist for next frame overlay
-    } else {
-      output.textContent = 'Scan läuft...';
-      lastCorners = null;                          // clear stale border
-    }
-  })().finally(() => { _frameScanning = false; });
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    setApiKey(keyInput.value.trim());
+    check();
+  });
+  document.getElementById('server-check').addEventListener('click', check);
+  document.getElementById('server-toggle')?.addEventListener('click', () => {
+    section.classList.toggle('hidden');
+    keyInput.value = getApiKey();
+  });
+
+  // decodeWithServer() reports rejected requests
+  self.addEventListener('server-error', e => {
+    const { status, retryAfter } = e.detail;
+    document.getElementById('result').textContent = status === 401
+      ? t('server.rejectedKey')
+      : t('server.rejectedLimit') + (retryAfter ? t('server.retryIn', { seconds: retryAfter }) : '');
+  });
+}
 
-  requestAnimationFrame(processFrame);
+// ─── Service worker ──────────────────────────────────────────────────────────
+
+/**
+ * Offline cache and Background Sync for the outbox. A new sw.js version
+ * waits until the user confirms the reload prompt, then takes over and the
+ * page reloads once. The first install claiming the page does not reload
+ * (a scan may be running); an update accepted in another tab shows the
+ * prompt here instead of reloading.
+ */
+function initServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  const banner = document.getElementById('update-banner');
+  const hadController = !!navigator.serviceWorker.controller;
+  let accepted = false;
+  let reloading = false;
+
+  const showBanner = onReload => {
+    banner.classList.remove('hidden');
+    document.getElementById('update-reload').onclick = onReload;
+  };
+
+  const offerUpdate = worker => {
+    if (!banner || !navigator.serviceWorker.controller) return; // first install: nothing to replace
+    showBanner(() => {
+      accepted = true;
+      worker.postMessage({ type: 'skip-waiting' });
+    });
+  };
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    if (accepted) {
+      reloading = true;
+      location.reload();
+    } else if (hadController && banner) {
+      showBanner(() => location.reload());
+    }
+  });
+
+  navigator.serviceWorker.register('sw.js').then(reg => {
+    if (reg.waiting) offerUpdate(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed') offerUpdate(worker);
+      });
+    });
+    // long-running kiosk sessions: look for a new version every hour
+    setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+  }).catch(e => console.warn('service worker registration failed', e));
 }
 
-document.getElementById('help-toggle').addEventListener('click', () => {
-  document.getElementById('help').classList.toggle('hidden');
-});
+initServiceWorker();
 
 // automatisch starten
 startCamera();
@@ -904,7 +1087,7 @@ startCamera();
 setTimeout(() => {
   if (typeof ZBar === 'undefined') {
     const out = document.getElementById('result');
-    if (out) out.textContent = out.textContent + ' (Hinweis: Decoder nicht geladen — Tracking/Blocker?)';
+    if (out) out.textContent = out.textContent + t('result.decoderMissing');
     console.warn('ZBar (zbar-wasm) is not available. The CDN script may have been blocked by tracking prevention.');
   }
 }, 1200);
@@ -0,0 +1,130 @@
+/**
+ * Batch scan of many images / ZIP archives via POST /api/scan/batch.
+ * Results stream in as NDJSON and are shown as a grid, one card per image.
+ * Exposes `scanBatch()` (transport) and `initBatchView()` (UI).
+ */
+
+/**
+ * Upload files to the batch endpoint and report each streamed line.
+ * @param {File[]} files  images and/or ZIP archives
+ * @param {(event: { type: 'start'|'file'|'done' } & object) => void} onEvent
+ * @returns {Promise<void>} rejects on HTTP or network errors
+ */
+async function scanBatch(files, onEvent) {
+  const fd = new FormData();
+  files.forEach(f => fd.append('images', f, f.name));
+  const resp = await fetch('/api/scan/batch?stream=1', { method: 'POST', body: fd, headers: apiHeaders() });
+  if (!resp.ok) {
+    const j = await resp.json().catch(() => ({}));
+    throw new Error(j.error || 'HTTP ' + resp.status);
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (value) buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop(); // incomplete last line
+    lines.filter(l => l.trim()).forEach(l => onEvent(JSON.parse(l)));
+    if (done) break;
+  }
+  if (buffered.trim()) onEvent(JSON.parse(buffered));
+}
+
+/** Files that need the batch endpoint: several at once or a ZIP archive. */
+function isBatchSelection(files) {
+  return files.length > 1 || files.some(f => /\.zip$/i.test(f.name) || /zip/.test(f.type));
+}
+
+/**
+ * Wire up the batch section in index.html.
+ * @param {{ onResult?: (entry: object) => void }} [options]
+ *   onResult — called for every successfully scanned file (e.g. to store history)
+ */
+function initBatchView({ onResult = () => {} } = {}) {
+  const section = document.getElementById('batch');
+  const grid = document.getElementById('batch-grid');
+  const status = document.getElementById('batch-status');
+  if (!section || !grid) return null;
+  const previews = [];
+
+  const visible = t => (typeof ISO15434 !== 'undefined' ? ISO15434.visualize(t) : t);
+
+  function renderCard(entry, previewURL) {
+    const card = document.createElement('li');
+    card.className = 'batch-card' + (entry.ok ? (entry.results.length ? '' : ' empty') : ' error');
+    card.style.order = entry.index; // keep upload order although results arrive out of order
+    if (previewURL) {
+      const img = document.createElement('img');
+      img.src = previewURL;
+      img.alt = '';
+      card.appendChild(img);
+    }
+    const name = document.createElement('div');
+    name.className = 'batch-name';
+    name.textContent = entry.name;
+    name.title = entry.name;
+    const meta = document.createElement('div');
+    meta.className = 'batch-meta';
+    meta.textContent = entry.ok
+      ? t('batch.codes', { count: entry.results.length }) + ' · ' + I18n.formatNumber(entry.ms) + ' ms'
+      : t('common.error', { error: entry.error });
+    card.append(name, meta);
+    if (entry.ok && entry.results.length) {
+      const list = document.createElement('ol');
+      entry.results.forEach(r => {
+        const li = document.createElement('li');
+        li.textContent = visible(r.text);
+        li.title = r.decoder;
+        list.appendChild(li);
+      });
+      card.appendChild(list);
+    }
+    return card;
+  }
+
+  async function run(files) {
+    previews.splice(0).forEach(url => URL.revokeObjectURL(url));
+    // previews only for plain images; ZIP entries are known by name only
+    const byName = new Map(files.filter(f => f.type.startsWith('image/')).map(f => [f.name, f]));
+    section.classList.remove('hidden');
+    grid.replaceChildren();
+    status.textContent = t('batch.uploading');
+
+    let total = 0, done = 0, codes = 0, failed = 0;
+    try {
+      await scanBatch(files, ev => {
+        if (ev.type === 'start') {
+          total = ev.count;
+        } else if (ev.type === 'file') {
+          done++;
+          if (ev.ok) codes += ev.results.length; else failed++;
+          let url = null;
+          if (byName.has(ev.name)) {
+            url = URL.createObjectURL(byName.get(ev.name));
+            previews.push(url);
+          }
+          grid.appendChild(renderCard(ev, url));
+          if (ev.ok && ev.results.length) onResult(ev);
+        } else if (ev.type === 'done') {
+          status.textContent = t('batch.done', { total, codes }) +
+            (failed ? ' · ' + t('batch.errors', { count: failed }) : '') + ' · ' +
+            I18n.formatNumber(ev.ms / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) + ' s';
+          return;
+        }
+        status.textContent = t('batch.progress', { done, total, codes });
+      });
+    } catch (e) {
+      console.warn('batch scan failed', e);
+      status.textContent = t('batch.failed', { error: e.message });
+    }
+  }
+
+  document.getElementById('batch-close')?.addEventListener('click', () => {
+    section.classList.add('hidden');
+  });
+
+  return { run };
+}
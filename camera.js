@@ -0,0 +1,243 @@
+/**
+ * Camera selection and controls: device picker (enumerateDevices), resolution
+ * presets, torch, zoom and focus. What a camera supports is read from
+ * MediaStreamTrack.getCapabilities() and changed with applyConstraints();
+ * controls the browser or camera lacks stay hidden. Settings are remembered
+ * per camera (deviceId) in localStorage, together with the last camera used.
+ * Exposes `Camera` (stream and settings) and `initCameraControls()` (UI).
+ *
+ * Settings per camera: { resolution, torch, zoom, focus, focusDistance }
+ *   resolution — key of Camera.RESOLUTIONS
+ *   focus      — 'continuous' | 'manual' (manual locks at focusDistance when supported)
+ */
+const Camera = (() => {
+  const STORAGE_KEY = 'camera-settings';
+  const RESOLUTIONS = {
+    auto: null,
+    hd: { width: 1280, height: 720 },
+    fhd: { width: 1920, height: 1080 },
+    uhd: { width: 3840, height: 2160 },
+  };
+  let stream = null;
+
+  /** { last: deviceId, devices: { [deviceId]: settings } } */
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return { last: saved.last || null, devices: saved.devices || {} };
+    } catch (e) {
+      return { last: null, devices: {} }; // corrupt or unavailable storage
+    }
+  }
+
+  function store(state) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* private mode */ }
+  }
+
+  const settingsOf = deviceId => Object.assign({ resolution: 'auto' }, deviceId && load().devices[deviceId]);
+
+  /** Remember changed settings for a camera. */
+  function remember(deviceId, changes) {
+    if (!deviceId) return;
+    const state = load();
+    state.devices[deviceId] = Object.assign({}, state.devices[deviceId], changes);
+    store(state);
+  }
+
+  const track = () => (stream ? stream.getVideoTracks()[0] || null : null);
+  const deviceIdOf = t => (t && t.getSettings ? t.getSettings().deviceId || null : null);
+
+  /** getCapabilities() is missing in some browsers (Firefox): treat as "nothing adjustable". */
+  function capabilities() {
+    const t = track();
+    try {
+      return (t && t.getCapabilities && t.getCapabilities()) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function resolutionConstraints(key) {
+    const r = RESOLUTIONS[key];
+    return r ? { width: { ideal: r.width }, height: { ideal: r.height } } : {};
+  }
+
+  /**
+   * Apply one setting to the running track. Unsupported settings are
+   * skipped; a rejected constraint is logged, not thrown.
+   * @returns {Promise<boolean>} whether the constraint was applied
+   */
+  async function apply(name, value) {
+    const t = track();
+    const caps = capabilities();
+    if (!t || !t.applyConstraints) return false;
+    let constraints = null;
+    if (name === 'resolution') constraints = RESOLUTIONS[value] ? resolutionConstraints(value) : null;
+    else if (name === 'torch' && caps.torch) constraints = { advanced: [{ torch: !!value }] };
+    else if (name === 'zoom' && caps.zoom) constraints = { advanced: [{ zoom: Number(value) }] };
+    else if (name === 'focus' && (caps.focusMode || []).includes(value)) constraints = { advanced: [{ focusMode: value }] };
+    else if (name === 'focusDistance' && caps.focusDistance) {
+      constraints = { advanced: [{ focusMode: 'manual', focusDistance: Number(value) }] };
+    }
+    if (!constraints) return false;
+    try {
+      await t.applyConstraints(constraints);
+      return true;
+    } catch (e) {
+      console.warn('camera: cannot apply ' + name, e);
+      return false;
+    }
+  }
+
+  /** Re-apply the remembered settings after a (re)start. */
+  async function restore(deviceId) {
+    const s = settingsOf(deviceId);
+    if (s.zoom !== undefined) await apply('zoom', s.zoom);
+    if (s.focus === 'manual' && s.focusDistance !== undefined) await apply('focusDistance', s.focusDistance);
+    else if (s.focus) await apply('focus', s.focus);
+    if (s.torch) await apply('torch', true);
+  }
+
+  /**
+   * Open a camera: the given one, else the last one used, else the back
+   * camera. A remembered camera that is gone falls back to the default.
+   * @param {{ deviceId?: string }} [options]
+   * @returns {Promise<MediaStream>}
+   */
+  async function start({ deviceId = null } = {}) {
+    stop();
+    const wanted = deviceId || load().last;
+    const base = { facingMode: { ideal: 'environment' } };
+    try {
+      const video = wanted ? { deviceId: { exact: wanted } } : base;
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: Object.assign(video, resolutionConstraints(settingsOf(wanted).resolution)),
+      });
+    } catch (err) {
+      if (!wanted || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err;
+      stream = await navigator.mediaDevices.getUserMedia({ video: base });
+    }
+    const id = deviceIdOf(track());
+    if (id) {
+      const state = load();
+      state.last = id;
+      store(state);
+    }
+    await restore(id);
+    return stream;
+  }
+
+  function stop() {
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    stream = null;
+  }
+
+  /** Video inputs; labels are empty until camera permission was granted. */
+  async function devices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    return (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+  }
+
+  /** Current camera: { deviceId, capabilities, settings (remembered), actual (track settings) } */
+  function current() {
+    const t = track();
+    const deviceId = deviceIdOf(t);
+    return {
+      deviceId,
+      capabilities: capabilities(),
+      settings: settingsOf(deviceId),
+      actual: t && t.getSettings ? t.getSettings() : {},
+    };
+  }
+
+  /** Change a setting of the running camera and remember it. */
+  async function set(name, value) {
+    const deviceId = deviceIdOf(track());
+    const applied = await apply(name, value);
+    if (name === 'focusDistance') remember(deviceId, { focus: 'manual', focusDistance: Number(value) });
+    else remember(deviceId, { [name]: value });
+    return applied;
+  }
+
+  return { RESOLUTIONS, start, stop, devices, current, set, stream: () => stream };
+})();
+
+/**
+ * Wire up the camera control bar in index.html; call `update()` after every
+ * camera start so the controls match the new track.
+ * @param {{ onSelectDevice: (deviceId: string) => void, onResolution?: () => void }} options
+ *   onSelectDevice — restart the camera with another device
+ *   onResolution   — a resolution preset could not be applied live and needs a restart
+ */
+function initCameraControls({ onSelectDevice, onResolution = () => {} }) {
+  const bar = document.getElementById('camera-controls');
+  if (!bar) return null;
+  const $ = id => document.getElementById(id);
+  const show = (el, on) => el && el.classList.toggle('hidden', !on);
+
+  /** Configure a range input from a capability { min, max, step }. */
+  function setRange(input, cap, value) {
+    input.min = cap.min;
+    input.max = cap.max;
+    input.step = cap.step || (cap.max - cap.min) / 100;
+    input.value = value;
+  }
+
+  async function fillDevices(currentId) {
+    const select = $('cam-device');
+    const list = await Camera.devices().catch(() => []);
+    select.replaceChildren(...list.map((d, i) => {
+      const option = document.createElement('option');
+      option.value = d.deviceId;
+      option.textContent = d.label || t('camera.device', { n: i + 1 });
+      option.selected = d.deviceId === currentId;
+      return option;
+    }));
+    show(select, list.length > 1);
+  }
+
+  async function update() {
+    const { deviceId, capabilities: caps, settings, actual } = Camera.current();
+    await fillDevices(deviceId);
+
+    $('cam-resolution').value = settings.resolution;
+    $('cam-resolution').title = actual.width ? actual.width + '×' + actual.height : '';
+
+    show($('cam-torch'), !!caps.torch);
+    $('cam-torch').setAttribute('aria-pressed', String(!!(actual.torch ?? settings.torch)));
+
+    show($('cam-zoom-label'), !!caps.zoom);
+    if (caps.zoom) setRange($('cam-zoom'), caps.zoom, actual.zoom ?? caps.zoom.min);
+
+    const modes = caps.focusMode || [];
+    const focusSelect = $('cam-focus');
+    Array.from(focusSelect.options).forEach(o => { o.hidden = !modes.includes(o.value); });
+    show(focusSelect, modes.includes('continuous') && modes.includes('manual'));
+    focusSelect.value = actual.focusMode === 'manual' ? 'manual' : 'continuous';
+    show($('cam-focus-label'), !!caps.focusDistance && actual.focusMode === 'manual');
+    if (caps.focusDistance) setRange($('cam-focus-distance'), caps.focusDistance, actual.focusDistance ?? caps.focusDistance.min);
+
+    show(bar, true);
+  }
+
+  $('cam-device').addEventListener('change', e => onSelectDevice(e.target.value));
+  $('cam-resolution').addEventListener('change', async e => {
+    if (!(await Camera.set('resolution', e.target.value))) onResolution();
+    update();
+  });
+  $('cam-torch').addEventListener('click', async () => {
+    const on = $('cam-torch').getAttribute('aria-pressed') !== 'true';
+    await Camera.set('torch', on);
+    update();
+  });
+  $('cam-zoom').addEventListener('input', e => Camera.set('zoom', e.target.value));
+  $('cam-focus').addEventListener('change', async e => {
+    await Camera.set('focus', e.target.value);
+    update();
+  });
+  $('cam-focus-distance').addEventListener('input', e => Camera.set('focusDistance', e.target.value));
+
+  return { update, hide: () => show(bar, false) };
+}
@@ -0,0 +1,447 @@
+/**
+ * ECC 200 DataMatrix encoder (ISO/IEC 16022) — server only.
+ *
+ * Data is encoded in ASCII mode (digit pairs compacted, extended ASCII via
+ * Upper Shift, UTF-8 via ECI 26 when the text is not Latin-1). GS1 element
+ * strings start with FNC1 and use FNC1 as field separator.
+ * Square sizes 10×10 … 144×144 and the six rectangular sizes 8×18 … 16×48
+ * are supported.
+ *
+ * The reading side (codeword layout, Reed-Solomon error correction) is used
+ * by the print-quality verifier (verify.js).
+ */
+
+// ── Symbol attributes (ISO/IEC 16022 Table 7) ───────────────────────────────
+// rows × cols incl. finder pattern; regionsY × regionsX data regions;
+// dataCW / eccCW codewords; blocks = interleaved Reed-Solomon blocks.
+function sym(rows, cols, regionsY, regionsX, dataCW, eccCW, blocks) {
+  return {
+    name: rows + 'x' + cols, rows, cols, regionsY, regionsX,
+    regionRows: rows / regionsY - 2, regionCols: cols / regionsX - 2,
+    dataCW, eccCW, blocks, shape: rows === cols ? 'square' : 'rectangle',
+  };
+}
+
+const SYMBOLS = [
+  sym(10, 10, 1, 1, 3, 5, 1), sym(12, 12, 1, 1, 5, 7, 1), sym(14, 14, 1, 1, 8, 10, 1),
+  sym(16, 16, 1, 1, 12, 12, 1), sym(18, 18, 1, 1, 18, 14, 1), sym(20, 20, 1, 1, 22, 18, 1),
+  sym(22, 22, 1, 1, 30, 20, 1), sym(24, 24, 1, 1, 36, 24, 1), sym(26, 26, 1, 1, 44, 28, 1),
+  sym(32, 32, 2, 2, 62, 36, 1), sym(36, 36, 2, 2, 86, 42, 1), sym(40, 40, 2, 2, 114, 48, 1),
+  sym(44, 44, 2, 2, 144, 56, 1), sym(48, 48, 2, 2, 174, 68, 1), sym(52, 52, 2, 2, 204, 84, 2),
+  sym(64, 64, 4, 4, 280, 112, 2), sym(72, 72, 4, 4, 368, 144, 4), sym(80, 80, 4, 4, 456, 192, 4),
+  sym(88, 88, 4, 4, 576, 224, 4), sym(96, 96, 4, 4, 696, 272, 4), sym(104, 104, 4, 4, 816, 336, 6),
+  sym(120, 120, 6, 6, 1050, 408, 6), sym(132, 132, 6, 6, 1304, 496, 8), sym(144, 144, 6, 6, 1558, 620, 10),
+  sym(8, 18, 1, 1, 5, 7, 1), sym(8, 32, 1, 2, 10, 11, 1), sym(12, 26, 1, 1, 16, 14, 1),
+  sym(12, 36, 1, 2, 22, 18, 1), sym(16, 36, 1, 2, 32, 24, 1), sym(16, 48, 1, 2, 49, 28, 1),
+];
+
+const FNC1 = 232;
+const UPPER_SHIFT = 235;
+const ECI = 241;
+const PAD = 129;
+
+// ── Reed-Solomon over GF(256), primitive polynomial x^8+x^5+x^3+x^2+1 ───────
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x12d;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+const gfMul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+const generatorCache = new Map();
+/** Coefficients of ∏(x − α^i), i = 1…n, highest degree (implicit 1) omitted. */
+function generator(n) {
+  if (generatorCache.has(n)) return generatorCache.get(n);
+  let poly = [1];
+  for (let i = 1; i <= n; i++) {
+    const next = new Array(poly.length + 1).fill(0);
+    for (let k = 0; k < poly.length; k++) {
+      next[k] ^= poly[k];
+      next[k + 1] ^= gfMul(poly[k], EXP[i]);
+    }
+    poly = next;
+  }
+  generatorCache.set(n, poly.slice(1));
+  return poly.slice(1);
+}
+
+function rsBlock(data, n) {
+  const gen = generator(n);
+  const ecc = new Array(n).fill(0);
+  for (const d of data) {
+    const feedback = d ^ ecc[0];
+    ecc.shift();
+    ecc.push(0);
+    if (feedback) for (let j = 0; j < n; j++) ecc[j] ^= gfMul(feedback, gen[j]);
+  }
+  return ecc;
+}
+
+/**
+ * Correct one Reed-Solomon block (Berlekamp-Massey, Chien search, Forney).
+ * @param {number[]} block  data followed by n error correction codewords
+ * @returns {{ ok: boolean, corrected: number[], positions: number[] }}
+ *   positions — indices of corrected codewords within the block
+ */
+function rsDecodeBlock(block, n) {
+  const len = block.length;
+  const evalAt = x => block.reduce((acc, c) => gfMul(acc, x) ^ c, 0);
+  const syndromes = [];
+  for (let j = 1; j <= n; j++) syndromes.push(evalAt(EXP[j]));
+  if (syndromes.every(sv => sv === 0)) return { ok: true, corrected: block.slice(), positions: [] };
+
+  // error locator Λ(x), lowest degree first
+  let lambda = [1];
+  let prev = [1];
+  let degree = 0;
+  let shift = 1;
+  let prevDiscrepancy = 1;
+  for (let k = 0; k < n; k++) {
+    let d = syndromes[k];
+    for (let i = 1; i <= degree; i++) d ^= gfMul(lambda[i] || 0, syndromes[k - i]);
+    if (d === 0) { shift++; continue; }
+    const coef = gfMul(d, EXP[255 - LOG[prevDiscrepancy]]);
+    const next = lambda.slice();
+    prev.forEach((p, i) => { next[i + shift] = (next[i + shift] || 0) ^ gfMul(coef, p); });
+    if (2 * degree <= k) {
+      prev = lambda;
+      degree = k + 1 - degree;
+      prevDiscrepancy = d;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    lambda = next;
+  }
+  // more errors than n/2 cannot be corrected reliably
+  if (2 * degree > n) return { ok: false, corrected: block.slice(), positions: [] };
+  const poly = (coeffs, x) => coeffs.reduceRight((acc, c) => gfMul(acc, x) ^ (c || 0), 0);
+
+  // error evaluator Ω(x) = S(x)·Λ(x) mod x^n
+  const omega = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < lambda.length && i + j < n; j++) omega[i + j] ^= gfMul(syndromes[i], lambda[j] || 0);
+  }
+  const lambdaDerivative = lambda.map((c, i) => (i % 2 === 1 ? c : 0)).slice(1);
+
+  const corrected = block.slice();
+  const positions = [];
+  for (let i = 0; i < len; i++) {
+    const power = len - 1 - i; // block[0] is the highest-degree coefficient
+    const xInv = EXP[(255 - power) % 255];
+    if (poly(lambda, xInv) !== 0) continue;
+    const denom = poly(lambdaDerivative, xInv);
+    if (!denom) return { ok: false, corrected: block.slice(), positions: [] };
+    corrected[i] ^= gfMul(poly(omega, xInv), EXP[255 - LOG[denom]]);
+    positions.push(i);
+  }
+  if (positions.length !== degree) return { ok: false, corrected: block.slice(), positions: [] };
+  return { ok: true, corrected, positions };
+}
+
+/** Append interleaved error correction codewords to the data codewords. */
+function addErrorCorrection(data, symbol) {
+  const { blocks, eccCW } = symbol;
+  const perBlock = eccCW / blocks;
+  const out = data.concat(new Array(eccCW).fill(0));
+  for (let b = 0; b < blocks; b++) {
+    const blockData = data.filter((_, i) => i % blocks === b);
+    rsBlock(blockData, perBlock).forEach((cw, k) => { out[data.length + b + k * blocks] = cw; });
+  }
+  return out;
+}
+
+// ── Data encodation (ASCII mode) ────────────────────────────────────────────
+const isDigit = c => c >= 0x30 && c <= 0x39;
+
+/**
+ * Encode bytes into ASCII-mode codewords. In GS1 mode a leading FNC1 is
+ * added and GS (0x1D) separators are written as FNC1.
+ */
+function encodeASCII(bytes, { gs1 = false, eci = null } = {}) {
+  const cw = [];
+  if (gs1) cw.push(FNC1);
+  if (eci !== null) cw.push(ECI, eci + 1);
+  for (let i = 0; i < bytes.length; i++) {
+    const c = bytes[i];
+    if (isDigit(c) && i + 1 < bytes.length && isDigit(bytes[i + 1])) {
+      cw.push(130 + (c - 0x30) * 10 + (bytes[i + 1] - 0x30));
+      i++;
+    } else if (gs1 && c === 0x1d) {
+      cw.push(FNC1);
+    } else if (c < 128) {
+      cw.push(c + 1);
+    } else {
+      cw.push(UPPER_SHIFT, c - 127);
+    }
+  }
+  return cw;
+}
+
+/** Fill the remaining data capacity with the 253-state randomised pad. */
+function pad(codewords, capacity) {
+  const out = codewords.slice();
+  if (out.length < capacity) out.push(PAD);
+  while (out.length < capacity) {
+    const r = ((149 * (out.length + 1)) % 253) + 1;
+    const v = PAD + r;
+    out.push(v > 254 ? v - 254 : v);
+  }
+  return out;
+}
+
+/** Text → bytes: Latin-1 when possible, otherwise UTF-8 announced by ECI 26. */
+function textToBytes(text) {
+  if (/^[\x00-\xff]*$/.test(text)) return { bytes: Buffer.from(text, 'latin1'), eci: null };
+  return { bytes: Buffer.from(text, 'utf8'), eci: 26 };
+}
+
+// ── Module placement (ISO/IEC 16022 Annex F) ────────────────────────────────
+/**
+ * Map of the data area (all regions joined, finder patterns removed):
+ * each cell holds 10 × (codeword index + 1) + bit (1 = MSB … 8 = LSB),
+ * 1 for the fixed dark corner modules, 0 for the fixed light ones.
+ */
+function placementMap(nrow, ncol) {
+  const array = new Int32Array(nrow * ncol);
+  const module = (row, col, chr, bit) => {
+    if (row < 0) { row += nrow; col += 4 - ((nrow + 4) % 8); }
+    if (col < 0) { col += ncol; row += 4 - ((ncol + 4) % 8); }
+    array[row * ncol + col] = 10 * chr + bit;
+  };
+  const utah = (row, col, chr) => {
+    module(row - 2, col - 2, chr, 1); module(row - 2, col - 1, chr, 2);
+    module(row - 1, col - 2, chr, 3); module(row - 1, col - 1, chr, 4);
+    module(row - 1, col, chr, 5); module(row, col - 2, chr, 6);
+    module(row, col - 1, chr, 7); module(row, col, chr, 8);
+  };
+  const corner = (chr, cells) => cells.forEach(([r, c], i) => module(r, c, chr, i + 1));
+  const corner1 = chr => corner(chr, [[nrow - 1, 0], [nrow - 1, 1], [nrow - 1, 2], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+  const corner2 = chr => corner(chr, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 4], [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1]]);
+  const corner3 = chr => corner(chr, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+  const corner4 = chr => corner(chr, [[nrow - 1, 0], [nrow - 1, ncol - 1], [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 3], [1, ncol - 2], [1, ncol - 1]]);
+
+  let chr = 1;
+  let row = 4;
+  let col = 0;
+  do {
+    if (row === nrow && col === 0) corner1(chr++);
+    if (row === nrow - 2 && col === 0 && ncol % 4) corner2(chr++);
+    if (row === nrow - 2 && col === 0 && ncol % 8 === 4) corner3(chr++);
+    if (row === nrow + 4 && col === 2 && !(ncol % 8)) corner4(chr++);
+    // sweep upward diagonally
+    do {
+      if (row < nrow && col >= 0 && !array[row * ncol + col]) utah(row, col, chr++);
+      row -= 2;
+      col += 2;
+    } while (row >= 0 && col < ncol);
+    row += 1;
+    col += 3;
+    // sweep downward diagonally
+    do {
+      if (row >= 0 && col < ncol && !array[row * ncol + col]) utah(row, col, chr++);
+      row += 2;
+      col -= 2;
+    } while (row < nrow && col >= 0);
+    row += 3;
+    col += 1;
+  } while (row < nrow || col < ncol);
+
+  // unfilled lower-right corner: fixed checkerboard
+  if (!array[nrow * ncol - 1]) array[nrow * ncol - 1] = array[nrow * ncol - ncol - 2] = 1;
+  return array;
+}
+
+/** Data area coordinates → symbol coordinates (skipping finder/alignment patterns). */
+function dataToSymbol(symbol, r, c) {
+  return {
+    row: Math.floor(r / symbol.regionRows) * (symbol.regionRows + 2) + 1 + (r % symbol.regionRows),
+    col: Math.floor(c / symbol.regionCols) * (symbol.regionCols + 2) + 1 + (c % symbol.regionCols),
+  };
+}
+
+/**
+ * Finder and alignment pattern of a symbol: Uint8Array rows × cols with
+ * 1 = dark, 0 = light, 255 = data module.
+ */
+function fixedPattern(symbol) {
+  const { rows, cols, regionsY, regionsX, regionRows, regionCols } = symbol;
+  const out = new Uint8Array(rows * cols).fill(255);
+  const h = regionRows + 2;
+  const w = regionCols + 2;
+  for (let by = 0; by < regionsY; by++) {
+    for (let bx = 0; bx < regionsX; bx++) {
+      const top = by * h;
+      const left = bx * w;
+      for (let i = 0; i < w; i++) {
+        out[top * cols + left + i] = i % 2 === 0 ? 1 : 0;        // clock track
+        out[(top + h - 1) * cols + left + i] = 1;                  // solid bottom
+      }
+      for (let j = 0; j < h; j++) {
+        out[(top + j) * cols + left] = 1;                          // solid left
+        if (j < h - 1) out[(top + j) * cols + left + w - 1] = j % 2 === 1 ? 1 : 0; // clock track
+      }
+    }
+  }
+  return out;
+}
+
+/** Place codewords into a complete symbol matrix (1 = dark). */
+function buildMatrix(symbol, codewords) {
+  const { rows, cols, regionsY, regionsX, regionRows, regionCols } = symbol;
+  const matrix = fixedPattern(symbol);
+  const nrow = regionRows * regionsY;
+  const ncol = regionCols * regionsX;
+  const map = placementMap(nrow, ncol);
+  for (let r = 0; r < nrow; r++) {
+    for (let c = 0; c < ncol; c++) {
+      const v = map[r * ncol + c];
+      const dark = v >= 10 ? (codewords[Math.floor(v / 10) - 1] >> (8 - (v % 10))) & 1 : v;
+      const p = dataToSymbol(symbol, r, c);
+      matrix[p.row * cols + p.col] = dark;
+    }
+  }
+  return { rows, cols, modules: matrix };
+}
+
+/**
+ * Module positions of every codeword: layout[i] = [{ row, col, bit }] in
+ * symbol coordinates, bit 1 = MSB.
+ */
+function codewordLayout(symbol) {
+  const nrow = symbol.regionRows * symbol.regionsY;
+  const ncol = symbol.regionCols * symbol.regionsX;
+  const map = placementMap(nrow, ncol);
+  const layout = Array.from({ length: symbol.dataCW + symbol.eccCW }, () => []);
+  for (let r = 0; r < nrow; r++) {
+    for (let c = 0; c < ncol; c++) {
+      const v = map[r * ncol + c];
+      if (v < 10) continue;
+      layout[Math.floor(v / 10) - 1].push(Object.assign({ bit: v % 10 }, dataToSymbol(symbol, r, c)));
+    }
+  }
+  return layout;
+}
+
+/** Read codewords from a module matrix (1 = dark). */
+function readCodewords(symbol, modules) {
+  return codewordLayout(symbol).map(cells => cells.reduce(
+    (cw, { row, col, bit }) => cw | (modules[row * symbol.cols + col] === 1 ? 1 << (8 - bit) : 0), 0));
+}
+
+/**
+ * De-interleave and error-correct all blocks.
+ * @returns {{ ok: boolean, codewords: number[], blocks: Array<{ ok: boolean, ecc: number, errors: number[] }> }}
+ *   codewords — corrected (or, for failed blocks, original) codewords in symbol order;
+ *   errors    — symbol-order indices of corrected codewords per block
+ */
+function correctCodewords(symbol, codewords) {
+  const { blocks: count, dataCW, eccCW } = symbol;
+  const perBlock = eccCW / count;
+  const out = codewords.slice();
+  const blocks = [];
+  for (let b = 0; b < count; b++) {
+    const indices = [];
+    for (let i = b; i < dataCW; i += count) indices.push(i);
+    for (let k = 0; k < perBlock; k++) indices.push(dataCW + b + k * count);
+    const result = rsDecodeBlock(indices.map(i => codewords[i]), perBlock);
+    if (result.ok) indices.forEach((idx, j) => { out[idx] = result.corrected[j]; });
+    blocks.push({ ok: result.ok, ecc: perBlock, errors: result.positions.map(j => indices[j]), indices });
+  }
+  return { ok: blocks.every(b => b.ok), codewords: out, blocks };
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+/**
+ * Pick a symbol size.
+ * @param {number} count  number of data codewords
+ * @param {{ shape?: 'square'|'rectangle'|'auto', size?: string }} options
+ *   size — explicit "ROWSxCOLS", overrides shape
+ */
+function selectSymbol(count, { shape = 'square', size = null } = {}) {
+  if (size) {
+    const symbol = SYMBOLS.find(s => s.name === String(size).toLowerCase());
+    if (!symbol) throw new RangeError('unknown symbol size ' + size);
+    if (symbol.dataCW < count) {
+      throw new RangeError('data needs ' + count + ' codewords, ' + symbol.name + ' holds ' + symbol.dataCW);
+    }
+    return symbol;
+  }
+  const candidates = SYMBOLS
+    .filter(s => shape === 'auto' || s.shape === shape)
+    .filter(s => s.dataCW >= count)
+    .sort((a, b) => a.rows * a.cols - b.rows * b.cols);
+  if (!candidates.length) throw new RangeError('data too long for a ' + (shape === 'auto' ? '' : shape + ' ') + 'symbol');
+  return candidates[0];
+}
+
+/**
+ * Encode text into an ECC 200 symbol.
+ * @param {string} text
+ * @param {{ gs1?: boolean, shape?: 'square'|'rectangle'|'auto', size?: string }} [options]
+ *   gs1 — text is an element string with GS (0x1D) separators
+ * @returns {{ symbol: object, codewords: number[], rows: number, cols: number, modules: Uint8Array }}
+ * @throws {RangeError} when the data does not fit
+ */
+function encode(text, options = {}) {
+  text = String(text);
+  // the leading FNC1 is added by encodeASCII; a leading GS would become a second one
+  if (options.gs1) text = text.replace(/^\x1d+/, '');
+  const { bytes, eci } = textToBytes(text);
+  const data = encodeASCII(bytes, { gs1: !!options.gs1, eci });
+  const symbol = selectSymbol(data.length, options);
+  const codewords = addErrorCorrection(pad(data, symbol.dataCW), symbol);
+  return Object.assign({ symbol, codewords }, buildMatrix(symbol, codewords));
+}
+
+/**
+ * Render to an 8-bit greyscale bitmap (0 = dark, 255 = light).
+ * @returns {{ data: Buffer, width: number, height: number }}
+ */
+function toRaw({ rows, cols, modules }, { moduleSize = 10, quietZone = 2 } = {}) {
+  const width = (cols + 2 * quietZone) * moduleSize;
+  const height = (rows + 2 * quietZone) * moduleSize;
+  const data = Buffer.alloc(width * height, 255);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (modules[r * cols + c] !== 1) continue;
+      const x0 = (c + quietZone) * moduleSize;
+      for (let y = (r + quietZone) * moduleSize, yEnd = y + moduleSize; y < yEnd; y++) {
+        data.fill(0, y * width + x0, y * width + x0 + moduleSize);
+      }
+    }
+  }
+  return { data, width, height };
+}
+
+/** Render to an SVG document; horizontal runs of dark modules become one path segment. */
+function toSVG({ rows, cols, modules }, { moduleSize = 10, quietZone = 2 } = {}) {
+  const w = cols + 2 * quietZone;
+  const h = rows + 2 * quietZone;
+  let d = '';
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (modules[r * cols + c] !== 1) continue;
+      let run = 1;
+      while (c + run < cols && modules[r * cols + c + run] === 1) run++;
+      d += 'M' + (c + quietZone) + ' ' + (r + quietZone) + 'h' + run + 'v1h-' + run + 'z';
+      c += run - 1;
+    }
+  }
+  return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + w + ' ' + h + '" width="' + w * moduleSize +
+    '" height="' + h * moduleSize + '" shape-rendering="crispEdges">' +
+    '<rect width="' + w + '" height="' + h + '" fill="#fff"/><path fill="#000" d="' + d + '"/></svg>\n';
+}
+
+module.exports = {
+  SYMBOLS, encode, selectSymbol, toRaw, toSVG,
+  fixedPattern, buildMatrix, codewordLayout, readCodewords, correctCodewords,
+};
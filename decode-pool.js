@@ -0,0 +1,153 @@
+/**
+ * Fixed-size pool of worker_threads running decode-worker.js (server only).
+ * Tasks wait in a bounded queue; when it is full, run() rejects at once with
+ * status 503 and a Retry-After estimate instead of letting a burst of
+ * uploads pile up. Every task has a deadline covering queue wait and run
+ * time; a worker that overruns it is terminated and replaced (CPU-bound WASM
+ * cannot be interrupted otherwise).
+ */
+const { Worker } = require('worker_threads');
+const { apiError } = require('./messages');
+
+/** Error carrying the HTTP status (and Retry-After seconds) for the caller; `id` see messages.js. */
+function poolError(id, status, retryAfter, params) {
+  return Object.assign(apiError(status, id, params), { retryAfter });
+}
+
+/**
+ * @param {{ script: string, size?: number, queueSize?: number, timeoutMs?: number }} options
+ *   size      — number of worker threads
+ *   queueSize — tasks allowed to wait for a free worker
+ *   timeoutMs — default deadline per task (queue wait + run)
+ */
+function createDecodePool({ script, size = 2, queueSize = 32, timeoutMs = 15000 }) {
+  const workers = new Set();
+  const idle = [];
+  const running = new Map(); // worker → task
+  const queue = [];          // tasks waiting for a worker
+  const counters = { completed: 0, failed: 0, rejected: 0, timedOut: 0, restarted: 0 };
+  let nextId = 1;
+  let avgMs = 500;           // moving average of run time, for Retry-After
+  let closed = false;
+
+  function spawn() {
+    if (closed) return;
+    const worker = new Worker(script);
+    const started = Date.now();
+    worker.on('message', msg => {
+      const task = running.get(worker);
+      if (!task || msg.id !== task.id) return;
+      running.delete(worker);
+      clearTimeout(task.timer);
+      avgMs = avgMs * 0.8 + (Date.now() - task.started) * 0.2;
+      if (msg.ok) {
+        counters.completed++;
+        task.resolve(msg.result);
+      } else {
+        counters.failed++;
+        // uploads the worker cannot read are the client's fault, not a server error
+        task.reject(msg.status ? apiError(msg.status, 'unreadable_image', { detail: msg.error }) : new Error(msg.error));
+      }
+      idle.push(worker);
+      pump();
+    });
+    // a crash right after start points at a broken script; do not spin
+    worker.on('error', err => retire(worker, err, Date.now() - started < 1000 ? 1000 : 0));
+    worker.on('exit', code => retire(worker, new Error('decode worker exited with code ' + code), 1000));
+    workers.add(worker);
+    idle.push(worker);
+    pump();
+  }
+
+  /** Drop a worker (crashed or overran a deadline), fail its task, start a replacement. */
+  function retire(worker, err, delay = 0) {
+    if (!workers.has(worker)) return;
+    workers.delete(worker);
+    const i = idle.indexOf(worker);
+    if (i !== -1) idle.splice(i, 1);
+    const task = running.get(worker);
+    running.delete(worker);
+    if (task) {
+      clearTimeout(task.timer);
+      counters.failed++;
+      task.reject(err);
+    }
+    worker.terminate().catch(() => {});
+    if (closed) return;
+    counters.restarted++;
+    if (delay) setTimeout(spawn, delay);
+    else spawn();
+  }
+
+  function pump() {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      task.started = Date.now();
+      running.set(worker, task);
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+    }
+  }
+
+  /** Seconds until a slot is likely free — at least 1. */
+  function retryAfter() {
+    return Math.max(1, Math.ceil((queue.length + running.size) * avgMs / size / 1000));
+  }
+
+  /**
+   * Queue a task.
+   * @param {string} type      task name understood by the worker
+   * @param {object} payload   structured-clonable input
+   * @param {{ timeoutMs?: number }} [options]
+   * @returns {Promise<any>} rejects with status 503 when the queue is full or
+   *   the deadline passes
+   */
+  function run(type, payload, options = {}) {
+    const deadline = options.timeoutMs === undefined ? timeoutMs : options.timeoutMs;
+    if (closed) return Promise.reject(poolError('pool_closed', 503, retryAfter()));
+    if (deadline <= 0) {
+      counters.timedOut++;
+      return Promise.reject(poolError('decode_timeout', 503, retryAfter()));
+    }
+    if (queue.length >= queueSize) {
+      counters.rejected++;
+      return Promise.reject(poolError('queue_full', 503, retryAfter()));
+    }
+    return new Promise((resolve, reject) => {
+      const task = { id: nextId++, type, payload, resolve, reject, started: 0 };
+      task.timer = setTimeout(() => {
+        counters.timedOut++;
+        const err = poolError('decode_timeout_after', 503, retryAfter(), { ms: deadline });
+        const waiting = queue.indexOf(task);
+        if (waiting !== -1) {
+          queue.splice(waiting, 1);
+          reject(err);
+          return;
+        }
+        for (const [worker, t] of running) {
+          if (t === task) retire(worker, err);
+        }
+      }, deadline);
+      queue.push(task);
+      pump();
+    });
+  }
+
+  function stats() {
+    return Object.assign({ size, alive: workers.size, busy: running.size, queued: queue.length, queueSize }, counters);
+  }
+
+  function close() {
+    closed = true;
+    queue.splice(0).forEach(task => {
+      clearTimeout(task.timer);
+      task.reject(poolError('pool_closed', 503, 1));
+    });
+    return Promise.all(Array.from(workers, w => w.terminate()));
+  }
+
+  for (let i = 0; i < size; i++) spawn();
+  return { run, stats, close };
+}
+
+module.exports = { createDecodePool };
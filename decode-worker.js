@@ -0,0 +1,638 @@
+/**
+ * Decode worker (worker_threads): the CPU-heavy part of a scan — sharp
+ * preprocessing, ZXing WASM, libdmtx and ISO/IEC 15415 grading — off the
+ * Express event loop. Driven by decode-pool.js; server.js merges the results
+ * with zbarimg (a child process, limited separately) and parses the content.
+ *
+ * Tasks (message { id, type, payload } → { id, ok, result | error }):
+ *   decode { buffer, debugImages, budgetMs, tiling, formats, tryHarder }
+ *     → { preprocessed, strategy, zxing, libdmtx, debug, images }
+ *     tiling          — { minPixels, size, overlap, budgetMs } region search for large images
+ *     debugImages     — also return `images`: [{ name, kind, strategy?, image: PNG }] with
+ *                       kind 'preprocessed' | 'strategy' | 'region' | 'annotated'
+ *     formats         — ZXing format names (default ['DataMatrix'])
+ *     preprocessed    — PNG of the strategy that decoded (else the default recipe),
+ *                       null when the region search decoded
+ *     strategy        — name of that strategy ('proposals' / 'tiles' for the
+ *                       region search), null when nothing decoded
+ *     zxing / libdmtx — [{ text, format, decoder, points?, knownGS1? }], points in
+ *                       uploaded-image coordinates
+ *   verify { buffer, symbols }      → one grade report (or { error }) per corner list
+ * Input sharp cannot read fails with `status` (415 unknown format, 400 corrupt
+ * image), which the pool turns into a client error.
+ */
+const { parentPort } = require('worker_threads');
+const sharp = require('sharp');
+const { gradeSymbol } = require('./verify');
+
+// ── Optional native libdmtx binding ─────────────────────────────────────────
+let nodeLibDmtx = null;
+try {
+  nodeLibDmtx = require('node-libdmtx');
+} catch (e1) {
+  try { nodeLibDmtx = require('libdmtx'); } catch (e2) { nodeLibDmtx = null; }
+}
+
+// ── ZXing WASM initialisation ───────────────────────────────────────────────────
+// zxing-wasm ships a CJS build; require once and reuse.
+// prepareZXingModule warms up the WASM binary at startup (non-blocking).
+const { readBarcodes, prepareZXingModule } = require('zxing-wasm/reader');
+prepareZXingModule(); // fire-and-forget warm-up; decode calls await internally
+
+// ── Preprocessing pipeline tuned for small industrial ECC 200 codes ──────────
+/**
+ * Accepts raw image buffer (any format Sharp understands).
+ * Returns a PNG buffer ready for ZXing WASM or libdmtx.
+ *
+ * Steps:
+ *  1. Convert to grayscale          — removes chromatic noise irrelevant to 2-D codes
+ *  2. Upscale 2× if width < 1200px  — adds sub-pixel detail for tiny module grids
+ *  3. Normalize contrast            — equalises histogram; helps dark/light backgrounds
+ *  4. Mild Gaussian blur (σ=0.4)    — smooths JPEG/camera artefacts around module edges
+ */
+async function preprocessImage(inputBuffer) {
+  const meta = await sharp(inputBuffer).metadata();
+
+  let pipeline = sharp(inputBuffer)
+    // Step 1: grayscale
+    .grayscale();
+
+  // Step 2: upscale if needed (Lanczos preserves edge sharpness better than nearest-neighbour)
+  if (meta.width && meta.width < 1200) {
+    pipeline = pipeline.resize(meta.width * 2, null, {
+      kernel: sharp.kernel.lanczos3,
+      withoutEnlargement: false,
+    });
+  }
+
+  // Step 3: stretch contrast to full 0-255 range
+  pipeline = pipeline.normalize();
+
+  // Step 4: gentle blur to reduce digitisation noise (does not destroy module edges at σ=0.4)
+  pipeline = pipeline.blur(0.4);
+
+  // Output PNG — lossless, avoids JPEG re-compression artefacts for downstream decoders
+  return pipeline.png().toBuffer();
+}
+
+// ── Decoders on one prepared image ───────────────────────────────────────────
+/**
+ * Run ZXing and libdmtx on a prepared image. Points are mapped back to
+ * uploaded-image coordinates with the strategy's transform.
+ * @param {{ image: Buffer, scale: number, offsetX: number, offsetY: number }} prepared
+ * @param {{ reader: { formats: string[], tryHarder: boolean }, debug: Array<object>, trace: object|null }} ctx
+ *   reader — ZXing options; libdmtx only runs when DataMatrix is among the formats
+ *   trace  — debug images requested: collects ZXing candidates that did not decode
+ */
+async function decodePrepared(prepared, { reader, debug, trace }) {
+  const tick = () => Date.now();
+  const found = { zxing: [], libdmtx: [] };
+  const toOriginal = pts => pts.map(p => ({
+    x: p.x * prepared.scale + prepared.offsetX,
+    y: p.y * prepared.scale + prepared.offsetY,
+  }));
+
+  // ── ZXing WASM ───────────────────────────────────────────────────────────
+  try {
+    // Wrap PNG buffer in a Blob — Blob is available natively in Node ≥18
+    const blob = new Blob([prepared.image], { type: 'image/png' });
+    const t1 = tick();
+
+    const zxResults = await readBarcodes(blob, {
+      formats: reader.formats,
+      tryHarder: reader.tryHarder, // optimize for accuracy over speed
+      tryRotate: true,    // handle rotated codes (common in industrial settings)
+      tryInvert: true,    // handle inverted (white-on-black) codes
+      tryDenoise: reader.tryHarder, // morphological closing filter for 2-D codes (experimental)
+      maxNumberOfSymbols: 255, // trays / sheets carry many codes per image
+      returnErrors: !!trace,   // undecodable candidates for the annotated image
+    });
+
+    const zxTime = tick() - t1;
+    debug.push({ step: 'zxing', ms: zxTime, count: zxResults.length });
+
+    if (trace) {
+      zxResults.filter(r => !r.isValid && r.position).forEach(r => trace.candidates.push({
+        points: toOriginal([r.position.topLeft, r.position.topRight, r.position.bottomRight, r.position.bottomLeft]),
+        error: r.error || 'invalid',
+      }));
+    }
+    zxResults.filter(r => r.isValid).forEach(r => found.zxing.push({
+      text: r.text,
+      format: r.format,
+      decoder: 'zxing',
+      points: r.position
+        ? toOriginal([
+            r.position.topLeft,
+            r.position.topRight,
+            r.position.bottomRight,
+            r.position.bottomLeft,
+          ])
+        : undefined,
+      knownGS1: r.contentType === 'GS1',
+    }));
+  } catch (zxErr) {
+    console.warn('[scan] ZXing WASM error:', zxErr.message ?? zxErr);
+    debug.push({ step: 'zxing-error', error: String(zxErr) });
+  }
+
+  // ── libdmtx native binding (optional) ─────────────────────────────────────
+  if (nodeLibDmtx && typeof nodeLibDmtx.decode === 'function' && reader.formats.includes('DataMatrix')) {
+    try {
+      // Convert preprocessed PNG to raw RGBA for native bindings
+      const t3 = tick();
+      const { data, info } = await sharp(prepared.image)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      debug.push({ step: 'dmtx-prepare', ms: tick() - t3, width: info.width, height: info.height });
+
+      const t4 = tick();
+      let dmtxResults = null;
+      try {
+        dmtxResults = nodeLibDmtx.decode(data, info.width, info.height);
+      } catch (_) {
+        dmtxResults = nodeLibDmtx.decode(info.width, info.height, data);
+      }
+      debug.push({ step: 'libdmtx', ms: tick() - t4, count: (dmtxResults || []).length });
+
+      (dmtxResults || []).forEach(r => found.libdmtx.push({
+        text: r.text ?? String(r),
+        format: 'DataMatrix',
+        decoder: 'libdmtx',
+        points: r.points && toOriginal(r.points),
+      }));
+    } catch (dmtxErr) {
+      console.warn('[scan] libdmtx error:', dmtxErr.message ?? dmtxErr);
+      debug.push({ step: 'dmtx-error', error: String(dmtxErr) });
+    }
+  }
+
+  return found;
+}
+
+// ── Strategy ladder ──────────────────────────────────────────────────────────
+// When the default recipe finds nothing, alternative preparations are tried
+// in order until one decodes or the time budget is spent. Each returns a
+// PNG plus the transform back to the uploaded image:
+//   original = prepared * scale + offset
+
+const FULL = { scale: 1, offsetX: 0, offsetY: 0 };
+
+async function grayRaw(buffer) {
+  const { data, info } = await sharp(buffer).flatten({ background: '#ffffff' }).grayscale().raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+function grayToPNG({ data, width, height }) {
+  return sharp(data, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+/** Per-pixel lookup table on a grey image (gamma curves). */
+function applyLUT(gray, lut) {
+  const out = Buffer.alloc(gray.data.length);
+  for (let i = 0; i < out.length; i++) out[i] = lut[gray.data[i]];
+  return { data: out, width: gray.width, height: gray.height };
+}
+
+/**
+ * Local (mean) thresholding with an integral image: a pixel is dark when it
+ * is `c` below the mean of its window. Handles shadows and glare gradients
+ * that a global threshold cannot.
+ */
+function adaptiveThreshold({ data, width, height }, windowSize, c = 7) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+    }
+  }
+  const r = windowSize >> 1;
+  const out = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - r), y1 = Math.min(height, y + r + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - r), x1 = Math.min(width, x + r + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      out[y * width + x] = data[y * width + x] < mean - c ? 0 : 255;
+    }
+  }
+  return { data: out, width, height };
+}
+
+/**
+ * Textured areas of an image: gradient energy per cell of a grid×grid grid on
+ * a thumbnail; neighbouring cells with at least `ratio` of the strongest
+ * cell's energy form a region. Regions come with one cell of margin (quiet
+ * zone) in original pixels, strongest first; empty for a uniform image.
+ * @param {import('sharp').Sharp} image  pipeline of the full image
+ * @param {{ width: number, height: number }} meta
+ * @param {{ grid: number, thumbWidth: number, ratio: number }} options
+ * @returns {Promise<Array<{ left, top, width, height, energy }>>}
+ */
+async function edgeRegions(image, meta, { grid, thumbWidth, ratio }) {
+  const { data, info } = await image.grayscale().resize(Math.min(thumbWidth, meta.width)).raw()
+    .toBuffer({ resolveWithObject: true });
+  const cw = info.width / grid, ch = info.height / grid;
+  const energy = new Float64Array(grid * grid);
+  for (let y = 1; y < info.height; y++) {
+    for (let x = 1; x < info.width; x++) {
+      const i = y * info.width + x;
+      const g = Math.abs(data[i] - data[i - 1]) + Math.abs(data[i] - data[i - info.width]);
+      energy[Math.min(grid - 1, Math.floor(y / ch)) * grid + Math.min(grid - 1, Math.floor(x / cw))] += g;
+    }
+  }
+  const max = energy.reduce((m, e) => Math.max(m, e), 0);
+  if (!max) return [];
+
+  const strong = i => energy[i] >= max * ratio;
+  const seen = new Uint8Array(energy.length);
+  const sx = meta.width / grid, sy = meta.height / grid;
+  const regions = [];
+  for (let start = 0; start < energy.length; start++) {
+    if (seen[start] || !strong(start)) continue;
+    const stack = [start];
+    seen[start] = 1;
+    let minX = grid, minY = grid, maxX = -1, maxY = -1, total = 0;
+    while (stack.length) {
+      const i = stack.pop();
+      const gx = i % grid, gy = Math.floor(i / grid);
+      total += energy[i];
+      minX = Math.min(minX, gx); maxX = Math.max(maxX, gx);
+      minY = Math.min(minY, gy); maxY = Math.max(maxY, gy);
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+        const nx = gx + dx, ny = gy + dy, n = ny * grid + nx;
+        if (nx < 0 || ny < 0 || nx >= grid || ny >= grid || seen[n] || !strong(n)) return;
+        seen[n] = 1;
+        stack.push(n);
+      });
+    }
+    const left = Math.max(0, Math.floor((minX - 1) * sx));
+    const top = Math.max(0, Math.floor((minY - 1) * sy));
+    const right = Math.min(meta.width, Math.ceil((maxX + 2) * sx));
+    const bottom = Math.min(meta.height, Math.ceil((maxY + 2) * sy));
+    regions.push({ left, top, width: right - left, height: bottom - top, energy: total });
+  }
+  return regions.sort((a, b) => b.energy - a.energy);
+}
+
+/** The most textured area, or null when it covers (almost) the whole image. */
+async function highContrastRegion(buffer, meta) {
+  const [region] = await edgeRegions(sharp(buffer), meta, { grid: 32, thumbWidth: 256, ratio: 1 / 3 });
+  if (!region || region.width * region.height >= 0.7 * meta.width * meta.height) return null;
+  const { left, top, width, height } = region;
+  return { left, top, width, height };
+}
+
+/**
+ * Strategies in the order they are tried. `applies(meta)` skips variants
+ * that make no sense for the image size.
+ */
+const STRATEGIES = [
+  {
+    name: 'default',
+    applies: () => true,
+    prepare: async (buffer, meta) => {
+      const image = await preprocessImage(buffer);
+      const out = await sharp(image).metadata();
+      return Object.assign({}, FULL, { image, scale: meta.width && out.width ? meta.width / out.width : 1 });
+    },
+  },
+  {
+    // some encoders / scanners produce images any preprocessing only harms
+    name: 'original',
+    applies: () => true,
+    prepare: async buffer => Object.assign({ image: await sharp(buffer).png().toBuffer() }, FULL),
+  },
+  {
+    name: 'upscale-3x',
+    applies: meta => meta.width < 800,
+    prepare: async (buffer, meta) => Object.assign({}, FULL, {
+      image: await sharp(buffer).grayscale().resize(meta.width * 3, null, { kernel: sharp.kernel.lanczos3 })
+        .normalize().png().toBuffer(),
+      scale: 1 / 3,
+    }),
+  },
+  {
+    // large photos of big codes: fewer pixels per module helps the detectors
+    name: 'downscale-0.5x',
+    applies: meta => meta.width >= 1600,
+    prepare: async (buffer, meta) => Object.assign({}, FULL, {
+      image: await sharp(buffer).grayscale().resize(Math.round(meta.width / 2)).normalize().png().toBuffer(),
+      scale: meta.width / Math.round(meta.width / 2),
+    }),
+  },
+  {
+    // sharpen instead of blur: soft focus and motion blur
+    name: 'sharpen',
+    applies: () => true,
+    prepare: async (buffer, meta) => {
+      const factor = meta.width < 1200 ? 2 : 1;
+      return Object.assign({}, FULL, {
+        image: await sharp(buffer).grayscale().resize(meta.width * factor).normalize()
+          .sharpen({ sigma: 1.2, m1: 1, m2: 3 }).png().toBuffer(),
+        scale: 1 / factor,
+      });
+    },
+  },
+  {
+    name: 'local-threshold',
+    applies: () => true,
+    prepare: async (buffer, meta) => {
+      const gray = await grayRaw(buffer);
+      // window ≈ a few modules of a code filling a tenth of the image
+      const windowSize = Math.max(15, Math.round(Math.min(meta.width, meta.height) / 25)) | 1;
+      return Object.assign({ image: await grayToPNG(adaptiveThreshold(gray, windowSize)) }, FULL);
+    },
+  },
+  {
+    // brighten under-exposed images
+    name: 'gamma-0.5',
+    applies: () => true,
+    prepare: async buffer => {
+      const lut = Array.from({ length: 256 }, (_, v) => Math.round(255 * Math.pow(v / 255, 0.5)));
+      return Object.assign({ image: await grayToPNG(applyLUT(await grayRaw(buffer), lut)) }, FULL);
+    },
+  },
+  {
+    // darken washed-out / over-exposed images
+    name: 'gamma-2',
+    applies: () => true,
+    prepare: async buffer => {
+      const lut = Array.from({ length: 256 }, (_, v) => Math.round(255 * Math.pow(v / 255, 2)));
+      return Object.assign({ image: await grayToPNG(applyLUT(await grayRaw(buffer), lut)) }, FULL);
+    },
+  },
+  {
+    // light-on-dark marking (laser, dot peen) for decoders without tryInvert
+    name: 'invert',
+    applies: () => true,
+    prepare: async buffer => Object.assign({ image: await sharp(buffer).grayscale().normalize().negate().png().toBuffer() }, FULL),
+  },
+  {
+    // small code in a large cluttered scene: crop and enlarge
+    name: 'crop',
+    applies: () => true,
+    prepare: async (buffer, meta) => {
+      const region = await highContrastRegion(buffer, meta);
+      if (!region) return null;
+      const width = Math.max(region.width, Math.min(1200, region.width * 3));
+      return {
+        image: await sharp(buffer).extract(region).grayscale().resize(width).normalize().png().toBuffer(),
+        scale: region.width / width,
+        offsetX: region.left,
+        offsetY: region.top,
+      };
+    },
+  },
+];
+
+// ── Region search for large images ───────────────────────────────────────────
+// Line cameras deliver 20-megapixel frames in which the code covers a tiny
+// area; decoding the whole frame at once is slow and often misses it. Large
+// images are first searched region by region:
+//   1. proposals — textured areas (edge density), each decoded at a scale
+//      that brings the code to a few hundred pixels
+//   2. tiles     — if no proposal decodes: overlapping tiles over the whole
+//      image, until the time budget is spent
+// Points are mapped back to full-image coordinates; a code seen in several
+// regions (overlap) is reported once.
+
+const MAX_PROPOSALS = 12;
+
+/**
+ * @param {{ size: number, overlap: number, budgetMs: number }} tiling
+ * @returns {Promise<{ zxing: Array<object>, libdmtx: Array<object>, stage: 'proposals'|'tiles'|null }>}
+ */
+async function searchRegions(buffer, meta, tiling, ctx) {
+  const { debug } = ctx;
+  const tick = () => Date.now();
+  const start = tick();
+  // decode the (JPEG) upload once; every crop is cut from the raw grey pixels
+  const gray = await grayRaw(buffer);
+  const source = () => sharp(gray.data, { raw: { width: gray.width, height: gray.height, channels: 1 } });
+  const hits = { zxing: [], libdmtx: [] };
+  const seen = new Set();
+
+  async function decodeRegion(region, width) {
+    const image = await source().extract(region).resize(width).normalize().png().toBuffer();
+    if (ctx.trace) {
+      ctx.trace.regions.push(region);
+      addTraceImage(ctx.trace, { name: 'region ' + region.left + ',' + region.top, kind: 'region', image });
+    }
+    const found = await decodePrepared(
+      { image, scale: region.width / width, offsetX: region.left, offsetY: region.top }, ctx);
+    let fresh = 0;
+    ['zxing', 'libdmtx'].forEach(key => found[key].forEach(hit => {
+      if (seen.has(hit.text)) return;
+      seen.add(hit.text);
+      hits[key].push(hit);
+      fresh++;
+    }));
+    return fresh;
+  }
+
+  // 1. proposals; skip regions that are mostly background texture
+  const proposals = (await edgeRegions(source(), meta, { grid: 64, thumbWidth: 1024, ratio: 0.25 }))
+    .filter(r => r.width * r.height <= tiling.size * tiling.size)
+    .slice(0, MAX_PROPOSALS);
+  for (const region of proposals) {
+    const side = Math.max(region.width, region.height);
+    const target = Math.min(1200, Math.max(400, side * 2));
+    await decodeRegion(region, Math.round(region.width * target / side));
+  }
+  debug.push({ step: 'regions', stage: 'proposals', count: proposals.length, found: seen.size, ms: tick() - start });
+  if (seen.size) return Object.assign(hits, { stage: 'proposals' });
+
+  // 2. overlapping tiles at full resolution
+  const t1 = tick();
+  const stride = Math.max(1, tiling.size - tiling.overlap);
+  const positions = (length) => {
+    const out = [];
+    for (let p = 0; ; p += stride) {
+      out.push(Math.min(p, Math.max(0, length - tiling.size)));
+      if (p + tiling.size >= length) break;
+    }
+    return out;
+  };
+  const tiles = [];
+  positions(meta.height).forEach(top => positions(meta.width).forEach(left => tiles.push({
+    left, top, width: Math.min(tiling.size, meta.width - left), height: Math.min(tiling.size, meta.height - top),
+  })));
+  let decodedTiles = 0;
+  for (const tile of tiles) {
+    if (tick() - start >= tiling.budgetMs) {
+      debug.push({ step: 'regions-budget', ms: tick() - start, budgetMs: tiling.budgetMs, skipped: tiles.length - decodedTiles });
+      break;
+    }
+    await decodeRegion(tile, tile.width);
+    decodedTiles++;
+  }
+  debug.push({ step: 'regions', stage: 'tiles', count: decodedTiles, of: tiles.length, found: seen.size, ms: tick() - t1 });
+  return Object.assign(hits, { stage: seen.size ? 'tiles' : null });
+}
+
+// ── Debug images ─────────────────────────────────────────────────────────────
+// With `debugImages` the decode task also returns what the decoders saw: the
+// preprocessed PNG, every strategy / region image and the upload annotated
+// with decoded codes (green), ZXing candidates that failed (red, dashed) and
+// the searched regions (blue).
+
+const MAX_TRACE_IMAGES = 16;
+const ANNOTATED_MAX_WIDTH = 1600;
+
+function addTraceImage(trace, entry) {
+  // keep a slot for the annotated image, which is added last
+  if (trace.images.length < MAX_TRACE_IMAGES - 1) trace.images.push(entry);
+}
+
+const svgPolygon = (points, k, style) =>
+  '<polygon points="' + points.map(p => (p.x * k).toFixed(1) + ',' + (p.y * k).toFixed(1)).join(' ') + '" ' + style + '/>';
+
+/**
+ * The upload (downscaled to ANNOTATED_MAX_WIDTH) with the trace drawn on it.
+ * @param {Array<{ text, points? }>} hits  decoded codes, numbered in this order
+ */
+async function annotate(buffer, meta, trace, hits) {
+  const k = Math.min(1, ANNOTATED_MAX_WIDTH / meta.width);
+  const width = Math.round(meta.width * k), height = Math.round(meta.height * k);
+  const stroke = Math.max(2, Math.round(width / 400));
+  const font = Math.max(12, Math.round(width / 60));
+  const shapes = [];
+  trace.regions.forEach(r => shapes.push('<rect x="' + r.left * k + '" y="' + r.top * k + '" width="' + r.width * k
+    + '" height="' + r.height * k + '" fill="none" stroke="#2196F3" stroke-width="' + stroke + '"/>'));
+  trace.candidates.forEach(c => shapes.push(svgPolygon(c.points, k,
+    'fill="none" stroke="#F44336" stroke-dasharray="' + stroke * 3 + '" stroke-width="' + stroke + '"')));
+  hits.filter(h => h.points).forEach((h, i) => {
+    shapes.push(svgPolygon(h.points, k, 'fill="rgba(76,175,80,0.2)" stroke="#4CAF50" stroke-width="' + stroke + '"'));
+    const x = Math.min(...h.points.map(p => p.x)) * k, y = Math.min(...h.points.map(p => p.y)) * k;
+    shapes.push('<text x="' + x + '" y="' + Math.max(font, y - stroke) + '" font-family="sans-serif" font-weight="bold" font-size="'
+      + font + '" fill="#4CAF50">' + (i + 1) + '</text>');
+  });
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '">' + shapes.join('') + '</svg>';
+  return sharp(buffer).resize(width, height).composite([{ input: Buffer.from(svg) }]).png().toBuffer();
+}
+
+/** Collected images plus the annotated upload: [{ name, kind, strategy?, image }]. */
+async function traceImages(buffer, meta, trace, hits) {
+  try {
+    trace.images.push({ name: 'annotated', kind: 'annotated', image: await annotate(buffer, meta, trace, hits) });
+  } catch (err) {
+    console.warn('[scan] cannot annotate debug image:', err.message);
+  }
+  return trace.images;
+}
+
+// ── Tasks ────────────────────────────────────────────────────────────────────
+/** Mark an error as caused by the upload, not the server. */
+const unreadable = (err, status) => Object.assign(err, { status });
+
+/**
+ * Images of at least `tiling.minPixels` are searched region by region first.
+ * Otherwise, or when that finds nothing, run the strategy ladder: stop at the
+ * first strategy with a valid decode, or when `budgetMs` is spent (the default
+ * recipe always runs).
+ * Returns the prepared image of the winning strategy — or of the default one
+ * when nothing decoded — for zbar in the main thread; null after a successful
+ * region search (zbar would only re-read the full frame).
+ */
+async function decode({
+  buffer, debugImages = false, budgetMs = 0, tiling = null, formats = ['DataMatrix'], tryHarder = true,
+}) {
+  const debug = [];
+  const trace = debugImages ? { images: [], candidates: [], regions: [] } : null;
+  const ctx = { reader: { formats, tryHarder }, debug, trace };
+  const tick = () => Date.now();
+  const start = tick();
+  const meta = await sharp(buffer).metadata().catch(err => { throw unreadable(err, 415); });
+  if (!meta.width || !meta.height) throw unreadable(new Error('cannot read image dimensions'), 415);
+  debug.push({ step: 'image', width: meta.width, height: meta.height, bytes: buffer.length, format: meta.format });
+
+  if (tiling && tiling.minPixels && meta.width * meta.height >= tiling.minPixels) {
+    const regions = await searchRegions(buffer, meta, tiling, ctx);
+    if (regions.stage) {
+      debug.push({ step: 'strategy', succeeded: regions.stage, tried: [regions.stage], ms: tick() - start });
+      const images = trace && await traceImages(buffer, meta, trace, regions.zxing.concat(regions.libdmtx));
+      return { preprocessed: null, strategy: regions.stage, zxing: regions.zxing, libdmtx: regions.libdmtx, debug, images };
+    }
+  }
+
+  let first = null;
+  let winner = null;
+  const tried = [];
+  for (const strategy of STRATEGIES) {
+    if (!strategy.applies(meta)) continue;
+    if (first && tick() - start >= budgetMs) {
+      const skipped = STRATEGIES.slice(STRATEGIES.indexOf(strategy)).filter(s => s.applies(meta)).map(s => s.name);
+      debug.push({ step: 'strategy-budget', ms: tick() - start, budgetMs, skipped });
+      break;
+    }
+    const t0 = tick();
+    let prepared;
+    try {
+      prepared = await strategy.prepare(buffer, meta);
+    } catch (err) {
+      if (!first) throw unreadable(err, 400); // the default recipe failing means the image is unreadable
+      debug.push({ step: 'preprocess-error', strategy: strategy.name, error: String(err) });
+      continue;
+    }
+    if (!prepared) continue;
+    tried.push(strategy.name);
+    debug.push({ step: 'preprocess', strategy: strategy.name, ms: tick() - t0, size: prepared.image.length });
+    if (trace) {
+      addTraceImage(trace, {
+        name: strategy.name, kind: first ? 'strategy' : 'preprocessed', strategy: strategy.name, image: prepared.image,
+      });
+    }
+
+    const found = await decodePrepared(prepared, ctx);
+    if (!first) first = { strategy: strategy.name, prepared, found };
+    if (found.zxing.length || found.libdmtx.length) {
+      winner = { strategy: strategy.name, prepared, found };
+      break;
+    }
+  }
+  debug.push({ step: 'strategy', succeeded: winner ? winner.strategy : null, tried, ms: tick() - start });
+
+  const use = winner || first;
+  const images = trace && await traceImages(buffer, meta, trace, use.found.zxing.concat(use.found.libdmtx));
+  return {
+    preprocessed: use.prepared.image, strategy: winner ? winner.strategy : null,
+    zxing: use.found.zxing, libdmtx: use.found.libdmtx, debug, images,
+  };
+}
+
+/** Grade every symbol on the original, unprocessed image. */
+async function verify({ buffer, symbols }) {
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const gray = { data, width: info.width, height: info.height };
+  return symbols.map(points => {
+    try {
+      return gradeSymbol(gray, points);
+    } catch (verifyErr) {
+      return { error: verifyErr.message };
+    }
+  });
+}
+
+const TASKS = { decode, verify };
+
+parentPort.on('message', async ({ id, type, payload }) => {
+  try {
+    // structured clone turns Buffers into plain Uint8Arrays
+    const input = Object.assign({}, payload, { buffer: Buffer.from(payload.buffer.buffer, payload.buffer.byteOffset, payload.buffer.length) });
+    const result = await TASKS[type](input);
+    parentPort.postMessage({ id, ok: true, result });
+  } catch (err) {
+    parentPort.postMessage({ id, ok: false, error: err.message, status: err.status });
+  }
+});
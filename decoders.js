@@ -0,0 +1,312 @@
+/**
+ * Client decoder chain: one registry of decoders shared by every scan path
+ * (still image, selection, live frames, warped OpenCV patches).
+ * Classic script; exposes `DecoderChain` plus the individual decoder
+ * wrappers (`decodeWithZXing`, `decodeWithServer`, …) and the API key
+ * helpers (`getApiKey`, `setApiKey`, `apiHeaders`).
+ *
+ * Result shape of DecoderChain.run():
+ *   { text, bytes, points, decoder, ms, verification? }
+ *   bytes  — raw symbol bytes (Uint8Array) when the decoder provides them, else null
+ *   points — corner points in the caller's coordinates (offset applied) or null
+ *   ms     — time spent in the decoder call that produced the result
+ */
+
+// ─── Decoder wrappers ────────────────────────────────────────────────────────
+
+// ZXing pure-JS decoder wrapper (DataMatrix)
+function decodeWithZXing(imgData) {
+  if (typeof self.ZXingLib === 'undefined') return null;
+  try {
+    const ZX = self.ZXingLib;
+    const RGB = ZX.RGBLuminanceSource;
+    const Hybrid = ZX.HybridBinarizer;
+    const BinaryBitmap = ZX.BinaryBitmap;
+    const DataMatrixReader = ZX.DataMatrixReader;
+    if (!RGB || !Hybrid || !BinaryBitmap || !DataMatrixReader) return null;
+    const src = new RGB(imgData.data, imgData.width, imgData.height);
+    const bitmap = new BinaryBitmap(new Hybrid(src));
+    const reader = new DataMatrixReader();
+    const res = reader.decode(bitmap);
+    if (!res) return null;
+    const text = (typeof res.getText === 'function') ? res.getText() : (res.text || res.getResult ? res.getResult() : null);
+    let pts = null;
+    if (typeof res.getResultPoints === 'function') {
+      const rp = res.getResultPoints();
+      if (rp && rp.length) pts = Array.from(rp).map(p => ({ x: (p.getX ? p.getX() : p.x), y: (p.getY ? p.getY() : p.y) }));
+    }
+    return { text, points: pts, raw: res };
+  } catch (e) {
+    // decode throws when nothing found; ignore
+    return null;
+  }
+}
+
+/** ImageData → PNG Blob; OffscreenCanvas where available (also in workers). */
+function imageDataToPNG(imgData) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const off = new OffscreenCanvas(imgData.width, imgData.height);
+    off.getContext('2d').putImageData(imgData, 0, 0);
+    return off.convertToBlob({ type: 'image/png' });
+  }
+  const off = document.createElement('canvas');
+  off.width = imgData.width;
+  off.height = imgData.height;
+  off.getContext('2d').putImageData(imgData, 0, 0);
+  return new Promise(resolve => off.toBlob(resolve, 'image/png'));
+}
+
+// ─── Server access ───────────────────────────────────────────────────────────
+
+const API_KEY_STORAGE = 'api-key';
+
+/** API key for the scan server from the settings (localStorage), or ''. */
+function getApiKey() {
+  try {
+    return self.localStorage?.getItem(API_KEY_STORAGE) || '';
+  } catch (e) {
+    return ''; // unavailable storage
+  }
+}
+
+/** Store (or with '' remove) the API key. */
+function setApiKey(key) {
+  try {
+    if (key) self.localStorage?.setItem(API_KEY_STORAGE, key);
+    else self.localStorage?.removeItem(API_KEY_STORAGE);
+  } catch (e) { /* private mode */ }
+}
+
+/**
+ * Headers for /api/* requests: X-API-Key when a key is set, Accept-Language
+ * for translated error messages when the page's I18n is loaded (not in the
+ * frame worker).
+ */
+function apiHeaders(headers = {}) {
+  const key = getApiKey();
+  const base = key ? { 'X-API-Key': key } : {};
+  if (typeof I18n !== 'undefined') base['Accept-Language'] = I18n.lang();
+  return Object.assign(base, headers);
+}
+
+// Server-side scan: POST frame to server endpoint /api/scan
+// options.verify requests the ISO/IEC 15415 grade report (uploaded images)
+// 401 / 429 are announced as a 'server-error' event so the page can point
+// at the key setting.
+async function decodeWithServer(imgData, { verify = false } = {}) {
+  try {
+    // convert ImageData to Blob (PNG) for upload
+    const blob = await imageDataToPNG(imgData);
+    const fd = new FormData();
+    fd.append('image', blob, 'frame.png');
+
+    const resp = await fetch('/api/scan' + (verify ? '?verify=1' : ''), { method: 'POST', body: fd, headers: apiHeaders() });
+    if (!resp.ok) {
+      const j = await resp.json().catch(() => ({}));
+      console.warn('server scan failed', resp.status, j);
+      if (resp.status === 401 || resp.status === 429) {
+        self.dispatchEvent(new CustomEvent('server-error', {
+          detail: { status: resp.status, error: j.error, retryAfter: Number(resp.headers.get('Retry-After')) || 0 },
+        }));
+      }
+      return null;
+    }
+    const j = await resp.json();
+    // Expect { ok: true, results: [ { text, points, verification? } ] }
+    return j.results || null;
+  } catch (e) {
+    console.warn('decodeWithServer error', e);
+    return null;
+  }
+}
+
+// Backwards-compatible alias used in places where libdmtx was previously tried
+function decodeWithLibDmtx(imgData, options) { return decodeWithServer(imgData, options); }
+
+function decodeSymbolText(sym) {
+  try {
+    if (!sym) return null;
+    if (typeof sym.text === 'string') return sym.text; // server results
+    if (typeof sym.decode === 'function') {
+      return sym.decode();
+    }
+    if (sym.data) {
+      if (sym.data instanceof Uint8Array) return new TextDecoder().decode(sym.data);
+      return String(sym.data);
+    }
+    if (sym.rawData) {
+      if (sym.rawData instanceof Uint8Array) return new TextDecoder().decode(sym.rawData);
+      return String(sym.rawData);
+    }
+    if (sym.dataString) return String(sym.dataString);
+    if (sym.raw) return String(sym.raw);
+  } catch (e) {
+    console.warn('Could not decode symbol text', e);
+  }
+  return null;
+}
+
+function extractCorners(sym) {
+  if (!sym) return null;
+  // common property names
+  if (Array.isArray(sym.points) && sym.points.length) return sym.points.map(p => ({ x: p.x, y: p.y }));
+  if (Array.isArray(sym.location) && sym.location.length) return sym.location.map(p => ({ x: p.x ?? p[0], y: p.y ?? p[1] }));
+  if (Array.isArray(sym.corners) && sym.corners.length) return sym.corners.map(p => ({ x: p.x, y: p.y }));
+  return null;
+}
+
+// ─── Chain ───────────────────────────────────────────────────────────────────
+
+const DecoderChain = (() => {
+  const STORAGE_KEY = 'decoder-chain';
+  const registry = new Map();
+  const defaults = { order: [], enabled: {} };
+  let config = null;
+
+  /**
+   * Register a decoder; it is appended to the default order and enabled.
+   * @param {string} name
+   * @param {{
+   *   available: () => boolean,
+   *   decode: (imgData: ImageData, options: { verify: boolean }) => Promise<Array<{ text, bytes?, points?, verification? }>>,
+   *   input?: 'processed' | 'raw',  image the decoder prefers when the caller offers both (default processed)
+   *   fallback?: boolean,           only run when the decoders before it found nothing
+   *   live?: boolean,               false = too slow for every video frame
+   * }} decoder
+   */
+  function register(name, decoder) {
+    registry.set(name, Object.assign({ name, input: 'processed', fallback: false, live: true }, decoder));
+    if (!defaults.order.includes(name)) defaults.order.push(name);
+    defaults.enabled[name] = true;
+  }
+
+  function load() {
+    if (config) return config;
+    let saved = {};
+    try {
+      saved = JSON.parse(self.localStorage?.getItem(STORAGE_KEY) || '{}');
+    } catch (e) { /* corrupt or unavailable storage */ }
+    config = {
+      // saved order first, then decoders registered since
+      order: (saved.order || []).filter(n => registry.has(n))
+        .concat(defaults.order.filter(n => !(saved.order || []).includes(n))),
+      enabled: Object.assign({}, defaults.enabled, saved.enabled),
+    };
+    return config;
+  }
+
+  /** Current order / enable list. */
+  function getConfig() {
+    const c = load();
+    return { order: c.order.slice(), enabled: Object.assign({}, c.enabled) };
+  }
+
+  /**
+   * Change (and persist) order and/or enable flags.
+   * @param {{ order?: string[], enabled?: Object<string, boolean> }} changes
+   */
+  function configure({ order, enabled } = {}) {
+    const c = load();
+    if (order) c.order = order.filter(n => registry.has(n)).concat(c.order.filter(n => !order.includes(n)));
+    if (enabled) Object.assign(c.enabled, enabled);
+    try {
+      self.localStorage?.setItem(STORAGE_KEY, JSON.stringify(c));
+    } catch (e) { /* private mode */ }
+    return getConfig();
+  }
+
+  const now = () => (self.performance ? performance.now() : Date.now());
+
+  /**
+   * Run the enabled decoders in configured order.
+   * @param {ImageData | { processed: ImageData, raw: ImageData }} input
+   * @param {{ offsetX?: number, offsetY?: number, first?: boolean, live?: boolean, verify?: boolean, exclude?: string[] }} [options]
+   *   offsetX/Y — added to all points (e.g. selection origin → canvas coordinates)
+   *   first     — stop after the first decoder that found something (single-code patches)
+   *   live      — video frame: skip decoders registered with live: false
+   *   verify    — ask decoders that support it for a print-quality report
+   * @returns {Promise<Array<{ text, bytes, points, decoder, ms, verification? }>>} one entry per distinct text
+   */
+  async function run(input, options = {}) {
+    const { offsetX = 0, offsetY = 0, first = false, live = false, verify = false, exclude = [] } = options;
+    const images = input && input.processed ? input : { processed: input, raw: input };
+    const c = load();
+    const results = [];
+
+    for (const name of c.order) {
+      const d = registry.get(name);
+      if (!d || !c.enabled[name] || exclude.includes(name) || (live && !d.live)) continue;
+      if (results.length && (first || d.fallback)) continue;
+      if (!d.available()) continue;
+
+      const t0 = now();
+      let found = [];
+      try {
+        found = (await d.decode(d.input === 'raw' ? images.raw : images.processed, { verify })) || [];
+      } catch (e) {
+        console.warn('decoder ' + name + ' failed', e);
+      }
+      const ms = Math.round(now() - t0);
+
+      found.forEach(r => {
+        if (!r || !r.text) return;
+        const points = r.points && r.points.length ? r.points.map(p => ({ x: p.x + offsetX, y: p.y + offsetY })) : null;
+        const existing = results.find(e => e.text === r.text);
+        if (existing) {
+          // a later decoder may still contribute corners or a grade report
+          if (!existing.points && points) existing.points = points;
+          if (!existing.verification && r.verification) existing.verification = r.verification;
+          return;
+        }
+        results.push({
+          text: String(r.text),
+          bytes: r.bytes || null,
+          points,
+          decoder: name,
+          ms,
+          verification: r.verification || null,
+        });
+      });
+    }
+    return results;
+  }
+
+  return { register, run, configure, config: getConfig, list: () => Array.from(registry.keys()) };
+})();
+
+// ─── Built-in decoders ───────────────────────────────────────────────────────
+
+DecoderChain.register('zbar', {
+  available: () => typeof ZBar !== 'undefined' && typeof ZBar.scanImageData === 'function',
+  // symbols without decodable text are dropped, not reported under a placeholder
+  decode: async imgData => (await ZBar.scanImageData(imgData) || []).map(sym => ({
+    text: decodeSymbolText(sym),
+    bytes: sym.data instanceof Uint8Array ? sym.data : null,
+    points: extractCorners(sym),
+  })).filter(r => r.text),
+});
+
+// server (ZXing WASM / zbar / libdmtx on the server) — every code in the image
+DecoderChain.register('server', {
+  available: () => typeof fetch === 'function',
+  decode: async (imgData, { verify }) => (await decodeWithLibDmtx(imgData, { verify }) || []).map(sym => ({
+    text: decodeSymbolText(sym),
+    points: extractCorners(sym),
+    verification: sym.verification,
+  })).filter(r => r.text),
+  // an HTTP round trip per video frame would flood the server
+  live: false,
+});
+
+// ZXing (pure JS, single code) as last resort on the unprocessed image
+DecoderChain.register('zxing', {
+  available: () => typeof self.ZXingLib !== 'undefined',
+  decode: async imgData => {
+    const zx = decodeWithZXing(imgData);
+    if (!zx) return [];
+    const raw = zx.raw && typeof zx.raw.getRawBytes === 'function' ? zx.raw.getRawBytes() : null;
+    return [{ text: zx.text || 'DataMatrix', bytes: raw ? Uint8Array.from(raw) : null, points: zx.points }];
+  },
+  input: 'raw',
+  fallback: true,
+});
@@ -0,0 +1,390 @@
+/**
+ * Frame worker: OpenCV preprocessing, quad detection, perspective warp and
+ * decoding of live video frames, off the main thread so video and overlay
+ * stay smooth. Loads OpenCV.js and the ZBar WASM itself and decodes through
+ * the same DecoderChain (decoders.js) as the main thread.
+ *
+ * Messages in:
+ *   { type: 'frame', id, bitmap, chain, trace? }  bitmap: ImageBitmap (transferred, closed here);
+ *                                                 chain: DecoderChain.config() of the page;
+ *                                                 trace: also return the debug trace
+ *   { type: 'outline', id, imgData, trace? }      candidate quads of a still image
+ * Messages out:
+ *   { type: 'ready', cv, zbar }
+ *   { type: 'frame', id, detections, candidates, raw, ms, trace?, error? }
+ *     detections — DecoderChain results (+ patch: warped ImageData)
+ *     candidates — every quad found by OpenCV, [TL, TR, BR, BL]
+ *     raw        — the frame as ImageData when something was decoded (thumbnails), else null
+ *     trace      — { binary, quads, patch }: opencvPreprocess output (ImageData), every
+ *                  quad considered ({ corners, accepted, reason? }) and the warped
+ *                  400×400 patch of the first decoded (else the largest) quad; null
+ *                  before OpenCV has loaded
+ *   { type: 'outline', id, quads, trace? }
+ */
+
+const OPENCV_URL = 'https://docs.opencv.org/4.9.0/opencv.js';
+const ZBAR_URL = 'https://cdn.jsdelivr.net/npm/@undecaf/zbar-wasm@0.11.0/dist/index.js';
+
+importScripts('decoders.js');
+
+let cvReady = false;
+
+function loadScript(url) {
+  try {
+    importScripts(url);
+    return true;
+  } catch (e) {
+    console.warn('frame worker: cannot load ' + url, e);
+    return false;
+  }
+}
+
+function postReady() {
+  self.postMessage({ type: 'ready', cv: cvReady, zbar: typeof ZBar !== 'undefined' });
+}
+
+/**
+ * OpenCV.js builds differ: some expose a ready `cv`, some a Module that
+ * fires onRuntimeInitialized, newer ones a promise of the module.
+ */
+function loadOpenCV() {
+  if (!loadScript(OPENCV_URL) || typeof cv === 'undefined') return;
+  const ready = mod => {
+    self.cv = mod;
+    cvReady = true;
+    postReady();
+  };
+  try {
+    // smoke test: the runtime is initialised once a Mat can be created
+    new cv.Mat().delete();
+    ready(cv);
+    return;
+  } catch (e) {
+    // not ready yet
+  }
+  if (typeof cv.then === 'function') {
+    cv.then(mod => { ready(mod); });
+  } else {
+    const prev = cv.onRuntimeInitialized;
+    cv.onRuntimeInitialized = () => {
+      if (typeof prev === 'function') prev();
+      ready(cv);
+    };
+  }
+}
+
+// ─── OpenCV helpers (added for robust DataMatrix detection) ────────────────
+
+/**
+ * Sort 4 arbitrary corner points into [TL, TR, BR, BL] order.
+ * Uses coordinate sums / differences (robust for axis-aligned and rotated quads).
+ */
+function sortCorners(pts) {
+  // TL = min(x+y), BR = max(x+y)
+  const bySum = pts.slice().sort((a, b) => (a.x + a.y) - (b.x + b.y));
+  const tl = bySum[0];
+  const br = bySum[3];
+  // among the two middle points: TR has greater x, BL has lesser x
+  const mid = [bySum[1], bySum[2]].sort((a, b) => a.x - b.x);
+  const bl = mid[0];
+  const tr = mid[1];
+  return [tl, tr, br, bl];
+}
+
+/** Lazy CLAHE instance — created once after cv runtime is initialised. */
+let _clahe = null;
+function getCLAHE() {
+  if (_clahe) return _clahe;
+  try {
+    // clipLimit 2.0, tileSize 4×4 — better for small ECC 200 module grids
+    _clahe = new cv.CLAHE(2.0, new cv.Size(4, 4));
+  } catch (_) {
+    try { _clahe = cv.createCLAHE(2.0, new cv.Size(4, 4)); } catch (_) { /* not available */ }
+  }
+  return _clahe;
+}
+
+/**
+ * Full preprocessing pipeline optimised for ECC 200 DataMatrix codes.
+ * Input : RGBA cv.Mat (from cv.matFromImageData).
+ * Output: single-channel binary cv.Mat — caller MUST .delete() it.
+ * Pipeline: grayscale → CLAHE(2.0,4×4) → UnsharpMask → AdaptiveThreshold(21) → Morph-Close(3×3)
+ */
+function opencvPreprocess(src) {
+  const gray = new cv.Mat();
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+  // CLAHE: boosts local contrast on small module grids
+  const enhanced = new cv.Mat();
+  const clahe = getCLAHE();
+  if (clahe) {
+    clahe.apply(gray, enhanced);
+  } else {
+    gray.copyTo(enhanced); // graceful degradation
+  }
+  gray.delete();
+
+  // Unsharp mask: sharpen ECC 200 module edges before thresholding
+  // result = 1.5 * src - 0.5 * blur(src, sigma=3)
+  const blurTemp = new cv.Mat();
+  cv.GaussianBlur(enhanced, blurTemp, new cv.Size(0, 0), 3);
+  const sharpened = new cv.Mat();
+  cv.addWeighted(enhanced, 1.5, blurTemp, -0.5, 0, sharpened);
+  blurTemp.delete();
+  enhanced.delete();
+
+  // Adaptive threshold: robust to non-uniform illumination across the frame.
+  // blockSize=21 covers module sizes of 3–15 px (typical camera distances).
+  const binary = new cv.Mat();
+  cv.adaptiveThreshold(sharpened, binary, 255,
+    cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY, 21, 4);
+  sharpened.delete();
+
+  // Morphological closing: fill tiny holes/gaps in ECC 200 modules
+  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+  const closed = new cv.Mat();
+  cv.morphologyEx(binary, closed, cv.MORPH_CLOSE, kernel);
+  kernel.delete();
+  binary.delete();
+
+  return closed; // single-channel binary
+}
+
+/**
+ * Warp a detected quadrilateral to a 400×400 RGBA square.
+ * corners = [TL, TR, BR, BL] from sortCorners().
+ * Returns warped RGBA cv.Mat — caller MUST .delete() it.
+ */
+function warpToSquare(srcMat, corners, size = 400) {
+  const [tl, tr, br, bl] = corners;
+  const srcPts = cv.matFromArray(4, 1, cv.CV_32FC2, [
+    tl.x, tl.y,
+    tr.x, tr.y,
+    br.x, br.y,
+    bl.x, bl.y,
+  ]);
+  const dstPts = cv.matFromArray(4, 1, cv.CV_32FC2, [
+    0,    0,
+    size, 0,
+    size, size,
+    0,    size,
+  ]);
+  const M = cv.getPerspectiveTransform(srcPts, dstPts);
+  const warped = new cv.Mat();
+  cv.warpPerspective(srcMat, warped, M, new cv.Size(size, size));
+  srcPts.delete(); dstPts.delete(); M.delete();
+  return warped; // RGBA, size × size
+}
+
+/**
+ * Convert an RGBA cv.Mat to an ImageData object.
+ *
+ * NOTE: We must copy the pixel bytes into a fresh Uint8ClampedArray whose
+ * .buffer owns exactly width×height×4 bytes.  Passing a shared-buffer view
+ * (new Uint8ClampedArray(wasm.memory.buffer, offset, len)) causes ImageData
+ * to validate against the full 128 MB WebAssembly heap and throw
+ * "data length does not match width and height".
+ */
+function matToImageData(rgbaMat) {
+  // new Uint8ClampedArray(typedArray) copies elements into a new, self-owned buffer
+  const pixels = new Uint8ClampedArray(rgbaMat.data);
+  return new ImageData(pixels, rgbaMat.cols, rgbaMat.rows);
+}
+
+/** Upper bound of candidate quads per image (trays hold up to ~30 parts). */
+const MAX_QUADS = 32;
+
+/**
+ * Find all plausible ECC 200 outlines in a binary image: convex quads of
+ * sufficient area with square or 1:2 / 1:3 rectangular aspect ratio.
+ * Returns sorted [TL, TR, BR, BL] corner arrays, largest first.
+ * `considered` (debug trace) receives every four-cornered contour with
+ * { corners, accepted, reason? }, reason 'concave', 'aspect' or 'limit'.
+ */
+function findCodeQuads(binary, offsetX = 0, offsetY = 0, considered = null) {
+  const contours  = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  // Use RETR_EXTERNAL to focus on outer boundaries of the DataMatrix
+  cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+  const quads = [];
+  for (let i = 0; i < contours.size(); i++) {
+    const cnt  = contours.get(i);
+    const area = cv.contourArea(cnt);
+    if (area < 200) { cnt.delete(); continue; } // skip tiny blobs
+
+    const approx = new cv.Mat();
+    // epsilon ~4% of arc length gives stable quads for ECC200
+    cv.approxPolyDP(cnt, approx, 0.04 * cv.arcLength(cnt, true), true);
+    if (approx.rows === 4) {
+      const d = approx.data32S; // CV_32SC2 → Int32Array, stride = 2
+      const corners = sortCorners([
+        { x: d[0] + offsetX, y: d[1] + offsetY },
+        { x: d[2] + offsetX, y: d[3] + offsetY },
+        { x: d[4] + offsetX, y: d[5] + offsetY },
+        { x: d[6] + offsetX, y: d[7] + offsetY },
+      ]);
+      const rect = cv.boundingRect(approx);
+      const ratio = rect.width / Math.max(rect.height, 1);
+      // ECC 200: outer boundary must be a convex quad; aspect ratio ≈1.0 for
+      // square variants, rectangular 1:2 / 1:3 allowed
+      let reason = null;
+      if (!cv.isContourConvex(approx)) reason = 'concave';
+      else if (ratio < 0.35 || ratio > 3.0) reason = 'aspect';
+      if (!reason) quads.push({ area, corners });
+      else if (considered) considered.push({ corners, accepted: false, reason });
+    }
+    approx.delete();
+    cnt.delete();
+  }
+  contours.delete();
+  hierarchy.delete();
+  quads.sort((a, b) => b.area - a.area);
+  if (considered) {
+    quads.forEach((q, i) => considered.push(i < MAX_QUADS
+      ? { corners: q.corners, accepted: true }
+      : { corners: q.corners, accepted: false, reason: 'limit' }));
+  }
+  return quads.slice(0, MAX_QUADS).map(q => q.corners);
+}
+
+// ─── Frame pipeline ──────────────────────────────────────────────────────────
+
+const frameCanvas = new OffscreenCanvas(1, 1);
+const frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+function bitmapToImageData(bitmap) {
+  frameCanvas.width = bitmap.width;
+  frameCanvas.height = bitmap.height;
+  frameCtx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return frameCtx.getImageData(0, 0, frameCanvas.width, frameCanvas.height);
+}
+
+/**
+ * Pipeline per frame:
+ *   • OpenCV preprocess → contour quad detection → perspective warp of every
+ *     candidate quad to 400×400
+ *   • DecoderChain on each warped patch (first hit per patch), then on the
+ *     full frame — binary image for ZBar, raw frame for ZXing
+ * Before OpenCV has loaded only the raw frame goes through the chain.
+ * With `withTrace` the result carries the debug trace (see header).
+ */
+async function scanFrame(raw, withTrace = false) {
+  if (!cvReady) return { detections: await DecoderChain.run(raw, { live: true }), candidates: [], trace: null };
+
+  const src = cv.matFromImageData(raw);
+  // Full ECC 200 pipeline: CLAHE(2.0,4×4) → UnsharpMask → AdaptiveThresh(21) → Morph-Close
+  const binary = opencvPreprocess(src);
+  // Every plausible ECC 200 outline is kept — trays and labels often carry
+  // several codes in one frame.
+  const considered = withTrace ? [] : null;
+  const quads = findCodeQuads(binary, 0, 0, considered);
+
+  // Pre-compute warped ImageData so the Mats can be released before decoding
+  const patches = quads.map(corners => {
+    const warpedMat = warpToSquare(src, corners, 400);
+    const imgData = matToImageData(warpedMat);
+    warpedMat.delete();
+    return { corners, imgData };
+  });
+
+  // Convert single-channel binary → RGBA so ZBar can consume it
+  const binaryRGBA = new cv.Mat();
+  cv.cvtColor(binary, binaryRGBA, cv.COLOR_GRAY2RGBA);
+  const fullImgData = matToImageData(binaryRGBA);
+  binaryRGBA.delete();
+  binary.delete();
+  src.delete();
+
+  const detections = [];
+  const add = det => { if (!detections.some(d => d.text === det.text)) detections.push(det); };
+
+  // perspective-warped patches give the best quality for small codes; one
+  // code per patch, so stop at the first hit
+  for (const patch of patches) {
+    const [res] = await DecoderChain.run(patch.imgData, { first: true, live: true });
+    // corners come from OCV, not from the decoder (warped coord space)
+    if (res) add(Object.assign(res, { points: patch.corners, decoder: res.decoder + '-warped', patch: patch.imgData }));
+  }
+
+  // full frame — picks up codes whose outline was not found as a clean quad
+  const full = await DecoderChain.run({ processed: fullImgData, raw }, { live: true });
+  full.forEach(res => {
+    if (!res.points && quads.length && !detections.length) res.points = quads[0];
+    add(res);
+  });
+
+  let trace = null;
+  if (withTrace) {
+    const decoded = detections.find(d => d.patch);
+    trace = { binary: fullImgData, quads: considered, patch: decoded ? decoded.patch : patches[0]?.imgData || null };
+  }
+  return { detections, candidates: quads, trace };
+}
+
+async function onFrame({ id, bitmap, chain, trace: withTrace = false }) {
+  const t0 = performance.now();
+  try {
+    if (chain) DecoderChain.configure(chain);
+    const raw = bitmapToImageData(bitmap);
+    const { detections, candidates, trace } = await scanFrame(raw, withTrace);
+    // hand pixel buffers over instead of copying them (each buffer once)
+    const transfer = new Set(detections.filter(d => d.patch).map(d => d.patch.data.buffer));
+    if (detections.length) transfer.add(raw.data.buffer);
+    if (trace) {
+      transfer.add(trace.binary.data.buffer);
+      if (trace.patch) transfer.add(trace.patch.data.buffer);
+    }
+    self.postMessage({
+      type: 'frame', id, detections, candidates, trace,
+      raw: detections.length ? raw : null,
+      ms: Math.round(performance.now() - t0),
+    }, Array.from(transfer));
+  } catch (e) {
+    // always answer — the page drops frames until it hears back
+    console.warn('frame worker: frame failed', e);
+    self.postMessage({ type: 'frame', id, detections: [], candidates: [], raw: null, ms: 0, error: String(e.message || e) });
+  }
+}
+
+function onOutline({ id, imgData, trace: withTrace = false }) {
+  let quads = [];
+  let trace = null;
+  if (cvReady) {
+    try {
+      const src = cv.matFromImageData(imgData);
+      const binary = opencvPreprocess(src);
+      const considered = withTrace ? [] : null;
+      quads = findCodeQuads(binary, 0, 0, considered);
+      if (withTrace) {
+        const binaryRGBA = new cv.Mat();
+        cv.cvtColor(binary, binaryRGBA, cv.COLOR_GRAY2RGBA);
+        let patch = null;
+        if (quads.length) {
+          const warpedMat = warpToSquare(src, quads[0], 400);
+          patch = matToImageData(warpedMat);
+          warpedMat.delete();
+        }
+        trace = { binary: matToImageData(binaryRGBA), quads: considered, patch };
+        binaryRGBA.delete();
+      }
+      binary.delete();
+      src.delete();
+    } catch (e) {
+      console.warn('frame worker: outline failed', e);
+    }
+  }
+  const transfer = trace ? [trace.binary.data.buffer].concat(trace.patch ? [trace.patch.data.buffer] : []) : [];
+  self.postMessage({ type: 'outline', id, quads, trace }, transfer);
+}
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'frame') onFrame(data);
+  else if (data.type === 'outline') onOutline(data);
+});
+
+// ZBar is small and decodes on its own; OpenCV (several MB) follows once the
+// handler is in place
+if (loadScript(ZBAR_URL) && typeof ZBar === 'undefined') self.ZBar = self.zbarWasm;
+postReady();
+setTimeout(loadOpenCV, 0);
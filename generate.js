@@ -0,0 +1,152 @@
+/**
+ * Label generator panel: creates ECC 200 codes via POST /api/generate,
+ * offers download / print and reads the result back through /api/scan to
+ * verify the round trip. Exposes `initGenerateView()`.
+ */
+
+const GENERATE_SIZES = {
+  square: ['10x10', '12x12', '14x14', '16x16', '18x18', '20x20', '22x22', '24x24', '26x26',
+    '32x32', '36x36', '40x40', '44x44', '48x48', '52x52', '64x64', '72x72', '80x80', '88x88',
+    '96x96', '104x104', '120x120', '132x132', '144x144'],
+  rectangle: ['8x18', '8x32', '12x26', '12x36', '16x36', '16x48'],
+};
+
+/**
+ * Request a symbol from the server.
+ * @returns {Promise<{ blob: Blob, size: string }>} rejects with the server's error message
+ */
+async function generateCode(params) {
+  const resp = await fetch('/api/generate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
+  });
+  if (!resp.ok) {
+    const j = await resp.json().catch(() => ({}));
+    throw new Error([j.error || 'HTTP ' + resp.status].concat(j.errors || []).join(': '));
+  }
+  return { blob: await resp.blob(), size: resp.headers.get('X-Symbol-Size') };
+}
+
+/** Compare encoded and decoded content; GS1 by elements, since readers report HRI. */
+function sameContent(expected, decoded, gs1) {
+  if (!gs1 || typeof GS1 === 'undefined') return expected === decoded;
+  const key = text => GS1.parse(text).elements.map(e => e.ai + '=' + e.value).join('|');
+  return key(expected) === key(decoded);
+}
+
+/** Wire up the generator section in index.html. */
+function initGenerateView() {
+  const section = document.getElementById('generate');
+  const form = document.getElementById('generate-form');
+  if (!section || !form) return null;
+  const $ = id => document.getElementById(id);
+  const preview = $('gen-preview');
+  const info = $('gen-info');
+  const verifyOut = $('gen-verify');
+  let current = null; // { blob, url, size, params }
+
+  function fillSizes() {
+    const shape = $('gen-shape').value;
+    const sizes = shape === 'auto' ? GENERATE_SIZES.square.concat(GENERATE_SIZES.rectangle) : GENERATE_SIZES[shape];
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = t('common.auto');
+    $('gen-size').replaceChildren(auto, ...sizes.map(s => {
+      const o = document.createElement('option');
+      o.value = s;
+      o.textContent = s.replace('x', ' × ');
+      return o;
+    }));
+  }
+
+  function readParams() {
+    return {
+      text: $('gen-text').value,
+      gs1: $('gen-gs1').checked,
+      shape: $('gen-shape').value,
+      size: $('gen-size').value || undefined,
+      moduleSize: Number($('gen-module').value),
+      quietZone: Number($('gen-quiet').value),
+      format: $('gen-format').value,
+    };
+  }
+
+  function setResult(result, params) {
+    if (current) URL.revokeObjectURL(current.url);
+    current = result ? Object.assign({ url: URL.createObjectURL(result.blob), params }, result) : null;
+    preview.src = current ? current.url : '';
+    preview.classList.toggle('hidden', !current);
+    ['gen-download', 'gen-print', 'gen-verify-button'].forEach(id => { $(id).disabled = !current; });
+    verifyOut.textContent = '';
+    verifyOut.className = 'gen-verify';
+  }
+
+  async function generate() {
+    const params = readParams();
+    info.textContent = t('gen.generating');
+    try {
+      const result = await generateCode(params);
+      setResult(result, params);
+      info.textContent = t('gen.symbolSize', { size: result.size.replace('x', ' × ') });
+    } catch (e) {
+      setResult(null);
+      info.textContent = t('common.error', { error: e.message });
+    }
+  }
+
+  async function verify() {
+    if (!current) return;
+    verifyOut.textContent = t('common.checking');
+    try {
+      // always scan a PNG — the decoders cannot read SVG
+      const png = current.params.format === 'png'
+        ? current.blob
+        : (await generateCode(Object.assign({}, current.params, { format: 'png' }))).blob;
+      const fd = new FormData();
+      fd.append('image', png, 'generated.png');
+      const resp = await fetch('/api/scan', { method: 'POST', body: fd, headers: apiHeaders() });
+      const j = await resp.json();
+      if (!resp.ok) throw new Error(j.error || 'HTTP ' + resp.status);
+      const decoded = j.results && j.results[0];
+      const visible = t => (typeof ISO15434 !== 'undefined' ? ISO15434.visualize(t) : t);
+      if (decoded && sameContent(current.params.text, decoded.text, current.params.gs1)) {
+        verifyOut.textContent = t('gen.read', { decoder: decoded.decoder, text: visible(decoded.text) });
+        verifyOut.className = 'gen-verify ok';
+      } else {
+        verifyOut.textContent = decoded ? t('gen.mismatch', { text: visible(decoded.text) }) : t('gen.unreadable');
+        verifyOut.className = 'gen-verify fail';
+      }
+    } catch (e) {
+      verifyOut.textContent = t('common.error', { error: e.message });
+      verifyOut.className = 'gen-verify fail';
+    }
+  }
+
+  function print() {
+    if (!current) return;
+    const w = window.open('', '_blank');
+    if (!w) return;
+    w.document.title = 'DataMatrix';
+    const img = w.document.createElement('img');
+    img.src = current.url;
+    img.onload = () => { w.focus(); w.print(); };
+    w.document.body.appendChild(img);
+  }
+
+  $('generate-toggle')?.addEventListener('click', () => section.classList.toggle('hidden'));
+  $('gen-shape').addEventListener('change', fillSizes);
+  form.addEventListener('submit', e => { e.preventDefault(); generate(); });
+  $('gen-download').addEventListener('click', () => {
+    if (!current) return;
+    const ext = current.params.format === 'svg' ? 'svg' : 'png';
+    downloadFile('datamatrix-' + current.size + '.' + ext, current.blob.type, current.blob);
+  });
+  $('gen-print').addEventListener('click', print);
+  $('gen-verify-button').addEventListener('click', verify);
+  I18n.addEventListener('change', () => { $('gen-size').options[0].textContent = t('common.auto'); });
+
+  fillSizes();
+  setResult(null);
+  return { generate };
+}
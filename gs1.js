@@ -0,0 +1,257 @@
+/**
+ * GS1 element string parser — shared by server.js (require) and the PWA
+ * (<script src="gs1.js"> → window.GS1).
+ *
+ * Accepts the forms decoders hand us for GS1 DataMatrix:
+ *   • raw element strings with FNC1 transmitted as GS (0x1D), optionally
+ *     prefixed by a symbology identifier such as "]d2"
+ *   • human readable interpretation "(01)04012345678901(10)ABC"
+ *     (zxing-wasm's default text mode for GS1 content)
+ *
+ * Result: { ok, elements: [{ ai, title, value, valid, error?, date?, number? }], errors }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.GS1 = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const GS = '\x1D';
+  // Symbology identifiers that announce GS1 content (DataMatrix, Code 128, QR, DotCode)
+  const GS1_SYMBOLOGY_IDS = [']d2', ']C1', ']Q3', ']J1', ']e0'];
+
+  // ── Application Identifier table ──────────────────────────────────────────
+  // fixed: exact data length; max: maximum data length for variable fields.
+  // type 'date' = YYMMDD, 'gtin' = numeric with mod-10 check digit,
+  // 'decimal' = implied decimal point given by the last AI digit.
+  const AI = {};
+  function def(ai, title, spec) { AI[ai] = Object.assign({ ai, title, charset: 'an' }, spec); }
+
+  def('00', 'SSCC', { fixed: 18, charset: 'n', type: 'gtin' });
+  def('01', 'GTIN', { fixed: 14, charset: 'n', type: 'gtin' });
+  def('02', 'CONTENT', { fixed: 14, charset: 'n', type: 'gtin' });
+  def('10', 'BATCH/LOT', { max: 20 });
+  def('11', 'PROD DATE', { fixed: 6, charset: 'n', type: 'date' });
+  def('12', 'DUE DATE', { fixed: 6, charset: 'n', type: 'date' });
+  def('13', 'PACK DATE', { fixed: 6, charset: 'n', type: 'date' });
+  def('15', 'BEST BEFORE or BEST BY', { fixed: 6, charset: 'n', type: 'date' });
+  def('16', 'SELL BY', { fixed: 6, charset: 'n', type: 'date' });
+  def('17', 'USE BY or EXPIRY', { fixed: 6, charset: 'n', type: 'date' });
+  def('20', 'VARIANT', { fixed: 2, charset: 'n' });
+  def('21', 'SERIAL', { max: 20 });
+  def('22', 'CPV', { max: 20 });
+  def('235', 'TPX', { max: 28 });
+  def('240', 'ADDITIONAL ID', { max: 30 });
+  def('241', 'CUST. PART No.', { max: 30 });
+  def('242', 'MTO VARIANT', { max: 6, charset: 'n' });
+  def('243', 'PCN', { max: 20 });
+  def('250', 'SECONDARY SERIAL', { max: 30 });
+  def('251', 'REF. TO SOURCE', { max: 30 });
+  def('253', 'GDTI', { max: 30 });
+  def('254', 'GLN EXTENSION COMPONENT', { max: 20 });
+  def('255', 'GCN', { max: 25, charset: 'n' });
+  def('30', 'VAR. COUNT', { max: 8, charset: 'n', type: 'count' });
+  def('37', 'COUNT', { max: 8, charset: 'n', type: 'count' });
+  def('400', 'ORDER NUMBER', { max: 30 });
+  def('401', 'GINC', { max: 30 });
+  def('402', 'GSIN', { fixed: 17, charset: 'n' });
+  def('403', 'ROUTE', { max: 30 });
+  def('410', 'SHIP TO LOC', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('411', 'BILL TO', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('412', 'PURCHASE FROM', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('413', 'SHIP FOR LOC', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('414', 'LOC No.', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('415', 'PAY TO', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('416', 'PROD/SERV LOC', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('417', 'PARTY', { fixed: 13, charset: 'n', type: 'gtin' });
+  def('420', 'SHIP TO POST', { max: 20 });
+  def('421', 'SHIP TO POST', { max: 12 });
+  def('422', 'ORIGIN', { fixed: 3, charset: 'n' });
+  def('7003', 'EXPIRY TIME', { fixed: 10, charset: 'n' });
+  def('7006', 'FIRST FREEZE DATE', { fixed: 6, charset: 'n', type: 'date' });
+  def('7240', 'PROTOCOL', { max: 20 });
+  def('8003', 'GRAI', { max: 30 });
+  def('8004', 'GIAI', { max: 30 });
+  def('8005', 'PRICE PER UNIT', { fixed: 6, charset: 'n' });
+  def('8006', 'ITIP', { fixed: 18, charset: 'n' });
+  def('8018', 'GSRN - RECIPIENT', { fixed: 18, charset: 'n', type: 'gtin' });
+  def('8020', 'REF No.', { max: 25 });
+  def('90', 'INTERNAL', { max: 30 });
+  for (let i = 91; i <= 99; i++) def(String(i), 'INTERNAL', { max: 90 });
+  for (let i = 710; i <= 715; i++) def(String(i), 'NHRN', { max: 20 });
+
+  // Measures (310n–369n): 6 digits with n implied decimal places
+  const MEASURES = {
+    310: 'NET WEIGHT (kg)', 311: 'LENGTH (m)', 312: 'WIDTH (m)', 313: 'HEIGHT (m)',
+    314: 'AREA (m²)', 315: 'NET VOLUME (l)', 316: 'NET VOLUME (m³)',
+    330: 'GROSS WEIGHT (kg)', 331: 'LENGTH (m), log', 332: 'WIDTH (m), log',
+    333: 'HEIGHT (m), log', 334: 'AREA (m²), log', 335: 'VOLUME (l), log', 336: 'VOLUME (m³), log',
+  };
+  Object.keys(MEASURES).forEach(prefix => {
+    for (let d = 0; d <= 5; d++) {
+      def(prefix + d, MEASURES[prefix], { fixed: 6, charset: 'n', type: 'decimal', decimals: d });
+    }
+  });
+  for (let d = 0; d <= 9; d++) {
+    def('390' + d, 'AMOUNT', { max: 15, charset: 'n', type: 'decimal', decimals: d });
+    def('392' + d, 'PRICE', { max: 15, charset: 'n', type: 'decimal', decimals: d });
+  }
+
+  // AIs whose first two digits imply a predefined length; all others must be
+  // terminated by FNC1/GS unless they are the last element in the string.
+  const PREDEFINED = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17',
+    '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'];
+
+  function lookupAI(str, pos) {
+    for (let len = 2; len <= 4; len++) {
+      const code = str.substr(pos, len);
+      if (code.length === len && AI[code]) return AI[code];
+    }
+    return null;
+  }
+
+  /** Mod-10 check digit as used for GTIN, GLN and SSCC. */
+  function checkDigitValid(digits) {
+    let sum = 0;
+    const body = digits.slice(0, -1);
+    for (let i = body.length - 1, w = 3; i >= 0; i--, w = 4 - w) sum += Number(body[i]) * w;
+    return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+  }
+
+  /**
+   * YYMMDD → "YYYY-MM-DD" using the GS1 sliding century window.
+   * DD = 00 denotes the last day of the month.
+   */
+  function parseDate(v) {
+    const yy = Number(v.slice(0, 2));
+    const mm = Number(v.slice(2, 4));
+    let dd = Number(v.slice(4, 6));
+    if (mm < 1 || mm > 12 || dd > 31) return null;
+    const current = new Date().getFullYear();
+    const diff = yy - (current % 100);
+    let century = Math.floor(current / 100) * 100;
+    if (diff >= 51) century -= 100;
+    else if (diff <= -50) century += 100;
+    const year = century + yy;
+    const lastDay = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+    if (dd === 0) dd = lastDay;
+    if (dd > lastDay) return null;
+    return year + '-' + String(mm).padStart(2, '0') + '-' + String(dd).padStart(2, '0');
+  }
+
+  function validate(spec, value) {
+    const el = { ai: spec.ai, title: spec.title, value, valid: true };
+    const fail = msg => { el.valid = false; el.error = msg; return el; };
+    if (!value.length) return fail('empty value');
+    if (spec.fixed && value.length !== spec.fixed) {
+      return fail('expected ' + spec.fixed + ' characters, got ' + value.length);
+    }
+    if (spec.max && value.length > spec.max) return fail('longer than ' + spec.max + ' characters');
+    if (spec.charset === 'n' && !/^\d+$/.test(value)) return fail('non-numeric value');
+    if (spec.type === 'gtin' && !checkDigitValid(value)) return fail('check digit mismatch');
+    if (spec.type === 'date') {
+      const date = parseDate(value);
+      if (!date) return fail('invalid date');
+      el.date = date;
+    }
+    if (spec.type === 'decimal') el.number = Number(value) / Math.pow(10, spec.decimals);
+    if (spec.type === 'count') el.number = Number(value);
+    return el;
+  }
+
+  /** Strip symbology identifier / leading FNC1 and normalise control pictures. */
+  function normalise(text) {
+    let s = String(text).replace(/␝/g, GS);
+    for (const id of GS1_SYMBOLOGY_IDS) {
+      if (s.startsWith(id)) { s = s.slice(id.length); break; }
+    }
+    while (s.startsWith(GS)) s = s.slice(1);
+    return s;
+  }
+
+  function parseHRI(s, result) {
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let m;
+    let consumed = 0;
+    while ((m = re.exec(s)) !== null) {
+      if (m.index !== consumed) break;
+      consumed = re.lastIndex;
+      const spec = AI[m[1]];
+      if (!spec) {
+        result.elements.push({ ai: m[1], title: 'UNKNOWN', value: m[2], valid: false, error: 'unknown AI' });
+        continue;
+      }
+      result.elements.push(validate(spec, m[2]));
+    }
+    if (consumed !== s.length) result.errors.push('unparsed trailing data at position ' + consumed);
+  }
+
+  function parseElementString(s, result) {
+    let pos = 0;
+    while (pos < s.length) {
+      if (s[pos] === GS) { pos++; continue; }
+      const spec = lookupAI(s, pos);
+      if (!spec) {
+        result.errors.push('unknown AI at position ' + pos);
+        return;
+      }
+      pos += spec.ai.length;
+      let value;
+      if (spec.fixed) {
+        value = s.substr(pos, spec.fixed);
+        pos += value.length;
+        if (!PREDEFINED.includes(spec.ai.slice(0, 2)) && pos < s.length && s[pos] !== GS) {
+          result.errors.push('missing separator after AI (' + spec.ai + ')');
+        }
+      } else {
+        const end = s.indexOf(GS, pos);
+        value = end === -1 ? s.slice(pos) : s.slice(pos, end);
+        pos = end === -1 ? s.length : end + 1;
+      }
+      result.elements.push(validate(spec, value));
+    }
+  }
+
+  /** True when text carries GS1 markers (symbology id, leading FNC1 or HRI brackets). */
+  function isGS1(text) {
+    if (typeof text !== 'string' || !text) return false;
+    if (GS1_SYMBOLOGY_IDS.some(id => text.startsWith(id))) return true;
+    if (text[0] === GS || text[0] === '␝') return true;
+    return /^\(\d{2,4}\)/.test(text);
+  }
+
+  /**
+   * Parse a GS1 element string.
+   * @param {string} text  decoded symbol text
+   * @returns {{ ok: boolean, elements: Array<object>, errors: string[] }}
+   */
+  function parse(text) {
+    const result = { ok: false, elements: [], errors: [] };
+    const s = normalise(text || '');
+    if (!s) {
+      result.errors.push('empty element string');
+      return result;
+    }
+    if (s[0] === '(') parseHRI(s, result);
+    else parseElementString(s, result);
+    result.elements.forEach(el => {
+      if (!el.valid) result.errors.push('(' + el.ai + ') ' + el.error);
+    });
+    result.ok = result.elements.length > 0 && result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Build the element string for encoding: AI + value, with GS (FNC1) after
+   * every variable-length element except the last.
+   * @param {Array<{ ai: string, value: string }>} elements
+   */
+  function toElementString(elements) {
+    return elements.map((el, i) => {
+      const last = i === elements.length - 1;
+      return el.ai + el.value + (last || PREDEFINED.includes(el.ai.slice(0, 2)) ? '' : GS);
+    }).join('');
+  }
+
+  return { parse, isGS1, lookupAI: code => AI[code] || null, checkDigitValid, parseDate, toElementString };
+});
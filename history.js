@@ -0,0 +1,171 @@
+/**
+ * Persistent scan history (IndexedDB, works offline) with CSV/JSON export.
+ * Requires idb.js; exposes `ScanHistory` (storage) and `initHistoryView()` (UI).
+ *
+ * Entry: { id, text, fields, gs1, iso15434, timestamp, source, decoder, thumbnail }
+ *   source    — 'camera' | 'file' | 'selection' | 'batch'
+ *   fields    — flat [{ id, title, value }] from the GS1 / 15434 parsers
+ *   thumbnail — small JPEG data URL of the decoded patch (may be null)
+ */
+const ScanHistory = (() => {
+  const DB_NAME = 'scan-history';
+  const STORE = 'scans';
+  let dbPromise = null;
+
+  function db() {
+    if (!dbPromise) {
+      dbPromise = IDB.open(DB_NAME, 1, d => {
+        const store = d.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+      });
+    }
+    return dbPromise;
+  }
+
+  async function add(entry) {
+    const record = Object.assign({ timestamp: Date.now() }, entry);
+    delete record.id;
+    return IDB.withStore(await db(), STORE, 'readwrite', store => IDB.request(store.add(record)));
+  }
+
+  /**
+   * List entries, newest first.
+   * @param {{ search?: string, source?: string }} [filter]
+   */
+  async function list(filter = {}) {
+    const all = await IDB.withStore(await db(), STORE, 'readonly', store => IDB.request(store.getAll()));
+    const needle = (filter.search || '').trim().toLowerCase();
+    return all
+      .filter(e => !filter.source || e.source === filter.source)
+      .filter(e => !needle ||
+        e.text.toLowerCase().includes(needle) ||
+        (e.fields || []).some(f => String(f.value).toLowerCase().includes(needle)))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  async function remove(id) {
+    return IDB.withStore(await db(), STORE, 'readwrite', store => IDB.request(store.delete(id)));
+  }
+
+  async function clear() {
+    return IDB.withStore(await db(), STORE, 'readwrite', store => IDB.request(store.clear()));
+  }
+
+  // Semicolon-separated with BOM so the file opens directly in German Excel
+  function toCSV(entries) {
+    const esc = v => {
+      const s = v === undefined || v === null ? '' : String(v);
+      return /[";\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    };
+    const visible = t => (typeof ISO15434 !== 'undefined' ? ISO15434.visualize(t) : t);
+    const lines = [['timestamp', 'source', 'decoder', 'text', 'fields'].join(';')];
+    entries.forEach(e => {
+      const fields = (e.fields || []).map(f => f.id + '=' + f.value).join(' | ');
+      lines.push([new Date(e.timestamp).toISOString(), e.source, e.decoder, visible(e.text), fields].map(esc).join(';'));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  function toJSON(entries) {
+    // thumbnails are bulky and only useful inside the app
+    return JSON.stringify(entries.map(e => Object.assign({}, e, {
+      thumbnail: undefined,
+      timestamp: new Date(e.timestamp).toISOString(),
+    })), null, 2);
+  }
+
+  return { add, list, remove, clear, toCSV, toJSON };
+})();
+
+/** Trigger a browser download for generated content. */
+function downloadFile(filename, mime, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Wire up the history section in index.html. */
+function initHistoryView() {
+  const section = document.getElementById('history');
+  const list = document.getElementById('history-list');
+  const search = document.getElementById('history-search');
+  const source = document.getElementById('history-source');
+  if (!section || !list) return;
+
+  // sources with a message 'source.<source>'
+  const SOURCES = ['camera', 'file', 'selection', 'batch'];
+  const currentFilter = () => ({ search: search.value, source: source.value });
+
+  async function render() {
+    if (section.classList.contains('hidden')) return;
+    let entries = [];
+    try {
+      entries = await ScanHistory.list(currentFilter());
+    } catch (e) {
+      console.warn('history: cannot read IndexedDB', e);
+    }
+    list.replaceChildren(...entries.map(entry => {
+      const li = document.createElement('li');
+      li.className = 'history-entry';
+      if (entry.thumbnail) {
+        const img = document.createElement('img');
+        img.src = entry.thumbnail;
+        img.alt = '';
+        li.appendChild(img);
+      }
+      const info = document.createElement('div');
+      info.className = 'history-info';
+      const text = document.createElement('div');
+      text.className = 'history-text';
+      text.textContent = typeof ISO15434 !== 'undefined' ? ISO15434.visualize(entry.text) : entry.text;
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = I18n.formatDateTime(entry.timestamp) + ' · ' +
+        (SOURCES.includes(entry.source) ? t('source.' + entry.source) : entry.source) + ' · ' + (entry.decoder || '?');
+      info.append(text, meta);
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'history-delete';
+      del.textContent = t('common.delete');
+      del.addEventListener('click', async () => {
+        await ScanHistory.remove(entry.id);
+        render();
+      });
+      li.append(info, del);
+      return li;
+    }));
+    if (!entries.length) {
+      const li = document.createElement('li');
+      li.className = 'history-empty';
+      li.textContent = t('history.empty');
+      list.appendChild(li);
+    }
+  }
+
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  document.getElementById('history-toggle')?.addEventListener('click', () => {
+    section.classList.toggle('hidden');
+    render();
+  });
+  search?.addEventListener('input', render);
+  source?.addEventListener('change', render);
+  document.getElementById('history-export-csv')?.addEventListener('click', async () => {
+    downloadFile('scans-' + stamp() + '.csv', 'text/csv;charset=utf-8', ScanHistory.toCSV(await ScanHistory.list(currentFilter())));
+  });
+  document.getElementById('history-export-json')?.addEventListener('click', async () => {
+    downloadFile('scans-' + stamp() + '.json', 'application/json', ScanHistory.toJSON(await ScanHistory.list(currentFilter())));
+  });
+  document.getElementById('history-clear')?.addEventListener('click', async () => {
+    if (!confirm(t('history.confirmClear'))) return;
+    await ScanHistory.clear();
+    render();
+  });
+  I18n.addEventListener('change', render);
+
+  return { refresh: render };
+}
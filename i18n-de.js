@@ -0,0 +1,217 @@
+/** German message catalogue (see i18n.js). */
+I18n.register('de', {
+  // ── Page ──
+  'app.language': 'Sprache',
+  'app.languageAuto': 'Sprache: automatisch',
+  'update.available': 'Neue Version verfügbar',
+  'update.reload': 'Neu laden',
+  'footer.rights': '© 2026 Brors.NET – alle Rechte vorbehalten.',
+  'help.title': 'Hilfe',
+  'help.text': 'Optimierter Open Source DataMatrix Scanner.',
+  'help.author': 'Autor:',
+
+  // ── Common ──
+  'common.auto': 'Automatisch',
+  'common.save': 'Speichern',
+  'common.check': 'Prüfen',
+  'common.checking': 'Prüfe…',
+  'common.delete': 'Löschen',
+  'common.close': 'Schließen',
+  'common.exportCSV': 'CSV exportieren',
+  'common.exportJSON': 'JSON exportieren',
+  'common.error': 'Fehler: {error}',
+
+  // ── Controls ──
+  'nav.help': 'Hilfe',
+  'nav.history': 'Verlauf',
+  'nav.session': 'Zählung',
+  'nav.generate': 'Erzeugen',
+  'nav.validation': 'Soll-Abgleich',
+  'nav.outbox': 'Weiterleitung',
+  'nav.server': 'Server',
+  'nav.debug': 'Debug',
+  'nav.stop': 'Stopp',
+
+  // ── Camera bar ──
+  'camera.toolbar': 'Kamera',
+  'camera.device': 'Kamera {n}',
+  'camera.resolution': 'Auflösung',
+  'camera.resolutionAuto': 'Auflösung: Standard',
+  'camera.torch': 'Licht',
+  'camera.zoom': 'Zoom',
+  'camera.focus': 'Fokus',
+  'camera.focusAuto': 'Autofokus',
+  'camera.focusManual': 'Fokus fest',
+  'camera.distance': 'Abstand',
+  'vote.label': 'Bestätigung',
+  'vote.instant': 'Sofort übernehmen',
+  'vote.preset': '{required} von {window} Bildern',
+  'vote.cooldownLabel': 'Sperrzeit für denselben Code',
+  'vote.cooldown': 'Sperrzeit {seconds} s',
+  'feedback.toggle': 'Ton',
+  'roi.toggle': 'Zielrahmen',
+  'roi.centerOnly': 'nur Codes im Rahmen',
+
+  // ── Result ──
+  'result.scanning': 'Scan läuft...',
+  'result.confirming': 'Bestätige… ({votes}/{required})',
+  'result.found': 'Gefunden: ',
+  'result.codesFound': { one: '{count} Code gefunden', other: '{count} Codes gefunden' },
+  'result.none': 'Keine Codes gefunden',
+  'result.noneInSelection': 'Keine Codes im Auswahlbereich gefunden',
+  'result.stopped': 'Gestoppt',
+  'result.cameraError': 'Kamerafehler',
+  'result.decoderMissing': ' (Hinweis: Decoder nicht geladen — Tracking/Blocker?)',
+  'fields.title': 'Bezeichnung',
+  'fields.value': 'Wert',
+  'gs1.invalid': 'GS1 (fehlerhaft)',
+  'grade.caption': 'ISO/IEC 15415 · Gesamtnote {grade} · {size} · X = {module} px',
+  'grade.parameter': 'Parameter',
+  'grade.failed': 'Note F',
+  'grade.unavailable': 'Prüfung nicht möglich: {error}',
+  'grade.skipped': 'Prüfung übersprungen – Zeitlimit erreicht',
+  'grade.skippedBusy': 'Prüfung übersprungen – Server ausgelastet',
+  'grade.SC': 'Symbolkontrast',
+  'grade.MOD': 'Modulation',
+  'grade.RM': 'Reflexionsreserve',
+  'grade.FPD': 'Schäden am festen Muster',
+  'grade.AN': 'Axiale Ungleichmäßigkeit',
+  'grade.GNU': 'Raster-Ungleichmäßigkeit',
+  'grade.UEC': 'Ungenutzte Fehlerkorrektur',
+  'grade.decode': 'Dekodierbarkeit',
+
+  // ── Debug ──
+  'debug.panel': 'Debug-Ansicht',
+  'debug.binary': 'Binärbild (opencvPreprocess)',
+  'debug.patch': 'Entzerrter Ausschnitt 400×400',
+  'debug.noTrace': 'Kein Trace – OpenCV lädt noch oder ist nicht verfügbar',
+  'debug.summary': '{quads} Vierecke geprüft · {accepted} akzeptiert',
+  'debug.rejected': 'verworfen: {reasons}',
+  'debug.reason.concave': 'nicht konvex',
+  'debug.reason.aspect': 'Seitenverhältnis',
+  'debug.reason.limit': 'über Limit',
+
+  // ── Server access ──
+  'server.title': 'Server-Zugang',
+  'server.key': 'API-Schlüssel (leer = ohne Anmeldung)',
+  'server.keyInvalid': '✗ Schlüssel ungültig',
+  'server.keyRequired': '✗ Server verlangt einen API-Schlüssel',
+  'server.rateLimited': 'Anfragelimit erreicht – erneut in {seconds} s',
+  'server.open': '✓ Server ohne Anmeldung',
+  'server.usage': '✓ Angemeldet als „{key}“ · {requests} Anfragen · {images} Bilder · {bytes} · Limit {limit} je {window} s',
+  'server.unreachable': 'Server nicht erreichbar',
+  'server.rejectedKey': 'Server: API-Schlüssel fehlt oder ist ungültig (Einstellung „Server“)',
+  'server.rejectedLimit': 'Server: Anfragelimit erreicht',
+  'server.retryIn': ' – erneut in {seconds} s',
+
+  // ── History ──
+  'history.title': 'Verlauf',
+  'history.search': 'Suchen…',
+  'history.searchLabel': 'Verlauf durchsuchen',
+  'history.source': 'Quelle',
+  'history.allSources': 'Alle Quellen',
+  'history.clear': 'Verlauf löschen',
+  'history.confirmClear': 'Gesamten Verlauf löschen?',
+  'history.empty': 'Keine Einträge',
+  'source.camera': 'Kamera',
+  'source.file': 'Datei',
+  'source.selection': 'Auswahl',
+  'source.batch': 'Stapel',
+
+  // ── Counting sessions ──
+  'session.title': 'Zählung',
+  'session.name': 'z. B. Wareneingang Lieferschein 4711',
+  'session.nameLabel': 'Name der Zählung',
+  'session.defaultName': 'Zählung {date}',
+  'session.start': 'Starten',
+  'session.lots': 'Artikel / Chargen',
+  'session.duplicates': 'Doppelte Seriennummern',
+  'session.report': 'Bericht',
+  'session.export': 'Zwischenstand exportieren',
+  'session.close': 'Abschließen',
+  'session.closedList': 'Abgeschlossene Zählungen',
+  'session.noProduct': 'ohne Artikel',
+  'session.batch': 'Charge {batch}',
+  'session.status': 'Zählung „{name}“: {scans} · {codes} · {lots}',
+  'session.scans': { one: '{count} Scan', other: '{count} Scans' },
+  'session.codes': { one: '{count} Code', other: '{count} Codes' },
+  'session.lotCount': { one: '{count} Artikel/Charge', other: '{count} Artikel/Chargen' },
+  'session.duplicateCount': { one: '{count} doppelte Seriennummer', other: '{count} doppelte Seriennummern' },
+  'session.duplicateWarning': ' – Seriennummer bereits gescannt!',
+  'session.running': 'Läuft seit {time}',
+  'session.none': 'Keine Zählung aktiv',
+  'session.alreadyOpen': 'Zählung „{name}“ läuft noch – erst abschließen',
+  'session.startFailed': 'Zählung kann nicht gestartet werden (Speicher nicht verfügbar)',
+  'session.confirmClose': 'Zählung „{name}“ abschließen?',
+  'session.confirmDelete': 'Zählung „{name}“ löschen?',
+  'session.fileName': 'zaehlung',
+
+  // ── Batch scan ──
+  'batch.title': 'Stapelscan',
+  'batch.codes': { one: '{count} Code', other: '{count} Codes' },
+  'batch.uploading': 'Hochladen…',
+  'batch.progress': '{done} / {total} Dateien · {codes} Codes',
+  'batch.done': '{total} Dateien · {codes} Codes',
+  'batch.errors': '{count} Fehler',
+  'batch.failed': 'Stapelscan fehlgeschlagen: {error}',
+
+  // ── Generator ──
+  'gen.title': 'Code erzeugen',
+  'gen.text': 'Inhalt, z. B. (01)04012345678901(10)ABC123',
+  'gen.textLabel': 'Inhalt',
+  'gen.shape': 'Form',
+  'gen.square': 'Quadratisch',
+  'gen.rectangle': 'Rechteckig',
+  'gen.size': 'Größe',
+  'gen.module': 'Modul (px)',
+  'gen.quiet': 'Ruhezone',
+  'gen.format': 'Format',
+  'gen.submit': 'Erzeugen',
+  'gen.download': 'Herunterladen',
+  'gen.print': 'Drucken',
+  'gen.previewAlt': 'Erzeugter DataMatrix-Code',
+  'gen.generating': 'Erzeuge…',
+  'gen.symbolSize': 'Symbolgröße {size} Module',
+  'gen.read': '✓ Gelesen ({decoder}): {text}',
+  'gen.mismatch': '✗ Abweichung: {text}',
+  'gen.unreadable': '✗ Nicht lesbar',
+
+  // ── Expected-code validation ──
+  'val.title': 'Soll-Abgleich',
+  'val.list': 'Erwartete Codes, einer pro Zeile – oder CSV mit Kopfzeile code;mode;label',
+  'val.listLabel': 'Erwartete Codes',
+  'val.mode': 'Vergleich',
+  'val.mode.exact': 'Exakt',
+  'val.mode.prefix': 'Präfix',
+  'val.mode.regex': 'Regulärer Ausdruck',
+  'val.mode.gs1': 'GS1-Felder',
+  'val.file': 'Liste aus Datei laden',
+  'val.url': 'Liste von Endpunkt laden',
+  'val.fetch': 'Laden',
+  'val.apply': 'Übernehmen',
+  'val.reset': 'Zurücksetzen',
+  'val.clear': 'Beenden',
+  'val.mismatches': 'Abweichungen',
+  'val.progress': '{confirmed} von {total} bestätigt',
+  'val.loading': 'Lade…',
+  'val.loadFailed': 'Liste nicht ladbar: {error}',
+  'val.unexpected': '✗ Nicht erwartet: {text}',
+  'val.fileName': 'abweichungen',
+
+  // ── Forwarding ──
+  'outbox.title': 'Weiterleitung',
+  'outbox.enabled': 'Scans an Endpunkt senden',
+  'outbox.url': 'URL',
+  'outbox.headers': 'Header (eine Zeile je „Name: Wert“)',
+  'outbox.template': 'Nutzlast-Vorlage (leer = JSON des Scans)',
+  'outbox.device': 'Geräte-ID',
+  'outbox.flush': 'Jetzt senden',
+  'outbox.retry': 'Fehlgeschlagene wiederholen',
+  'outbox.clear': 'Warteschlange leeren',
+  'outbox.confirmClear': 'Warteschlange verwerfen? Nicht zugestellte Scans gehen verloren.',
+  'outbox.pending': '⇡ {pending} ausstehend',
+  'outbox.failed': '{failed} fehlgeschlagen',
+  'outbox.delivered': '⇡ zugestellt',
+  'outbox.offline': 'Offline – wird bei Verbindung gesendet',
+  'outbox.counts': '{pending} ausstehend · {failed} fehlgeschlagen',
+});
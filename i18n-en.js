@@ -0,0 +1,217 @@
+/** English message catalogue (see i18n.js); also the fallback for missing keys. */
+I18n.register('en', {
+  // ── Page ──
+  'app.language': 'Language',
+  'app.languageAuto': 'Language: automatic',
+  'update.available': 'New version available',
+  'update.reload': 'Reload',
+  'footer.rights': '© 2026 Brors.NET – all rights reserved.',
+  'help.title': 'Help',
+  'help.text': 'Optimised open-source DataMatrix scanner.',
+  'help.author': 'Author:',
+
+  // ── Common ──
+  'common.auto': 'Automatic',
+  'common.save': 'Save',
+  'common.check': 'Check',
+  'common.checking': 'Checking…',
+  'common.delete': 'Delete',
+  'common.close': 'Close',
+  'common.exportCSV': 'Export CSV',
+  'common.exportJSON': 'Export JSON',
+  'common.error': 'Error: {error}',
+
+  // ── Controls ──
+  'nav.help': 'Help',
+  'nav.history': 'History',
+  'nav.session': 'Counting',
+  'nav.generate': 'Generate',
+  'nav.validation': 'Expected codes',
+  'nav.outbox': 'Forwarding',
+  'nav.server': 'Server',
+  'nav.debug': 'Debug',
+  'nav.stop': 'Stop',
+
+  // ── Camera bar ──
+  'camera.toolbar': 'Camera',
+  'camera.device': 'Camera {n}',
+  'camera.resolution': 'Resolution',
+  'camera.resolutionAuto': 'Resolution: default',
+  'camera.torch': 'Light',
+  'camera.zoom': 'Zoom',
+  'camera.focus': 'Focus',
+  'camera.focusAuto': 'Autofocus',
+  'camera.focusManual': 'Fixed focus',
+  'camera.distance': 'Distance',
+  'vote.label': 'Confirmation',
+  'vote.instant': 'Accept immediately',
+  'vote.preset': '{required} of {window} frames',
+  'vote.cooldownLabel': 'Hold-off for the same code',
+  'vote.cooldown': 'Hold-off {seconds} s',
+  'feedback.toggle': 'Sound',
+  'roi.toggle': 'Aiming box',
+  'roi.centerOnly': 'only codes inside the box',
+
+  // ── Result ──
+  'result.scanning': 'Scanning...',
+  'result.confirming': 'Confirming… ({votes}/{required})',
+  'result.found': 'Found: ',
+  'result.codesFound': { one: '{count} code found', other: '{count} codes found' },
+  'result.none': 'No codes found',
+  'result.noneInSelection': 'No codes found in the selection',
+  'result.stopped': 'Stopped',
+  'result.cameraError': 'Camera error',
+  'result.decoderMissing': ' (Note: decoder not loaded — tracking protection or blocker?)',
+  'fields.title': 'Title',
+  'fields.value': 'Value',
+  'gs1.invalid': 'GS1 (invalid)',
+  'grade.caption': 'ISO/IEC 15415 · overall grade {grade} · {size} · X = {module} px',
+  'grade.parameter': 'Parameter',
+  'grade.failed': 'Grade F',
+  'grade.unavailable': 'Grading not possible: {error}',
+  'grade.skipped': 'Grading skipped – time limit reached',
+  'grade.skippedBusy': 'Grading skipped – server busy',
+  'grade.SC': 'Symbol contrast',
+  'grade.MOD': 'Modulation',
+  'grade.RM': 'Reflectance margin',
+  'grade.FPD': 'Fixed pattern damage',
+  'grade.AN': 'Axial non-uniformity',
+  'grade.GNU': 'Grid non-uniformity',
+  'grade.UEC': 'Unused error correction',
+  'grade.decode': 'Decode',
+
+  // ── Debug ──
+  'debug.panel': 'Debug view',
+  'debug.binary': 'Binary image (opencvPreprocess)',
+  'debug.patch': 'Rectified patch 400×400',
+  'debug.noTrace': 'No trace – OpenCV is still loading or unavailable',
+  'debug.summary': '{quads} quads checked · {accepted} accepted',
+  'debug.rejected': 'rejected: {reasons}',
+  'debug.reason.concave': 'not convex',
+  'debug.reason.aspect': 'aspect ratio',
+  'debug.reason.limit': 'over limit',
+
+  // ── Server access ──
+  'server.title': 'Server access',
+  'server.key': 'API key (empty = no authentication)',
+  'server.keyInvalid': '✗ Invalid key',
+  'server.keyRequired': '✗ The server requires an API key',
+  'server.rateLimited': 'Rate limit reached – retry in {seconds} s',
+  'server.open': '✓ Server without authentication',
+  'server.usage': '✓ Signed in as “{key}” · {requests} requests · {images} images · {bytes} · limit {limit} per {window} s',
+  'server.unreachable': 'Server not reachable',
+  'server.rejectedKey': 'Server: API key missing or invalid (setting “Server”)',
+  'server.rejectedLimit': 'Server: rate limit reached',
+  'server.retryIn': ' – retry in {seconds} s',
+
+  // ── History ──
+  'history.title': 'History',
+  'history.search': 'Search…',
+  'history.searchLabel': 'Search history',
+  'history.source': 'Source',
+  'history.allSources': 'All sources',
+  'history.clear': 'Clear history',
+  'history.confirmClear': 'Delete the entire history?',
+  'history.empty': 'No entries',
+  'source.camera': 'Camera',
+  'source.file': 'File',
+  'source.selection': 'Selection',
+  'source.batch': 'Batch',
+
+  // ── Counting sessions ──
+  'session.title': 'Counting',
+  'session.name': 'e.g. goods receipt, delivery note 4711',
+  'session.nameLabel': 'Session name',
+  'session.defaultName': 'Count {date}',
+  'session.start': 'Start',
+  'session.lots': 'Products / batches',
+  'session.duplicates': 'Duplicate serial numbers',
+  'session.report': 'Report',
+  'session.export': 'Export interim report',
+  'session.close': 'Close session',
+  'session.closedList': 'Closed sessions',
+  'session.noProduct': 'no product',
+  'session.batch': 'batch {batch}',
+  'session.status': 'Counting “{name}”: {scans} · {codes} · {lots}',
+  'session.scans': { one: '{count} scan', other: '{count} scans' },
+  'session.codes': { one: '{count} code', other: '{count} codes' },
+  'session.lotCount': { one: '{count} product/batch', other: '{count} products/batches' },
+  'session.duplicateCount': { one: '{count} duplicate serial number', other: '{count} duplicate serial numbers' },
+  'session.duplicateWarning': ' – serial number already scanned!',
+  'session.running': 'Running since {time}',
+  'session.none': 'No active session',
+  'session.alreadyOpen': 'Session “{name}” is still running – close it first',
+  'session.startFailed': 'Cannot start the session (storage unavailable)',
+  'session.confirmClose': 'Close session “{name}”?',
+  'session.confirmDelete': 'Delete session “{name}”?',
+  'session.fileName': 'count',
+
+  // ── Batch scan ──
+  'batch.title': 'Batch scan',
+  'batch.codes': { one: '{count} code', other: '{count} codes' },
+  'batch.uploading': 'Uploading…',
+  'batch.progress': '{done} / {total} files · {codes} codes',
+  'batch.done': '{total} files · {codes} codes',
+  'batch.errors': { one: '{count} error', other: '{count} errors' },
+  'batch.failed': 'Batch scan failed: {error}',
+
+  // ── Generator ──
+  'gen.title': 'Generate code',
+  'gen.text': 'Content, e.g. (01)04012345678901(10)ABC123',
+  'gen.textLabel': 'Content',
+  'gen.shape': 'Shape',
+  'gen.square': 'Square',
+  'gen.rectangle': 'Rectangular',
+  'gen.size': 'Size',
+  'gen.module': 'Module (px)',
+  'gen.quiet': 'Quiet zone',
+  'gen.format': 'Format',
+  'gen.submit': 'Generate',
+  'gen.download': 'Download',
+  'gen.print': 'Print',
+  'gen.previewAlt': 'Generated DataMatrix code',
+  'gen.generating': 'Generating…',
+  'gen.symbolSize': 'Symbol size {size} modules',
+  'gen.read': '✓ Read ({decoder}): {text}',
+  'gen.mismatch': '✗ Mismatch: {text}',
+  'gen.unreadable': '✗ Not readable',
+
+  // ── Expected-code validation ──
+  'val.title': 'Expected codes',
+  'val.list': 'Expected codes, one per line – or CSV with header row code;mode;label',
+  'val.listLabel': 'Expected codes',
+  'val.mode': 'Match',
+  'val.mode.exact': 'Exact',
+  'val.mode.prefix': 'Prefix',
+  'val.mode.regex': 'Regular expression',
+  'val.mode.gs1': 'GS1 fields',
+  'val.file': 'Load list from file',
+  'val.url': 'Load list from endpoint',
+  'val.fetch': 'Load',
+  'val.apply': 'Apply',
+  'val.reset': 'Reset',
+  'val.clear': 'End',
+  'val.mismatches': 'Mismatches',
+  'val.progress': '{confirmed} of {total} confirmed',
+  'val.loading': 'Loading…',
+  'val.loadFailed': 'Cannot load list: {error}',
+  'val.unexpected': '✗ Not expected: {text}',
+  'val.fileName': 'mismatches',
+
+  // ── Forwarding ──
+  'outbox.title': 'Forwarding',
+  'outbox.enabled': 'Send scans to an endpoint',
+  'outbox.url': 'URL',
+  'outbox.headers': 'Headers (one “Name: value” per line)',
+  'outbox.template': 'Payload template (empty = scan as JSON)',
+  'outbox.device': 'Device ID',
+  'outbox.flush': 'Send now',
+  'outbox.retry': 'Retry failed',
+  'outbox.clear': 'Clear queue',
+  'outbox.confirmClear': 'Discard the queue? Undelivered scans will be lost.',
+  'outbox.pending': '⇡ {pending} pending',
+  'outbox.failed': '{failed} failed',
+  'outbox.delivered': '⇡ delivered',
+  'outbox.offline': 'Offline – will be sent when back online',
+  'outbox.counts': '{pending} pending · {failed} failed',
+});
@@ -0,0 +1,133 @@
+/**
+ * Translation layer for the PWA: message catalogues per language
+ * (i18n-de.js, i18n-en.js register themselves with `I18n.register()`),
+ * language detection from navigator.languages, a manual choice persisted in
+ * localStorage, and Intl-based date / number formatting in the language's
+ * locale. Static markup is translated through data attributes:
+ *   data-i18n="key"                 — textContent
+ *   data-i18n-placeholder / -title / -aria-label / -alt="key" — that attribute
+ * Exposes `I18n` and the shorthand `t()`.
+ *
+ * Messages may contain {name} placeholders; a message can also be an object
+ * { one, other } picked by Intl.PluralRules for params.count.
+ */
+const I18n = (() => {
+  const STORAGE_KEY = 'language';
+  const FALLBACK = 'en';
+  const ATTRIBUTES = ['placeholder', 'title', 'aria-label', 'alt'];
+  const catalogues = {};
+  const events = new EventTarget();
+  let choice = load();   // 'auto' or a language code
+  let lang = null;       // resolved language, see resolve()
+
+  function load() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) || 'auto';
+    } catch (e) {
+      return 'auto'; // unavailable storage
+    }
+  }
+
+  const browserLanguages = () => (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || '']);
+
+  /** First browser language with a catalogue, else FALLBACK. */
+  function detect() {
+    const found = browserLanguages().map(l => String(l).slice(0, 2).toLowerCase()).find(l => catalogues[l]);
+    return found || FALLBACK;
+  }
+
+  function resolve() {
+    lang = choice !== 'auto' && catalogues[choice] ? choice : detect();
+    return lang;
+  }
+
+  /**
+   * Locale for Intl: the browser's own variant when it speaks the language
+   * (en-US vs. en-GB dates), else the bare language.
+   */
+  function locale() {
+    const l = lang || resolve();
+    return browserLanguages().find(b => String(b).toLowerCase().startsWith(l)) || l;
+  }
+
+  /** Add (or extend) the catalogue of a language. */
+  function register(language, messages) {
+    catalogues[language] = Object.assign(catalogues[language] || {}, messages);
+    lang = null;
+  }
+
+  function format(template, params) {
+    return String(template).replace(/\{(\w+)\}/g, (m, name) => (params[name] === undefined ? m : String(params[name])));
+  }
+
+  /**
+   * Message `key` in the current language (falling back to FALLBACK, then
+   * the key itself) with {placeholders} filled from `params`.
+   */
+  function t(key, params = {}) {
+    const l = lang || resolve();
+    let msg = (catalogues[l] || {})[key];
+    if (msg === undefined) msg = (catalogues[FALLBACK] || {})[key];
+    if (msg === undefined) return key;
+    if (typeof msg === 'object') {
+      msg = msg[new Intl.PluralRules(locale()).select(Number(params.count) || 0)] ?? msg.other;
+    }
+    return format(msg, params);
+  }
+
+  /** Translate the data-i18n* elements below `root` and set <html lang>. */
+  function apply(root = document) {
+    if (root === document) document.documentElement.lang = lang || resolve();
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    ATTRIBUTES.forEach(attr => {
+      root.querySelectorAll('[data-i18n-' + attr + ']').forEach(el => {
+        el.setAttribute(attr, t(el.getAttribute('data-i18n-' + attr)));
+      });
+    });
+  }
+
+  /** Switch language ('auto' = follow the browser), persist it and re-translate. */
+  function setLanguage(language) {
+    choice = language === 'auto' || catalogues[language] ? language : 'auto';
+    try {
+      localStorage.setItem(STORAGE_KEY, choice);
+    } catch (e) { /* private mode */ }
+    resolve();
+    apply();
+    events.dispatchEvent(new CustomEvent('change', { detail: { lang } }));
+  }
+
+  /**
+   * Calendar date (ISO "YYYY-MM-DD" from the GS1 / 15434 parsers, a Date or
+   * ms); date-only strings are read as UTC so they do not shift a day.
+   */
+  function formatDate(value, options = { dateStyle: 'medium' }) {
+    const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = dateOnly ? new Date(value + 'T00:00:00Z') : new Date(value);
+    if (isNaN(date)) return String(value);
+    return new Intl.DateTimeFormat(locale(), Object.assign(dateOnly ? { timeZone: 'UTC' } : {}, options)).format(date);
+  }
+
+  const formatDateTime = value => formatDate(value, { dateStyle: 'short', timeStyle: 'medium' });
+  const formatTime = value => formatDate(value, { timeStyle: 'medium' });
+  const formatNumber = (n, options = {}) => new Intl.NumberFormat(locale(), options).format(n);
+
+  return {
+    register,
+    t,
+    apply,
+    setLanguage,
+    formatDate,
+    formatDateTime,
+    formatTime,
+    formatNumber,
+    lang: () => lang || resolve(),
+    choice: () => choice,
+    locale,
+    languages: () => Object.keys(catalogues),
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+  };
+})();
+
+const t = I18n.t;
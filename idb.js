@@ -0,0 +1,50 @@
+/**
+ * Minimal promise helpers around IndexedDB.
+ * Classic script usable from pages, workers and the service worker
+ * (importScripts) — exposes `self.IDB`.
+ */
+(function (global) {
+  'use strict';
+
+  /** Wrap an IDBRequest in a promise. */
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Open (and upgrade) a database.
+   * @param {string} name
+   * @param {number} version
+   * @param {(db: IDBDatabase, oldVersion: number) => void} upgrade
+   */
+  function open(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+      if (!global.indexedDB) return reject(new Error('IndexedDB not available'));
+      const req = global.indexedDB.open(name, version);
+      req.onupgradeneeded = e => upgrade(req.result, e.oldVersion);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => console.warn('IndexedDB upgrade of "' + name + '" blocked by another tab');
+    });
+  }
+
+  /**
+   * Run `fn(store)` inside a transaction on a single object store; resolves with
+   * fn's (awaited) return value once the transaction has completed.
+   */
+  function withStore(db, storeName, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      let value;
+      Promise.resolve(fn(tx.objectStore(storeName))).then(v => { value = v; }, reject);
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+    });
+  }
+
+  global.IDB = { open, request, withStore };
+})(typeof self !== 'undefined' ? self : this);
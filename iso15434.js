@@ -0,0 +1,208 @@
+/**
+ * ISO/IEC 15434 envelope parser — shared by server.js (require) and the PWA
+ * (<script src="iso15434.js"> → window.ISO15434; load gs1.js first).
+ *
+ * Message layout:  "[)>" RS  { format GS data { GS data } RS }  EOT
+ * Supported formats:
+ *   05 — GS1 Application Identifiers (delegated to gs1.js)
+ *   06 — ANSI MH10.8.2 Data Identifiers (VDA 4992, IFA/securPharm PPN codes)
+ *   12 — Text Element Identifiers (ATA Spec 2000)
+ *
+ * Decoders may deliver control characters either raw (0x1E/0x1D/0x04) or as
+ * Unicode control pictures (␞ ␝ ␄, zxing-wasm's HRI text mode); both are accepted.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gs1'));
+  else root.ISO15434 = factory(root.GS1);
+})(typeof self !== 'undefined' ? self : this, function (GS1) {
+  'use strict';
+
+  const RS = '\x1E';
+  const GS = '\x1D';
+  const EOT = '\x04';
+  const HEADER = '[)>' + RS;
+
+  const FORMAT_NAMES = {
+    '05': 'GS1 Application Identifiers',
+    '06': 'ANSI MH10.8.2 Data Identifiers',
+    '07': 'Free form text',
+    '12': 'Text Element Identifiers',
+  };
+
+  // ANSI MH10.8.2 Data Identifiers commonly found on VDA / Odette and IFA labels.
+  // type 'date6' = YYMMDD, 'date8' = YYYYMMDD, 'ppn' = IFA Pharmacy Product Number.
+  const DATA_IDENTIFIERS = {
+    'B': { title: 'Container type' },
+    'D': { title: 'Date (YYMMDD)', type: 'date6' },
+    '14D': { title: 'Expiry date', type: 'date8' },
+    '16D': { title: 'Production date', type: 'date8' },
+    'K': { title: 'Customer order number' },
+    '1K': { title: 'Supplier order number' },
+    'L': { title: 'Storage location' },
+    '4L': { title: 'Country of origin' },
+    'P': { title: 'Customer part number' },
+    '1P': { title: 'Supplier part number' },
+    '2P': { title: 'Revision level' },
+    '8P': { title: 'GTIN' },
+    '30P': { title: 'Part number (mutually defined)' },
+    'Q': { title: 'Quantity', type: 'number' },
+    '7Q': { title: 'Quantity with unit of measure' },
+    'S': { title: 'Serial number' },
+    '1S': { title: 'Additional serial number' },
+    '3S': { title: 'Package ID' },
+    '25S': { title: 'Unique item identifier' },
+    'T': { title: 'Traceability number (customer)' },
+    '1T': { title: 'Batch/lot number' },
+    'V': { title: 'Supplier ID' },
+    '12V': { title: 'Manufacturer ID (DUNS)' },
+    '9N': { title: 'PPN', type: 'ppn' },
+    'Z': { title: 'Mutually defined' },
+  };
+
+  // ATA Spec 2000 Text Element Identifiers (format 12)
+  const TEXT_ELEMENTS = {
+    'MFR': 'Manufacturer CAGE code',
+    'SPL': 'Supplier code',
+    'PNO': 'Part number',
+    'PNR': 'Part number',
+    'SER': 'Serial number',
+    'LOT': 'Batch/lot number',
+    'DMF': 'Date of manufacture',
+    'EXP': 'Expiry date',
+    'QTY': 'Quantity',
+    'UCN': 'Unique component number',
+  };
+
+  /** Replace raw control characters by Unicode control pictures (␞ ␝ ␄ …). */
+  function visualize(text) {
+    return String(text).replace(/[\x00-\x1F]/g, c => String.fromCharCode(0x2400 + c.charCodeAt(0)));
+  }
+
+  /** Inverse of visualize() for the separators we care about. */
+  function normalise(text) {
+    return String(text).replace(/␞/g, RS).replace(/␝/g, GS).replace(/␄/g, EOT);
+  }
+
+  function isEnvelope(text) {
+    return typeof text === 'string' && normalise(text).startsWith(HEADER);
+  }
+
+  /**
+   * IFA PPN check: "11" + PZN + two check digits; the check value is the sum
+   * of the character codes weighted 2, 3, 4 … modulo 97.
+   */
+  function ppnValid(ppn) {
+    if (!/^[0-9A-Z]{3,22}$/.test(ppn)) return false;
+    const body = ppn.slice(0, -2);
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) sum += body.charCodeAt(i) * (i + 2);
+    return String(sum % 97).padStart(2, '0') === ppn.slice(-2);
+  }
+
+  function isoDate(y, m, d) {
+    if (m < 1 || m > 12) return null;
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    if (d === 0) d = lastDay; // IFA: day 00 = end of month
+    if (d > lastDay) return null;
+    return y + '-' + String(m).padStart(2, '0') + '-' + String(d).padStart(2, '0');
+  }
+
+  function parseDataIdentifier(raw) {
+    const m = /^(\d{0,3}[A-Z])(.*)$/s.exec(raw);
+    if (!m) return { id: '', title: 'Unknown', value: raw, valid: false, error: 'no data identifier' };
+    const spec = DATA_IDENTIFIERS[m[1]];
+    const el = { id: m[1], title: spec ? spec.title : 'Unknown', value: m[2], valid: true };
+    const fail = msg => { el.valid = false; el.error = msg; return el; };
+    if (!spec) return el;
+    if (!el.value) return fail('empty value');
+    if (spec.type === 'date6' || spec.type === 'date8') {
+      const digits = spec.type === 'date6' ? 6 : 8;
+      if (!new RegExp('^\\d{' + digits + '}$').test(el.value)) return fail('invalid date');
+      const v = el.value;
+      const date = digits === 6
+        ? isoDate(2000 + Number(v.slice(0, 2)), Number(v.slice(2, 4)), Number(v.slice(4, 6)))
+        : isoDate(Number(v.slice(0, 4)), Number(v.slice(4, 6)), Number(v.slice(6, 8)));
+      if (!date) return fail('invalid date');
+      el.date = date;
+    }
+    if (spec.type === 'number') {
+      if (!/^\d+(\.\d+)?$/.test(el.value)) return fail('non-numeric quantity');
+      el.number = Number(el.value);
+    }
+    if (spec.type === 'ppn') {
+      if (!ppnValid(el.value)) return fail('PPN check digits mismatch');
+      if (el.value.startsWith('11')) el.pzn = el.value.slice(2, -2);
+    }
+    return el;
+  }
+
+  function parseTextElement(raw) {
+    const sp = raw.indexOf(' ');
+    const id = sp === -1 ? raw : raw.slice(0, sp);
+    const value = sp === -1 ? '' : raw.slice(sp + 1);
+    return { id, title: TEXT_ELEMENTS[id] || 'Unknown', value, valid: value.length > 0, error: value ? undefined : 'empty value' };
+  }
+
+  function parseSegment(raw, result) {
+    const format = raw.slice(0, 2);
+    const segment = { format, name: FORMAT_NAMES[format] || 'Format ' + format, elements: [] };
+    if (!/^\d{2}$/.test(format)) {
+      result.errors.push('invalid format header "' + visualize(format) + '"');
+      return segment;
+    }
+    const fields = raw.slice(2).split(GS);
+    // fields[0] is the empty string between format header and first GS
+    if (fields[0] !== '') result.errors.push('format ' + format + ': missing ␝ after header');
+    const data = fields[0] === '' ? fields.slice(1) : fields;
+
+    if (format === '05') {
+      // gs1.errors already covers invalid elements
+      const gs1 = GS1 ? GS1.parse(data.join(GS)) : null;
+      if (gs1) {
+        segment.gs1 = gs1;
+        segment.elements = gs1.elements.map(e => Object.assign({ id: e.ai }, e));
+        gs1.errors.forEach(e => result.errors.push('format 05: ' + e));
+      }
+      return segment;
+    }
+    if (format === '06') {
+      segment.elements = data.map(parseDataIdentifier);
+    } else if (format === '12') {
+      segment.elements = data.map(parseTextElement);
+    } else {
+      segment.elements = data.map(value => ({ id: '', title: '', value, valid: true }));
+    }
+    segment.elements.forEach(el => {
+      if (!el.valid) result.errors.push('format ' + format + ' ' + el.id + ': ' + el.error);
+    });
+    return segment;
+  }
+
+  /**
+   * Parse an ISO/IEC 15434 message.
+   * @param {string} text  decoded symbol text
+   * @returns {{ ok: boolean, segments: Array<object>, errors: string[], display: string }}
+   */
+  function parse(text) {
+    const s = normalise(text || '');
+    const result = { ok: false, segments: [], errors: [], display: visualize(s) };
+    if (!s.startsWith(HEADER)) {
+      result.errors.push('missing "[)>␞" message header');
+      return result;
+    }
+    let body = s.slice(HEADER.length);
+    if (body.endsWith(EOT)) body = body.slice(0, -1);
+    else result.errors.push('missing ␄ message trailer');
+
+    const parts = body.split(RS);
+    // a well-formed message ends with RS before EOT → trailing empty part
+    if (parts[parts.length - 1] === '') parts.pop();
+    else result.errors.push('last segment not terminated by ␞');
+
+    parts.forEach(p => result.segments.push(parseSegment(p, result)));
+    result.ok = result.segments.length > 0 && result.errors.length === 0;
+    return result;
+  }
+
+  return { parse, isEnvelope, visualize, ppnValid };
+});
@@ -0,0 +1,116 @@
+/**
+ * Error messages of the scan API in English and German. Errors created with
+ * apiError() carry a message id; sendError() answers them in the language
+ * negotiated from Accept-Language (English by default) and adds the id as a
+ * stable `code` for clients that match on errors. Other errors are sent with
+ * their own (English) message.
+ */
+
+const FALLBACK = 'en';
+
+const MESSAGES = {
+  en: {
+    // request body
+    image_too_large: 'image too large (max {max} bytes)',
+    image_not_string: 'image must be a base64 string or data URL',
+    data_url_not_base64: 'data URL must be base64-encoded',
+    unsupported_media_type: 'unsupported media type {type}',
+    invalid_base64: 'image is not valid base64',
+    invalid_json: 'request body is not valid JSON',
+    no_image: 'no image uploaded',
+    unreadable_image: 'image cannot be read (unsupported format or corrupt file)',
+    unsupported_content_type: 'unsupported content type {type} (use multipart/form-data, application/json or image/*)',
+    // options
+    unknown_format: 'unknown format {name} (known: {known})',
+    formats_empty: 'formats must not be empty',
+    debug_images_mode: 'debugImages must be base64 or url',
+    // authentication and rate limits
+    api_key_required: 'API key required',
+    invalid_api_key: 'invalid API key',
+    rate_limited: 'rate limit exceeded, retry in {seconds} s',
+    admin_key_required: 'admin API key required',
+    // decode pool
+    pool_closed: 'decode pool closed',
+    decode_timeout: 'decode timed out',
+    decode_timeout_after: 'decode timed out after {ms} ms',
+    queue_full: 'server busy: decode queue full',
+    // batch
+    no_images: 'no images uploaded',
+    no_images_in_upload: 'no images found in upload',
+    too_many_images: 'too many images (max {max})',
+    batch_too_large: 'batch too large (max {max} bytes)',
+    zip_corrupt: 'corrupt zip archive',
+    zip_encrypted: 'encrypted zip entries are not supported: {name}',
+    zip_unsupported_method: 'unsupported zip compression method {method}: {name}',
+  },
+  de: {
+    image_too_large: 'Bild zu groß (max. {max} Bytes)',
+    image_not_string: 'image muss ein Base64-String oder eine Data-URL sein',
+    data_url_not_base64: 'Data-URL muss Base64-kodiert sein',
+    unsupported_media_type: 'Nicht unterstützter Medientyp {type}',
+    invalid_base64: 'Bild ist kein gültiges Base64',
+    invalid_json: 'Anfrage ist kein gültiges JSON',
+    no_image: 'Kein Bild hochgeladen',
+    unreadable_image: 'Bild nicht lesbar (nicht unterstütztes Format oder beschädigte Datei)',
+    unsupported_content_type: 'Nicht unterstützter Content-Type {type} (multipart/form-data, application/json oder image/* verwenden)',
+    unknown_format: 'Unbekanntes Format {name} (bekannt: {known})',
+    formats_empty: 'formats darf nicht leer sein',
+    debug_images_mode: 'debugImages muss base64 oder url sein',
+    api_key_required: 'API-Schlüssel erforderlich',
+    invalid_api_key: 'Ungültiger API-Schlüssel',
+    rate_limited: 'Anfragelimit überschritten, erneut in {seconds} s',
+    admin_key_required: 'Admin-API-Schlüssel erforderlich',
+    pool_closed: 'Decoder beendet',
+    decode_timeout: 'Zeitüberschreitung beim Dekodieren',
+    decode_timeout_after: 'Zeitüberschreitung beim Dekodieren nach {ms} ms',
+    queue_full: 'Server ausgelastet: Warteschlange voll',
+    no_images: 'Keine Bilder hochgeladen',
+    no_images_in_upload: 'Keine Bilder im Upload gefunden',
+    too_many_images: 'Zu viele Bilder (max. {max})',
+    batch_too_large: 'Stapel zu groß (max. {max} Bytes)',
+    zip_corrupt: 'ZIP-Archiv beschädigt',
+    zip_encrypted: 'Verschlüsselte ZIP-Einträge werden nicht unterstützt: {name}',
+    zip_unsupported_method: 'Nicht unterstützte ZIP-Kompression {method}: {name}',
+  },
+};
+
+function message(lang, id, params = {}) {
+  const template = (MESSAGES[lang] || {})[id] || MESSAGES[FALLBACK][id] || id;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (params[name] === undefined ? m : String(params[name])));
+}
+
+/** Error with an English message, `status` and the message id for sendError(). */
+function apiError(status, id, params = {}) {
+  return Object.assign(new Error(message(FALLBACK, id, params)), { status, messageId: id, params });
+}
+
+/**
+ * Best supported language of an Accept-Language header ("de-DE,de;q=0.9,en;q=0.8"),
+ * FALLBACK when none matches.
+ */
+function negotiate(header) {
+  const ranked = String(header || '').split(',').map((part, i) => {
+    const [tag, ...attrs] = part.trim().split(';');
+    const q = attrs.map(a => /^\s*q=([\d.]+)\s*$/.exec(a)).find(Boolean);
+    return { lang: tag.trim().slice(0, 2).toLowerCase(), q: q ? Number(q[1]) : 1, i };
+  }).filter(r => r.q > 0).sort((a, b) => b.q - a.q || a.i - b.i);
+  const found = ranked.find(r => MESSAGES[r.lang]);
+  return found ? found.lang : FALLBACK;
+}
+
+/** Message of `err` in `lang`. */
+function localize(err, lang) {
+  return err.messageId ? message(lang, err.messageId, err.params) : err.message;
+}
+
+/** Answer `err` as { ok: false, error, code? } in the client's language. */
+function sendError(req, res, err, status = err.status || 400) {
+  const lang = negotiate(req.get('accept-language'));
+  res.setHeader('Content-Language', lang);
+  res.vary('Accept-Language');
+  const body = { ok: false, error: localize(err, lang) };
+  if (err.messageId) body.code = err.messageId;
+  return res.status(status).json(body);
+}
+
+module.exports = { apiError, negotiate, localize, sendError, languages: Object.keys(MESSAGES) };
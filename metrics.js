@@ -0,0 +1,113 @@
+/**
+ * Minimal Prometheus metrics registry (server only): counters, histograms
+ * and gauges with labels, rendered in the text exposition format 0.0.4 for
+ * GET /metrics. Gauges are read through a callback at scrape time, so pool
+ * and cache state needs no bookkeeping of its own.
+ */
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (!keys.length) return '';
+  return '{' + keys.map(k => k + '="' + escapeLabel(labels[k]) + '"').join(',') + '}';
+}
+
+const formatValue = v => (v === Infinity ? '+Inf' : v === -Infinity ? '-Inf' : String(v));
+
+/**
+ * @param {{ prefix?: string }} [options]  prefix — prepended to every metric name
+ */
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name: prefix + name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /** Series for a label set; label order follows labelNames, missing labels are "". */
+  function seriesOf(metric, labels = {}, create) {
+    const values = metric.labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n])));
+    const key = values.join('\u0000');
+    let s = metric.series.get(key);
+    if (!s) {
+      s = create(Object.fromEntries(metric.labelNames.map((n, i) => [n, values[i]])));
+      metric.series.set(key, s);
+    }
+    return s;
+  }
+
+  /** Monotonic counter. */
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels = {}, by = 1) {
+        seriesOf(metric, labels, l => ({ labels: l, value: 0 })).value += by;
+      },
+    };
+  }
+
+  /** Histogram with fixed upper bounds (an implicit +Inf bucket is added). */
+  function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets.slice().sort((a, b) => a - b);
+    return {
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const s = seriesOf(metric, labels, l => ({ labels: l, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  /**
+   * Gauge read at scrape time; `collect` returns a number, or an array of
+   * [labels, value] pairs for labelled gauges. `type: 'counter'` exposes a
+   * monotonic count kept elsewhere (e.g. pool statistics) as a counter.
+   */
+  function gauge(name, help, collect, { type = 'gauge' } = {}) {
+    const metric = register(type, name, help, []);
+    metric.collect = collect;
+  }
+
+  function render() {
+    const lines = [];
+    metrics.forEach(m => {
+      lines.push('# HELP ' + m.name + ' ' + m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'));
+      lines.push('# TYPE ' + m.name + ' ' + m.type);
+      if (m.collect) {
+        let value;
+        try {
+          value = m.collect();
+        } catch (e) {
+          return; // a failing collector must not break the whole scrape
+        }
+        (Array.isArray(value) ? value : [[{}, value]]).forEach(([labels, v]) => {
+          lines.push(m.name + formatLabels(labels) + ' ' + formatValue(Number(v)));
+        });
+        return;
+      }
+      m.series.forEach(s => {
+        if (m.type === 'counter') {
+          lines.push(m.name + formatLabels(s.labels) + ' ' + formatValue(s.value));
+          return;
+        }
+        m.buckets.forEach((le, i) => {
+          lines.push(m.name + '_bucket' + formatLabels(Object.assign({}, s.labels, { le: formatValue(le) })) + ' ' + s.counts[i]);
+        });
+        lines.push(m.name + '_bucket' + formatLabels(Object.assign({}, s.labels, { le: '+Inf' })) + ' ' + s.count);
+        lines.push(m.name + '_sum' + formatLabels(s.labels) + ' ' + formatValue(s.sum));
+        lines.push(m.name + '_count' + formatLabels(s.labels) + ' ' + s.count);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetrics };
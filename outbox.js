@@ -0,0 +1,337 @@
+/**
+ * Outbound integration: forwards decoded scans to a configurable HTTP
+ * endpoint (MES, webhook). Scans are queued in IndexedDB first, so nothing is
+ * lost offline; the queue is flushed by the page (on reconnect) and by sw.js
+ * (Background Sync) with retries and an idempotency key per scan.
+ * Classic script usable from the page and the service worker (requires
+ * idb.js); exposes `Outbox` and, for the page, `initOutboxView()`.
+ *
+ * Queue entry: { id, key, url, body, status, attempts, nextAttempt, lastError, created }
+ *   key    — idempotency key, sent as `Idempotency-Key` and stable across retries
+ *   body   — request body rendered from the payload template at scan time
+ *   status — 'pending' | 'failed' (delivered entries are removed)
+ */
+const Outbox = (() => {
+  const DB_NAME = 'scan-outbox';
+  const QUEUE = 'queue';
+  const SETTINGS = 'settings';
+  const SYNC_TAG = 'outbox-flush';
+  const MAX_ATTEMPTS = 10;
+  const MAX_BACKOFF_MS = 10 * 60 * 1000;
+  const DEFAULT_CONFIG = { enabled: false, url: '', headers: '', template: '', deviceId: '' };
+  let dbPromise = null;
+  let flushing = null;
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('outbox') : null;
+  const listeners = new Set();
+
+  function db() {
+    if (!dbPromise) {
+      dbPromise = IDB.open(DB_NAME, 1, d => {
+        d.createObjectStore(QUEUE, { keyPath: 'id', autoIncrement: true });
+        d.createObjectStore(SETTINGS);
+      });
+    }
+    return dbPromise;
+  }
+
+  function uuid() {
+    if (self.crypto && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    const b = crypto.getRandomValues(new Uint8Array(16));
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+    return h.slice(0, 8) + '-' + h.slice(8, 12) + '-' + h.slice(12, 16) + '-' + h.slice(16, 20) + '-' + h.slice(20);
+  }
+
+  // page and service worker each hold a copy of the queue state; tell both
+  function changed() {
+    listeners.forEach(fn => fn());
+    channel?.postMessage({ type: 'changed' });
+  }
+  channel?.addEventListener('message', () => listeners.forEach(fn => fn()));
+
+  /** Settings live in IndexedDB because the service worker cannot read localStorage. */
+  async function getConfig() {
+    const saved = await IDB.withStore(await db(), SETTINGS, 'readonly', store => IDB.request(store.get('config')));
+    const config = Object.assign({}, DEFAULT_CONFIG, saved);
+    if (!config.deviceId) {
+      config.deviceId = 'scanner-' + uuid().slice(0, 8);
+      await setConfig(config);
+    }
+    return config;
+  }
+
+  async function setConfig(config) {
+    const value = Object.assign({}, DEFAULT_CONFIG, config);
+    await IDB.withStore(await db(), SETTINGS, 'readwrite', store => IDB.request(store.put(value, 'config')));
+    return value;
+  }
+
+  /** "Name: value" lines → header object. */
+  function parseHeaders(text) {
+    const headers = {};
+    String(text || '').split(/\r?\n/).forEach(line => {
+      const i = line.indexOf(':');
+      if (i > 0) headers[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    });
+    return headers;
+  }
+
+  /**
+   * Render the payload. Without a template the scan object is sent as JSON;
+   * otherwise every {{path}} (e.g. {{text}}, {{ai.01}}, {{deviceId}}) is
+   * replaced by the JSON value at that path of the scan object, null if absent.
+   */
+  function render(template, scan) {
+    if (!template || !template.trim()) return JSON.stringify(scan);
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+      const value = path.split('.').reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), scan);
+      return JSON.stringify(value === undefined ? null : value);
+    });
+  }
+
+  /**
+   * Queue one decoded scan for delivery (no-op while forwarding is disabled).
+   * @param {{ text: string, fields?: Array<{ id, title, value }>, source?: string, decoder?: string, timestamp?: number }} scan
+   */
+  async function enqueue(scan) {
+    const config = await getConfig();
+    if (!config.enabled || !config.url) return null;
+    const key = uuid();
+    const payload = {
+      id: key,
+      text: scan.text,
+      fields: scan.fields || [],
+      // AI / data identifier → value, for templates like {{ai.01}}
+      ai: Object.fromEntries((scan.fields || []).map(f => [f.id, f.value])),
+      source: scan.source || null,
+      decoder: scan.decoder || null,
+      deviceId: config.deviceId,
+      timestamp: new Date(scan.timestamp || Date.now()).toISOString(),
+    };
+    const entry = {
+      key,
+      url: config.url,
+      body: render(config.template, payload),
+      status: 'pending',
+      attempts: 0,
+      nextAttempt: 0,
+      lastError: null,
+      created: Date.now(),
+    };
+    entry.id = await IDB.withStore(await db(), QUEUE, 'readwrite', store => IDB.request(store.add(entry)));
+    changed();
+    return entry;
+  }
+
+  async function list() {
+    return IDB.withStore(await db(), QUEUE, 'readonly', store => IDB.request(store.getAll()));
+  }
+
+  async function put(entry) {
+    return IDB.withStore(await db(), QUEUE, 'readwrite', store => IDB.request(store.put(entry)));
+  }
+
+  async function remove(id) {
+    return IDB.withStore(await db(), QUEUE, 'readwrite', store => IDB.request(store.delete(id)));
+  }
+
+  async function counts() {
+    const entries = await list();
+    return {
+      pending: entries.filter(e => e.status === 'pending').length,
+      failed: entries.filter(e => e.status === 'failed').length,
+    };
+  }
+
+  /** Try one delivery; returns 'delivered', 'retry', 'failed' or 'offline'. */
+  async function deliver(entry, headers) {
+    let resp;
+    try {
+      resp = await fetch(entry.url, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers, { 'Idempotency-Key': entry.key }),
+        body: entry.body,
+      });
+    } catch (e) {
+      entry.lastError = e.message;
+      return 'offline';
+    }
+    // 409: the receiver already has this idempotency key
+    if (resp.ok || resp.status === 409) return 'delivered';
+    entry.lastError = 'HTTP ' + resp.status;
+    // other client errors will not heal by retrying
+    if (resp.status >= 400 && resp.status < 500 && resp.status !== 408 && resp.status !== 429) return 'failed';
+    return 'retry';
+  }
+
+  /**
+   * Send every due pending entry in queue order. Stops at the first network
+   * error (offline) so the rest waits for the next sync / reconnect.
+   * Concurrent calls share one run.
+   * @returns {Promise<{ delivered: number, pending: number, failed: number }>}
+   */
+  function flush() {
+    if (!flushing) {
+      flushing = (async () => {
+        const headers = parseHeaders((await getConfig()).headers);
+        let delivered = 0;
+        const due = (await list()).filter(e => e.status === 'pending' && e.nextAttempt <= Date.now());
+        for (const entry of due) {
+          const outcome = await deliver(entry, headers);
+          if (outcome === 'delivered') {
+            await remove(entry.id);
+            delivered++;
+            continue;
+          }
+          entry.attempts++;
+          if (outcome === 'failed' || entry.attempts >= MAX_ATTEMPTS) {
+            entry.status = 'failed';
+          } else {
+            entry.nextAttempt = Date.now() + Math.min(MAX_BACKOFF_MS, 5000 * 2 ** (entry.attempts - 1));
+          }
+          await put(entry);
+          if (outcome === 'offline') break;
+        }
+        if (due.length) changed();
+        return Object.assign({ delivered }, await counts());
+      })().finally(() => { flushing = null; });
+    }
+    return flushing;
+  }
+
+  /** Put failed entries back into the queue. */
+  async function retryFailed() {
+    const failed = (await list()).filter(e => e.status === 'failed');
+    for (const entry of failed) {
+      await put(Object.assign(entry, { status: 'pending', attempts: 0, nextAttempt: 0 }));
+    }
+    changed();
+    return failed.length;
+  }
+
+  async function clear() {
+    await IDB.withStore(await db(), QUEUE, 'readwrite', store => IDB.request(store.clear()));
+    changed();
+  }
+
+  /** Ask the service worker for a Background Sync; false when unsupported. */
+  async function requestSync() {
+    try {
+      const reg = await navigator.serviceWorker?.ready;
+      if (!reg || !reg.sync) return false;
+      await reg.sync.register(SYNC_TAG);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return {
+    SYNC_TAG, getConfig, setConfig, parseHeaders, render, enqueue, list, counts, flush, retryFailed, clear, requestSync,
+    onChange: fn => listeners.add(fn),
+  };
+})();
+
+/** Wire up the forwarding settings and the status indicator in index.html. */
+function initOutboxView() {
+  const section = document.getElementById('outbox');
+  const form = document.getElementById('outbox-form');
+  const indicator = document.getElementById('outbox-status');
+  if (!section || !form) return null;
+  const $ = id => document.getElementById(id);
+  // retry timer for entries waiting out their backoff
+  let retryTimer = null;
+
+  async function refreshStatus() {
+    let config, c;
+    try {
+      [config, c] = await Promise.all([Outbox.getConfig(), Outbox.counts()]);
+    } catch (e) {
+      console.warn('outbox: cannot read IndexedDB', e);
+      return;
+    }
+    indicator.classList.toggle('hidden', !config.enabled && !c.pending && !c.failed);
+    indicator.classList.toggle('failed', c.failed > 0);
+    indicator.classList.toggle('pending', c.pending > 0);
+    indicator.textContent = c.pending || c.failed
+      ? t('outbox.pending', { pending: c.pending }) + (c.failed ? ' · ' + t('outbox.failed', { failed: c.failed }) : '')
+      : t('outbox.delivered');
+    indicator.title = navigator.onLine ? '' : t('outbox.offline');
+    $('outbox-info').textContent = t('outbox.counts', c);
+  }
+
+  async function fillForm() {
+    const config = await Outbox.getConfig();
+    $('outbox-enabled').checked = config.enabled;
+    $('outbox-url').value = config.url;
+    $('outbox-headers').value = config.headers;
+    $('outbox-template').value = config.template;
+    $('outbox-device').value = config.deviceId;
+  }
+
+  /** Deliver now; Background Sync takes over when the page goes away. */
+  async function flush() {
+    clearTimeout(retryTimer);
+    if (!navigator.onLine) {
+      Outbox.requestSync();
+      return;
+    }
+    try {
+      const { pending } = await Outbox.flush();
+      if (pending) {
+        Outbox.requestSync();
+        retryTimer = setTimeout(flush, 30000);
+      }
+    } catch (e) {
+      console.warn('outbox: flush failed', e);
+    }
+  }
+
+  /** Queue a decoded scan and try to send it right away. */
+  async function forward(scan) {
+    try {
+      if (await Outbox.enqueue(scan)) flush();
+    } catch (e) {
+      console.warn('outbox: cannot queue scan', e);
+    }
+  }
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    await Outbox.setConfig({
+      enabled: $('outbox-enabled').checked,
+      url: $('outbox-url').value.trim(),
+      headers: $('outbox-headers').value,
+      template: $('outbox-template').value,
+      deviceId: $('outbox-device').value.trim(),
+    });
+    refreshStatus();
+    flush();
+  });
+  $('outbox-toggle')?.addEventListener('click', () => {
+    section.classList.toggle('hidden');
+    fillForm();
+  });
+  indicator?.addEventListener('click', () => {
+    section.classList.remove('hidden');
+    fillForm();
+  });
+  $('outbox-flush').addEventListener('click', flush);
+  $('outbox-retry').addEventListener('click', async () => {
+    await Outbox.retryFailed();
+    flush();
+  });
+  $('outbox-clear').addEventListener('click', async () => {
+    if (!confirm(t('outbox.confirmClear'))) return;
+    await Outbox.clear();
+  });
+  window.addEventListener('online', flush);
+  window.addEventListener('offline', refreshStatus);
+  Outbox.onChange(refreshStatus);
+  I18n.addEventListener('change', refreshStatus);
+
+  refreshStatus();
+  flush();
+  return { forward, flush };
+}
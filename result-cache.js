@@ -0,0 +1,165 @@
+/**
+ * Scan result cache (server only): keyed by SHA-256 of the uploaded bytes
+ * plus the decode options, so re-sent frames and photos skip preprocessing
+ * and all decoders. In-memory LRU bounded by entry count, total size and
+ * age; optionally backed by one JSON file per key in a directory, which
+ * survives restarts and is shared by several server processes. The directory
+ * is swept periodically: expired files are deleted, then the oldest ones
+ * until it is within its own entry and byte bounds.
+ */
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * @param {{ maxEntries?: number, maxBytes?: number, ttlMs?: number, dir?: string|null,
+ *           maxDiskEntries?: number, maxDiskBytes?: number, sweepMs?: number }} [options]
+ *   maxEntries     — 0 disables the cache
+ *   maxBytes       — bound on the summed JSON size of all in-memory entries
+ *   ttlMs          — entries older than this are misses (memory and disk)
+ *   dir            — on-disk store; created on first write
+ *   maxDiskEntries — files kept in `dir` (default 10 × maxEntries)
+ *   maxDiskBytes   — bytes kept in `dir` (default 10 × maxBytes)
+ *   sweepMs        — interval of the directory sweep (default ttlMs, at most 10 min)
+ */
+function createResultCache({
+  maxEntries = 500, maxBytes = 50 * 1024 * 1024, ttlMs = 60 * 60 * 1000, dir = null,
+  maxDiskEntries = maxEntries * 10, maxDiskBytes = maxBytes * 10, sweepMs = Math.min(ttlMs, 10 * 60 * 1000),
+} = {}) {
+  const entries = new Map(); // key → { json, size, storedAt }; Map order = LRU order
+  let bytes = 0;
+  const stats = { hits: 0, misses: 0, diskHits: 0 };
+  const enabled = maxEntries > 0;
+
+  /** Cache key: hash of the image bytes and the (sorted) decode options. */
+  function key(buffer, options = {}) {
+    const opts = JSON.stringify(Object.keys(options).sort().map(k => [k, options[k]]));
+    return crypto.createHash('sha256').update(buffer).update('\0' + opts).digest('hex');
+  }
+
+  function drop(k) {
+    const e = entries.get(k);
+    if (!e) return;
+    bytes -= e.size;
+    entries.delete(k);
+  }
+
+  function remember(k, json, storedAt) {
+    drop(k);
+    const size = Buffer.byteLength(json);
+    if (size > maxBytes) return;
+    entries.set(k, { json, size, storedAt });
+    bytes += size;
+    // evict least recently used
+    for (const oldest of entries.keys()) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      drop(oldest);
+    }
+  }
+
+  const filePath = k => path.join(dir, k + '.json');
+
+  async function readDisk(k) {
+    if (!dir) return null;
+    try {
+      const { storedAt, json } = JSON.parse(await fs.readFile(filePath(k), 'utf8'));
+      if (Date.now() - storedAt > ttlMs) {
+        fs.unlink(filePath(k)).catch(() => {});
+        return null;
+      }
+      return { json, storedAt };
+    } catch (e) {
+      return null; // missing or unreadable
+    }
+  }
+
+  /**
+   * Look up a key; returns a fresh copy of the stored value, or null.
+   * @returns {Promise<{ value: any, source: 'memory'|'disk' }|null>}
+   */
+  async function get(k) {
+    if (!enabled) return null;
+    const e = entries.get(k);
+    if (e && Date.now() - e.storedAt <= ttlMs) {
+      // refresh LRU position
+      entries.delete(k);
+      entries.set(k, e);
+      stats.hits++;
+      return { value: JSON.parse(e.json), source: 'memory' };
+    }
+    if (e) drop(k);
+    const d = await readDisk(k);
+    if (d) {
+      remember(k, d.json, d.storedAt);
+      stats.hits++;
+      stats.diskHits++;
+      return { value: JSON.parse(d.json), source: 'disk' };
+    }
+    stats.misses++;
+    return null;
+  }
+
+  /**
+   * Delete expired files from `dir` (also leftover .tmp files of crashed
+   * writes), then the oldest ones beyond maxDiskEntries / maxDiskBytes.
+   * Age is the file's mtime, which is the time it was stored.
+   */
+  async function sweep() {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (e) {
+      return; // not created yet
+    }
+    const now = Date.now();
+    const files = [];
+    for (const name of names) {
+      if (!name.endsWith('.json') && !name.endsWith('.tmp')) continue;
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat) continue;
+      if (now - stat.mtimeMs > ttlMs) await fs.unlink(file).catch(() => {});
+      else if (name.endsWith('.json')) files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+    }
+    files.sort((a, b) => b.mtime - a.mtime); // newest first
+    let kept = 0, keptBytes = 0;
+    for (const f of files) {
+      kept++;
+      keptBytes += f.size;
+      if (kept > maxDiskEntries || keptBytes > maxDiskBytes) await fs.unlink(f.file).catch(() => {});
+    }
+  }
+
+  if (enabled && dir) {
+    const run = () => sweep().catch(err => console.warn('[cache] sweep failed:', err.message));
+    run();
+    setInterval(run, sweepMs).unref();
+  }
+
+  /** Store a JSON-serialisable value; the disk write happens in the background. */
+  function set(k, value) {
+    if (!enabled) return;
+    const json = JSON.stringify(value);
+    const storedAt = Date.now();
+    remember(k, json, storedAt);
+    if (dir) {
+      const tmp = filePath(k) + '.' + process.pid + '.tmp';
+      fs.mkdir(dir, { recursive: true })
+        .then(() => fs.writeFile(tmp, JSON.stringify({ storedAt, json })))
+        // rename is atomic: concurrent readers never see half a file
+        .then(() => fs.rename(tmp, filePath(k)))
+        .catch(err => console.warn('[cache] cannot write ' + k + ':', err.message));
+    }
+  }
+
+  return {
+    enabled,
+    key,
+    get,
+    set,
+    sweep,
+    stats: () => Object.assign({ entries: entries.size, bytes }, stats),
+  };
+}
+
+module.exports = { createResultCache };
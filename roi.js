@@ -0,0 +1,167 @@
+/**
+ * Live-mode region of interest ("Zielrahmen"): an aiming box over the camera
+ * image that can be dragged and resized on the overlay canvas. Only the box
+ * (plus a margin, so codes on its edge still decode) is handed to the frame
+ * worker, and with `centerOnly` codes whose centre lies outside the box are
+ * dropped. The box is stored as fractions of the frame in localStorage, so
+ * it survives reloads and resolution changes.
+ * Exposes `LiveROI`; all coordinates are canvas (= video) pixels.
+ */
+const LiveROI = (() => {
+  const STORAGE_KEY = 'live-roi';
+  const DEFAULTS = { enabled: false, centerOnly: false, x: 0.3, y: 0.3, w: 0.4, h: 0.4 };
+  const MIN_SIZE = 0.08; // smallest box, fraction of the frame
+  const MARGIN = 0.15;   // crop margin around the box, fraction of the box size
+  const state = load();
+  // active drag: { mode: 'move'|'new'|'nw'|'ne'|'sw'|'se', start: {x,y}, box: {x,y,w,h} } in fractions
+  let drag = null;
+
+  function load() {
+    try {
+      return Object.assign({}, DEFAULTS, JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+    } catch (e) {
+      return Object.assign({}, DEFAULTS); // corrupt or unavailable storage
+    }
+  }
+
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* private mode */ }
+  }
+
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+  /** The box in pixels. */
+  function rect(width, height) {
+    return { x: state.x * width, y: state.y * height, w: state.w * width, h: state.h * height };
+  }
+
+  /** Integer crop rectangle for the worker: the box plus MARGIN, inside the frame. */
+  function cropRect(width, height) {
+    const r = rect(width, height);
+    const mx = r.w * MARGIN;
+    const my = r.h * MARGIN;
+    const x = Math.max(0, Math.floor(r.x - mx));
+    const y = Math.max(0, Math.floor(r.y - my));
+    return {
+      x,
+      y,
+      w: Math.min(width, Math.ceil(r.x + r.w + mx)) - x,
+      h: Math.min(height, Math.ceil(r.y + r.h + my)) - y,
+    };
+  }
+
+  /**
+   * With centerOnly, keep detections whose corner centroid lies in the box;
+   * detections without points cannot be placed and are kept.
+   */
+  function filter(detections, width, height) {
+    if (!state.centerOnly) return detections;
+    const r = rect(width, height);
+    return detections.filter(d => {
+      if (!d.points || !d.points.length) return true;
+      const cx = d.points.reduce((s, p) => s + p.x, 0) / d.points.length;
+      const cy = d.points.reduce((s, p) => s + p.y, 0) / d.points.length;
+      return cx >= r.x && cx <= r.x + r.w && cy >= r.y && cy <= r.y + r.h;
+    });
+  }
+
+  /**
+   * Start dragging at canvas point `p`: a corner handle resizes, the inside
+   * moves the box, anywhere else draws a new one.
+   */
+  function pointerDown(p, width, height) {
+    const f = { x: p.x / width, y: p.y / height };
+    const grab = 0.04; // handle radius, fraction of the frame
+    const corners = {
+      nw: [state.x, state.y], ne: [state.x + state.w, state.y],
+      sw: [state.x, state.y + state.h], se: [state.x + state.w, state.y + state.h],
+    };
+    let mode = Object.keys(corners).find(k => Math.abs(f.x - corners[k][0]) < grab && Math.abs(f.y - corners[k][1]) < grab);
+    if (!mode) {
+      const inside = f.x >= state.x && f.x <= state.x + state.w && f.y >= state.y && f.y <= state.y + state.h;
+      mode = inside ? 'move' : 'new';
+    }
+    drag = { mode, start: f, box: { x: state.x, y: state.y, w: state.w, h: state.h } };
+  }
+
+  function pointerMove(p, width, height) {
+    if (!drag) return;
+    const f = { x: clamp(p.x / width, 0, 1), y: clamp(p.y / height, 0, 1) };
+    const { mode, start, box } = drag;
+    if (mode === 'move') {
+      state.x = clamp(box.x + f.x - start.x, 0, 1 - box.w);
+      state.y = clamp(box.y + f.y - start.y, 0, 1 - box.h);
+      return;
+    }
+    // the corner opposite the dragged one stays put; 'new' anchors at the start point
+    const anchor = mode === 'new' ? start : {
+      x: mode.includes('w') ? box.x + box.w : box.x,
+      y: mode.includes('n') ? box.y + box.h : box.y,
+    };
+    state.x = Math.min(anchor.x, f.x);
+    state.y = Math.min(anchor.y, f.y);
+    state.w = Math.abs(f.x - anchor.x);
+    state.h = Math.abs(f.y - anchor.y);
+  }
+
+  /** Finish dragging; a box below MIN_SIZE snaps back to the previous one. */
+  function pointerUp() {
+    if (!drag) return;
+    if (state.w < MIN_SIZE || state.h < MIN_SIZE) Object.assign(state, drag.box);
+    drag = null;
+    save();
+  }
+
+  /** Shade the frame outside the box and draw the reticle with its corner handles. */
+  function draw(ctx, width, height) {
+    const r = rect(width, height);
+    const line = Math.max(2, Math.round(width * 0.003));
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.rect(r.x, r.y, r.w, r.h);
+    ctx.fill('evenodd');
+    ctx.strokeStyle = '#FFC107';
+    ctx.lineWidth = line;
+    ctx.strokeRect(r.x, r.y, r.w, r.h);
+    // crosshair and handles
+    const cx = r.x + r.w / 2;
+    const cy = r.y + r.h / 2;
+    const arm = Math.min(r.w, r.h) * 0.08;
+    ctx.beginPath();
+    ctx.moveTo(cx - arm, cy);
+    ctx.lineTo(cx + arm, cy);
+    ctx.moveTo(cx, cy - arm);
+    ctx.lineTo(cx, cy + arm);
+    ctx.stroke();
+    ctx.fillStyle = '#FFC107';
+    const size = line * 4;
+    [[r.x, r.y], [r.x + r.w, r.y], [r.x, r.y + r.h], [r.x + r.w, r.y + r.h]]
+      .forEach(([x, y]) => ctx.fillRect(x - size / 2, y - size / 2, size, size));
+    ctx.restore();
+  }
+
+  /** Change and persist `enabled` / `centerOnly`. */
+  function configure({ enabled = state.enabled, centerOnly = state.centerOnly } = {}) {
+    state.enabled = !!enabled;
+    state.centerOnly = !!centerOnly;
+    save();
+  }
+
+  return {
+    enabled: () => state.enabled,
+    centerOnly: () => state.centerOnly,
+    configure,
+    rect,
+    cropRect,
+    filter,
+    pointerDown,
+    pointerMove,
+    pointerUp,
+    dragging: () => !!drag,
+    draw,
+  };
+})();
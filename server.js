@@ -8,127 +8,303 @@ const { execFile } = require('child_process');
 const { promisify } = require('util');
 const execFileAsync = promisify(execFile);
 const crypto = require('crypto');
+const GS1 = require('./gs1');
+const ISO15434 = require('./iso15434');
+const zip = require('./zip');
+const DataMatrix = require('./datamatrix');
+const { createDecodePool } = require('./decode-pool');
+const { createResultCache } = require('./result-cache');
+const { createMetrics } = require('./metrics');
+const { loadApiKeys, createApiAuth } = require('./api-auth');
+const { apiError, negotiate, localize, sendError } = require('./messages');
+const { barcodeFormats } = require('zxing-wasm/reader');
 
 const app = express();
 const port = process.env.PORT || 8080;
+// Behind a reverse proxy, TRUST_PROXY (hop count, "true" or subnets) makes
+// req.ip the client address for the per-IP rate limit.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
 
 // ── Multer: keep uploaded images in memory; limit to 20 MB ───────────────────
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+// The same limit applies to base64 JSON and raw bodies on /api/scan.
+const SCAN_MAX_BYTES = 20 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: SCAN_MAX_BYTES } });
 
-// ── Optional native libdmtx binding ─────────────────────────────────────────
-let nodeLibDmtx = null;
-try {
-  nodeLibDmtx = require('node-libdmtx');
-} catch (e1) {
-  try { nodeLibDmtx = require('libdmtx'); } catch (e2) { nodeLibDmtx = null; }
-}
+// ── Batch limits ─────────────────────────────────────────────────────────────
+// ZIP archives may be larger than single images; their content counts against
+// BATCH_MAX_FILES / BATCH_MAX_BYTES after extraction.
+const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 200;
+const BATCH_MAX_BYTES = Number(process.env.BATCH_MAX_BYTES) || 500 * 1024 * 1024;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || Math.max(1, Math.min(4, os.cpus().length));
+const BATCH_FILE_MAX_BYTES = 200 * 1024 * 1024;
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: BATCH_FILE_MAX_BYTES, files: BATCH_MAX_FILES },
+});
 
-// ── ZXing WASM initialisation ───────────────────────────────────────────────────
-// zxing-wasm ships a CJS build; require once and reuse.
-// prepareZXingModule warms up the WASM binary at startup (non-blocking).
-const { readBarcodes, prepareZXingModule } = require('zxing-wasm/reader');
-prepareZXingModule(); // fire-and-forget warm-up; decode calls await internally
+// ── Result cache ─────────────────────────────────────────────────────────────
+// Identical uploads (re-sent frames, the same photo) are answered from the
+// cache. SCAN_CACHE_ENTRIES=0 turns it off; SCAN_CACHE_DIR adds a disk store,
+// bounded by SCAN_CACHE_DIR_ENTRIES / SCAN_CACHE_DIR_BYTES (default 10 × the
+// in-memory bounds) and swept of expired files.
+const resultCache = createResultCache({
+  maxEntries: process.env.SCAN_CACHE_ENTRIES === undefined ? 500 : Number(process.env.SCAN_CACHE_ENTRIES),
+  maxBytes: Number(process.env.SCAN_CACHE_BYTES) || 50 * 1024 * 1024,
+  ttlMs: (Number(process.env.SCAN_CACHE_TTL) || 3600) * 1000,
+  dir: process.env.SCAN_CACHE_DIR || null,
+  maxDiskEntries: Number(process.env.SCAN_CACHE_DIR_ENTRIES) || undefined,
+  maxDiskBytes: Number(process.env.SCAN_CACHE_DIR_BYTES) || undefined,
+});
 
-// ── Preprocessing pipeline tuned for small industrial ECC 200 codes ──────────
-/**
- * Accepts raw image buffer (any format Sharp understands).
- * Returns a PNG buffer ready for ZXing WASM or libdmtx.
- *
- * Steps:
- *  1. Convert to grayscale          — removes chromatic noise irrelevant to 2-D codes
- *  2. Upscale 2× if width < 1200px  — adds sub-pixel detail for tiny module grids
- *  3. Normalize contrast            — equalises histogram; helps dark/light backgrounds
- *  4. Mild Gaussian blur (σ=0.4)    — smooths JPEG/camera artefacts around module edges
- */
-async function preprocessImage(inputBuffer) {
-  const meta = await sharp(inputBuffer).metadata();
-
-  let pipeline = sharp(inputBuffer)
-    // Step 1: grayscale
-    .grayscale();
-
-  // Step 2: upscale if needed (Lanczos preserves edge sharpness better than nearest-neighbour)
-  if (meta.width && meta.width < 1200) {
-    pipeline = pipeline.resize(meta.width * 2, null, {
-      kernel: sharp.kernel.lanczos3,
-      withoutEnlargement: false,
+// ── API keys and rate limits ─────────────────────────────────────────────────
+// Keys from API_KEYS_FILE (JSON) and/or API_KEYS ("name:key,…"); without any,
+// the scan API stays open and unlimited unless RATE_LIMIT_IP is set. Limits
+// are requests per RATE_LIMIT_WINDOW seconds; 0 turns a limit off.
+const apiAuth = createApiAuth({
+  keys: loadApiKeys({ file: process.env.API_KEYS_FILE || null, env: process.env.API_KEYS }),
+  keyLimit: process.env.RATE_LIMIT_KEY === undefined ? 120 : Number(process.env.RATE_LIMIT_KEY),
+  ipLimit: process.env.RATE_LIMIT_IP === undefined ? undefined : Number(process.env.RATE_LIMIT_IP),
+  windowMs: (Number(process.env.RATE_LIMIT_WINDOW) || 60) * 1000,
+});
+const requireClient = apiAuth.middleware();
+
+// ── Decode pool ──────────────────────────────────────────────────────────────
+// Preprocessing, ZXing, libdmtx and grading run in worker threads
+// (decode-worker.js); sharp must be required by the main thread before any
+// worker loads it, which the require above does. A full queue answers
+// 503 + Retry-After.
+const DECODE_WORKERS = Number(process.env.DECODE_WORKERS) || Math.max(1, Math.min(4, os.cpus().length));
+const DECODE_QUEUE = process.env.DECODE_QUEUE === undefined ? 32 : Number(process.env.DECODE_QUEUE);
+const DECODE_TIMEOUT_MS = Number(process.env.DECODE_TIMEOUT_MS) || 15000;
+const decodePool = createDecodePool({
+  script: path.join(__dirname, 'decode-worker.js'),
+  size: DECODE_WORKERS,
+  queueSize: DECODE_QUEUE,
+  timeoutMs: DECODE_TIMEOUT_MS,
+});
+// Time per image for retrying failed decodes with alternative preprocessing
+// (0 = default recipe only).
+const STRATEGY_BUDGET_MS = process.env.STRATEGY_BUDGET_MS === undefined ? 2000 : Number(process.env.STRATEGY_BUDGET_MS);
+// Images from this many pixels on are searched region by region (edge-density
+// proposals, then overlapping tiles); 0 disables the region search.
+const TILING = {
+  minPixels: process.env.TILE_MIN_PIXELS === undefined ? 8e6 : Number(process.env.TILE_MIN_PIXELS),
+  size: Number(process.env.TILE_SIZE) || 1024,
+  overlap: process.env.TILE_OVERLAP === undefined ? 256 : Number(process.env.TILE_OVERLAP),
+  budgetMs: Number(process.env.TILE_BUDGET_MS) || 8000,
+};
+
+// ── zbarimg concurrency ──────────────────────────────────────────────────────
+// Each zbar decode spawns a process; bursts would otherwise fork without bound.
+const ZBAR_CONCURRENCY = Number(process.env.ZBAR_CONCURRENCY) || 2;
+
+/** Run async `fn`s with at most `limit` in flight; the rest wait in order. */
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active >= limit || !waiting.length) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    fn().then(resolve, reject).finally(() => {
+      active--;
+      next();
     });
+  };
+  return fn => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+const withZbarSlot = createLimiter(ZBAR_CONCURRENCY);
+
+// ── Metrics ──────────────────────────────────────────────────────────────────
+// Prometheus counters and histograms for GET /metrics; pool and cache state is
+// read at scrape time. Decode steps are timed from the debug step list, which
+// runDecoders() always collects.
+const metrics = createMetrics({ prefix: 'scanner_' });
+const MS = 1 / 1000;
+const httpRequests = metrics.counter('http_requests_total',
+  'Scan requests by route and outcome (decoded, empty, ok, bad_request, unauthorized, too_large, rate_limited, busy, error).',
+  ['route', 'outcome']);
+const httpDuration = metrics.histogram('http_request_duration_seconds',
+  'Scan request latency.', ['route'], [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60]);
+const scansTotal = metrics.counter('scans_total',
+  'Images scanned by outcome (decoded, empty, busy, error) and cache result.', ['outcome', 'cache']);
+const stepDuration = metrics.histogram('step_duration_seconds',
+  'Duration of decode steps (preprocess, zxing, zbar, libdmtx, regions, verify, pool, total); ' +
+  'preprocess, zxing and libdmtx run once per tried strategy or region.', ['step']);
+const decoderAttempts = metrics.counter('decoder_attempts_total', 'Fresh scans each decoder ran on.', ['decoder']);
+const decoderHits = metrics.counter('decoder_hits_total', 'Fresh scans in which a decoder reported at least one code.', ['decoder']);
+const strategyTotal = metrics.counter('strategy_total',
+  'Preprocessing strategy that decoded the image ("none" when nothing did); anything but "default" is a fallback.', ['strategy']);
+const imageBytes = metrics.histogram('image_bytes', 'Size of scanned images in bytes.', [],
+  [1e4, 5e4, 1e5, 2.5e5, 5e5, 1e6, 2e6, 5e6, 1e7, 2e7]);
+const imageMegapixels = metrics.histogram('image_megapixels', 'Resolution of freshly decoded images.', [],
+  [0.1, 0.3, 0.5, 1, 2, 4, 8, 12, 20, 50]);
+const stepErrors = metrics.counter('errors_total', 'Failed decode steps (zxing-error, zbar-error, dmtx-error, ...).', ['step']);
+const TIMED_STEPS = new Set(['preprocess', 'zxing', 'zbar', 'libdmtx', 'regions', 'verify', 'pool', 'total']);
+const DECODER_STEPS = { zxing: 'zxing', zbar: 'zbar', libdmtx: 'libdmtx' };
+
+metrics.gauge('pool_workers', 'Live decode worker threads.', () => decodePool.stats().alive);
+metrics.gauge('pool_busy', 'Decode workers running a task.', () => decodePool.stats().busy);
+metrics.gauge('pool_queued', 'Decode tasks waiting for a worker.', () => decodePool.stats().queued);
+metrics.gauge('pool_tasks_total', 'Decode pool tasks by result since start.', () => {
+  const stats = decodePool.stats();
+  return ['completed', 'failed', 'rejected', 'timedOut', 'restarted'].map(k => [{ result: k }, stats[k]]);
+}, { type: 'counter' });
+metrics.gauge('cache_entries', 'Result cache entries in memory.', () => resultCache.stats().entries);
+metrics.gauge('cache_lookups_total', 'Result cache lookups since start.', () => {
+  const stats = resultCache.stats();
+  return [[{ result: 'hit' }, stats.hits], [{ result: 'miss' }, stats.misses], [{ result: 'disk_hit' }, stats.diskHits]];
+}, { type: 'counter' });
+metrics.gauge('api_key_requests_total', 'Accepted requests per API key.',
+  () => apiAuth.usage().map(u => [{ key: u.name }, u.requests]), { type: 'counter' });
+metrics.gauge('api_key_images_total', 'Images uploaded per API key.',
+  () => apiAuth.usage().map(u => [{ key: u.name }, u.images]), { type: 'counter' });
+metrics.gauge('api_key_rate_limited_total', 'Requests per API key rejected with 429.',
+  () => apiAuth.usage().map(u => [{ key: u.name }, u.limited]), { type: 'counter' });
+
+/** Record one scanImage() outcome; step timings only for fresh decodes. */
+function observeScan(buffer, scan, err) {
+  imageBytes.observe({}, buffer.length);
+  if (err) {
+    scansTotal.inc({ outcome: err.status === 503 ? 'busy' : 'error', cache: 'NONE' });
+    return;
   }
+  scansTotal.inc({ outcome: scan.results.length ? 'decoded' : 'empty', cache: scan.cache });
+  if (scan.cache === 'HIT') return;
+  const ran = new Set();
+  scan.debug.forEach(entry => {
+    if (TIMED_STEPS.has(entry.step)) stepDuration.observe({ step: entry.step }, entry.ms * MS);
+    if (DECODER_STEPS[entry.step]) ran.add(DECODER_STEPS[entry.step]);
+    if (entry.step === 'image') imageMegapixels.observe({}, entry.width * entry.height / 1e6);
+    if (entry.step === 'strategy') strategyTotal.inc({ strategy: entry.succeeded || 'none' });
+    // a missing zbarimg is a deployment choice, not a failure
+    if (entry.step.endsWith('-error') && !entry.missing) stepErrors.inc({ step: entry.step });
+  });
+  ran.forEach(decoder => {
+    decoderAttempts.inc({ decoder });
+    if (scan.results.some(r => r.decoder === decoder)) decoderHits.inc({ decoder });
+  });
+}
 
-  // Step 3: stretch contrast to full 0-255 range
-  pipeline = pipeline.normalize();
+const STATUS_OUTCOMES = { 401: 'unauthorized', 413: 'too_large', 429: 'rate_limited', 503: 'busy' };
 
-  // Step 4: gentle blur to reduce digitisation noise (does not destroy module edges at σ=0.4)
-  pipeline = pipeline.blur(0.4);
+/**
+ * Middleware counting requests to `route` by outcome once the response is
+ * sent; handlers set res.locals.outcome, otherwise the status decides.
+ */
+function countRequests(route) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      const outcome = STATUS_OUTCOMES[status]
+        || (status >= 500 ? 'error' : status >= 400 ? 'bad_request' : res.locals.outcome || 'ok');
+      httpRequests.inc({ route, outcome });
+      httpDuration.observe({ route }, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+  };
+}
 
-  // Output PNG — lossless, avoids JPEG re-compression artefacts for downstream decoders
-  return pipeline.png().toBuffer();
+// ── Content parsing ─────────────────────────────────────────────────────────
+/**
+ * Parse GS1 element strings into Application Identifier fields.
+ * `knownGS1` is set when the decoder already reported GS1 content (ZXing
+ * contentType); otherwise we rely on symbology id / FNC1 / HRI markers.
+ * Returns null for non-GS1 text.
+ */
+function parseGS1Content(text, knownGS1 = false) {
+  if (!text || !(knownGS1 || GS1.isGS1(text))) return null;
+  return GS1.parse(text);
 }
 
-// ── /api/scan ────────────────────────────────────────────────────────────────
 /**
- * POST /api/scan
- * Body: multipart/form-data with field "image" (any image format).
- * Response: { ok: boolean, results: Array<{ text, format, points? }> }
- *
- * Decode order:
- *   1. ZXing WASM (preprocessed PNG) — best tolerance for ECC 200
- *   2. libdmtx native binding        — if installed; raw RGBA fallback
+ * Parse ISO/IEC 15434 envelopes ("[)>RS06GS…") into segments and named
+ * data identifier fields. Returns null when the text carries no envelope.
  */
-app.post('/api/scan', upload.single('image'), async (req, res) => {
-  if (!req.file) return res.status(400).json({ ok: false, error: 'no image uploaded' });
+function parseISO15434Content(text) {
+  if (!text || !ISO15434.isEnvelope(text)) return null;
+  return ISO15434.parse(text);
+}
 
-  try {
-    const debugEnabled = req.query.debug === '1' || req.headers['x-debug'] === '1';
-    const debug = [];
-    const tick = () => Date.now();
-    const start = tick();
-    // Preprocess once; reuse buffer for both decoders
-    const t0 = tick();
-    const preprocessed = await preprocessImage(req.file.buffer);
-    debug.push({ step: 'preprocess', ms: tick() - t0, size: preprocessed.length });
-
-    // ── 1. ZXing WASM on preprocessed PNG ─────────────────────────────────────────
-    try {
-      // Wrap PNG buffer in a Blob — Blob is available natively in Node ≥18
-      const blob = new Blob([preprocessed], { type: 'image/png' });
-      const t1 = tick();
-
-      const zxResults = await readBarcodes(blob, {
-        formats: ['DataMatrix'],
-        tryHarder: true,    // optimize for accuracy over speed
-        tryRotate: true,    // handle rotated codes (common in industrial settings)
-        tryInvert: true,    // handle inverted (white-on-black) codes
-        tryDenoise: true,   // morphological closing filter for 2-D codes (experimental)
-      });
+// ── Decoder chain ───────────────────────────────────────────────────────────
+/**
+ * Preprocess an image and run every decoder on it.
+ * Every decoder runs and all valid codes are returned (an image may hold many
+ * symbols); a code found by several decoders is reported once, by the first:
+ *   1. ZXing WASM (preprocessed PNG) — best tolerance for ECC 200
+ *   2. zbar CLI                      — if zbarimg is installed
+ *   3. libdmtx native binding        — if installed; raw RGBA fallback
+ *
+ * Preprocessing, ZXing and libdmtx run in the decode pool, zbar in the main
+ * thread (child process). When the default preprocessing finds nothing, the
+ * pool retries with alternative strategies (see decode-worker.js) within
+ * STRATEGY_BUDGET_MS; zbar then reads the image of the winning strategy and
+ * the `strategy` debug entry names it. Images of TILE_MIN_PIXELS or more are
+ * first searched region by region, with points mapped back to the full image.
+ *
+ * With `verify`, every result with corner points additionally gets an
+ * ISO/IEC 15415 grade report (`verification`) measured on the original,
+ * unprocessed image. When grading hits the deadline (or a full pool), the
+ * decoded results are returned anyway with `verification: { skipped: true,
+ * code }` (the message id of the pool error) and `partial: true`, which keeps them out of the result cache.
+ *
+ * `formats` selects the ZXing formats (zbar and libdmtx only run for
+ * DataMatrix); `tryHarder: false` trades accuracy for speed and skips the
+ * strategy ladder.
+ *
+ * @param {Buffer} buffer  raw image (any format Sharp understands)
+ * @param {{ debugImages?: boolean, verify?: boolean, formats?: string[], tryHarder?: boolean, deadline?: number }} [options]
+ *   debugImages — also return the intermediate images (see decode-worker.js)
+ *   deadline    — epoch ms by which the pool tasks must have finished
+ * @returns {Promise<{ results: Array<object>, debug: Array<object>, partial: boolean, images?: Array<{ name, kind, strategy?, image: Buffer }> }>}
+ *   rejects when the image cannot be read, or with status 503 when the
+ *   decode pool is saturated or the deadline passes before decoding finished
+ */
+async function runDecoders(buffer, {
+  debugImages = false, verify = false, formats = ['DataMatrix'], tryHarder = true,
+  deadline = Date.now() + DECODE_TIMEOUT_MS,
+} = {}) {
+  const debug = [];
+  const tick = () => Date.now();
+  const start = tick();
+  const results = [];
+  let partial = false; // grading skipped, see above
+  const addResult = ({ text, format = 'DataMatrix', points, decoder }, knownGS1 = false) => {
+    if (!text || results.some(r => r.text === text)) return;
+    results.push({
+      text,
+      format,
+      decoder,
+      points: points && points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+      gs1: parseGS1Content(text, knownGS1),
+      iso15434: parseISO15434Content(text),
+    });
+  };
 
-      const zxTime = tick() - t1;
-      debug.push({ step: 'zxing', ms: zxTime, count: zxResults.length });
-
-      const valid = zxResults.filter(r => r.isValid);
-      if (valid.length > 0) {
-        const results = valid.map(r => ({
-          text: r.text,
-          format: 'DataMatrix',
-          points: r.position
-            ? [
-                { x: r.position.topLeft.x,     y: r.position.topLeft.y },
-                { x: r.position.topRight.x,    y: r.position.topRight.y },
-                { x: r.position.bottomRight.x, y: r.position.bottomRight.y },
-                { x: r.position.bottomLeft.x,  y: r.position.bottomLeft.y },
-              ]
-            : undefined,
-        }));
-        return res.json(debugEnabled ? { ok: true, results, debug } : { ok: true, results });
-      }
-    } catch (zxErr) {
-      console.warn('[scan] ZXing WASM error:', zxErr.message ?? zxErr);
-      if (debugEnabled) debug.push({ step: 'zxing-error', error: String(zxErr) });
-    }
+  // ── 1 + 3. Preprocessing ladder, ZXing WASM and libdmtx in the decode pool ─
+  const t0 = tick();
+  const decoded = await decodePool.run('decode', {
+    buffer, debugImages, formats, tryHarder, budgetMs: tryHarder ? STRATEGY_BUDGET_MS : 0, tiling: TILING,
+  }, { timeoutMs: deadline - tick() });
+  debug.push({ step: 'pool', ms: tick() - t0 });
+  debug.push(...decoded.debug);
+  // null after a region search on a large image: zbar would re-read the whole frame
+  const preprocessed = decoded.preprocessed
+    && Buffer.from(decoded.preprocessed.buffer, decoded.preprocessed.byteOffset, decoded.preprocessed.length);
+  decoded.zxing.forEach(hit => addResult(hit, hit.knownGS1));
 
-    // ── 2. zbar CLI fallback (optional) ───────────────────────────────────────
-    // If zbarimg is installed on the host, try it as an additional open-source decoder.
-    // This spawns a short-lived child process and uses a temp file for input.
+  // ── 2. zbar CLI (optional) ────────────────────────────────────────────────
+  // If zbarimg is installed on the host, try it as an additional open-source decoder.
+  // This spawns a short-lived child process (at most ZBAR_CONCURRENCY at a time)
+  // and uses a temp file for input.
+  if (preprocessed && formats.includes('DataMatrix')) await withZbarSlot(async () => {
     try {
       const zbarPath = 'zbarimg'; // assume available in PATH
       const tmpName = crypto.randomUUID() + '.png';
@@ -139,57 +315,635 @@ app.post('/api/scan', upload.single('image'), async (req, res) => {
         const { stdout } = await execFileAsync(zbarPath, ['--raw', tmpPath], { timeout: 4000 });
         const zbarTime = tick() - t2;
         debug.push({ step: 'zbar', ms: zbarTime, output: stdout ? stdout.length : 0 });
-        const text = stdout?.toString().trim();
-        if (text) {
-          const results = [{ text, format: 'DataMatrix' }];
-          await fs.unlink(tmpPath).catch(() => {});
-          return res.json(debugEnabled ? { ok: true, results, debug } : { ok: true, results });
-        }
+        // --raw prints one decoded symbol per line
+        (stdout?.toString() || '').split(/\r?\n/)
+          .map(line => line.trim())
+          .forEach(text => addResult({ text, decoder: 'zbar' }));
       } catch (zpErr) {
-        // zbar not available or failed; log and continue to libdmtx
-        debug.push({ step: 'zbar-error', error: String(zpErr) });
+        if (zpErr.code === 4) {
+          // zbarimg exits with 4 when the image holds no symbol
+          debug.push({ step: 'zbar', ms: tick() - t2, output: 0 });
+        } else {
+          // zbar not available or failed; log and continue to libdmtx
+          debug.push({ step: 'zbar-error', error: String(zpErr), missing: zpErr.code === 'ENOENT' });
+        }
       } finally {
         await fs.unlink(tmpPath).catch(() => {});
       }
     } catch (zbErr) {
-      if (debugEnabled) debug.push({ step: 'zbar-fallback-error', error: String(zbErr) });
+      debug.push({ step: 'zbar-fallback-error', error: String(zbErr) });
     }
+  });
 
-    if (nodeLibDmtx && typeof nodeLibDmtx.decode === 'function') {
-      try {
-        // Convert preprocessed PNG to raw RGBA for native bindings
-        const t3 = tick();
-        const { data, info } = await sharp(preprocessed)
-          .ensureAlpha()
-          .raw()
-          .toBuffer({ resolveWithObject: true });
-        debug.push({ step: 'dmtx-prepare', ms: tick() - t3, width: info.width, height: info.height });
-
-        let dmtxResults = null;
-        try {
-          dmtxResults = nodeLibDmtx.decode(data, info.width, info.height);
-        } catch (_) {
-          dmtxResults = nodeLibDmtx.decode(info.width, info.height, data);
-        }
+  // libdmtx results rank after zbar
+  decoded.libdmtx.forEach(hit => addResult(hit));
 
-        if (dmtxResults && dmtxResults.length > 0) {
-          const results = dmtxResults.map(r => ({ text: r.text ?? String(r), format: 'DataMatrix', points: r.points }));
-          return res.json(debugEnabled ? { ok: true, results, debug } : { ok: true, results });
-        }
-      } catch (dmtxErr) {
-        console.warn('[scan] libdmtx error:', dmtxErr.message ?? dmtxErr);
-        if (debugEnabled) debug.push({ step: 'dmtx-error', error: String(dmtxErr) });
-      }
+  // ── 4. Print-quality grading (optional) ─────────────────────────────────
+  if (verify && results.some(r => r.points)) {
+    const t4 = tick();
+    const graded = results.filter(r => r.points);
+    try {
+      const reports = await decodePool.run('verify', { buffer, symbols: graded.map(r => r.points) }, { timeoutMs: deadline - tick() });
+      graded.forEach((r, i) => { r.verification = reports[i]; });
+      debug.push({ step: 'verify', ms: tick() - t4 });
+    } catch (err) {
+      if (err.status !== 503) throw err;
+      // the codes are decoded already: answer them ungraded rather than 503
+      graded.forEach(r => { r.verification = { skipped: true, code: err.messageId }; });
+      debug.push({ step: 'verify-skipped', ms: tick() - t4, reason: err.messageId });
+      partial = true;
     }
+  }
 
-    // ── Nothing decoded ───────────────────────────────────────────────────────
-    return res.json(debugEnabled ? { ok: true, results: [], debug } : { ok: true, results: [] });
+  debug.push({ step: 'total', ms: tick() - start, count: results.length });
+  if (!debugImages) return { results, debug, partial };
+  const images = (decoded.images || []).map(entry => Object.assign({}, entry, {
+    image: Buffer.from(entry.image.buffer, entry.image.byteOffset, entry.image.length),
+  }));
+  return { results, debug, images, partial };
+}
+
+/**
+ * runDecoders() behind the result cache. The key covers the image bytes and
+ * every option that changes the results (`verify`, `formats`, `tryHarder`).
+ * A hit reports a single { step: 'cache', hit: true } debug entry. Debug
+ * images need a fresh decode, so `debugImages` skips the lookup.
+ *
+ * @param {Buffer} buffer
+ * @param {{ debugImages?: boolean, verify?: boolean, formats?: string[], tryHarder?: boolean, useCache?: boolean }} [options]
+ *   useCache — false skips the lookup; the fresh result is still stored
+ * @returns {Promise<{ results: Array<object>, debug: Array<object>, cache: 'HIT'|'MISS'|'BYPASS'|'OFF' }>}
+ */
+async function scanImage(buffer, options) {
+  let scan;
+  try {
+    scan = await cachedScan(buffer, options);
   } catch (err) {
+    observeScan(buffer, null, err);
+    throw err;
+  }
+  observeScan(buffer, scan);
+  return scan;
+}
+
+/** scanImage() without the metrics. */
+async function cachedScan(buffer, {
+  debugImages = false, verify = false, formats = ['DataMatrix'], tryHarder = true, useCache = true,
+} = {}) {
+  const decodeOptions = { debugImages: !!debugImages, verify, formats, tryHarder };
+  if (debugImages) useCache = false;
+  if (!resultCache.enabled) return Object.assign(await runDecoders(buffer, decodeOptions), { cache: 'OFF' });
+
+  const t0 = Date.now();
+  const key = resultCache.key(buffer, { verify, formats: formats.join(','), tryHarder });
+  const hit = useCache ? await resultCache.get(key) : null;
+  if (hit) {
+    return {
+      results: hit.value,
+      debug: [{ step: 'cache', hit: true, source: hit.source, key, ms: Date.now() - t0 }],
+      cache: 'HIT',
+    };
+  }
+  const lookupMs = Date.now() - t0;
+  const scan = await runDecoders(buffer, decodeOptions);
+  if (!scan.partial) resultCache.set(key, scan.results);
+  scan.debug.unshift({ step: 'cache', hit: false, key, ms: lookupMs });
+  return Object.assign(scan, { cache: useCache ? 'MISS' : 'BYPASS' });
+}
+
+/** ?nocache=1 or Cache-Control: no-cache forces a fresh decode. */
+function wantsCache(req) {
+  return req.query.nocache !== '1' && !/no-cache/.test(req.headers['cache-control'] || '');
+}
+
+// ── Debug images ─────────────────────────────────────────────────────────────
+// Intermediate images of a debug scan are returned inline as data URLs or,
+// with debugImages=url, kept in memory for DEBUG_IMAGE_TTL seconds and served
+// by GET /api/debug/:id (at most DEBUG_IMAGE_MAX images, oldest dropped first).
+const DEBUG_IMAGE_TTL_MS = (Number(process.env.DEBUG_IMAGE_TTL) || 300) * 1000;
+const DEBUG_IMAGE_MAX = Number(process.env.DEBUG_IMAGE_MAX) || 200;
+const debugImageStore = new Map(); // id → { image, expires }; insertion order = age
+
+function storeDebugImage(image) {
+  const now = Date.now();
+  for (const [id, entry] of debugImageStore) {
+    if (entry.expires > now && debugImageStore.size < DEBUG_IMAGE_MAX) break;
+    debugImageStore.delete(id);
+  }
+  const id = crypto.randomUUID();
+  debugImageStore.set(id, { image, expires: now + DEBUG_IMAGE_TTL_MS });
+  return id;
+}
+
+/**
+ * Worker images → response entries { name, kind, strategy?, bytes, data | url }.
+ * @param {'base64'|'url'} mode
+ */
+function publishDebugImages(images, mode) {
+  return (images || []).map(({ name, kind, strategy, image }) => {
+    const entry = { name, kind };
+    if (strategy) entry.strategy = strategy;
+    entry.bytes = image.length;
+    if (mode === 'url') entry.url = '/api/debug/' + storeDebugImage(image);
+    else entry.data = 'data:image/png;base64,' + image.toString('base64');
+    return entry;
+  });
+}
+
+/**
+ * GET /api/debug/:id — a stored debug image (PNG); 404 once expired. Needs
+ * the same API key as /api/scan, since the images show uploaded content.
+ */
+app.get('/api/debug/:id', requireClient, (req, res) => {
+  const entry = debugImageStore.get(req.params.id);
+  if (!entry || entry.expires <= Date.now()) {
+    debugImageStore.delete(req.params.id);
+    return res.status(404).json({ ok: false, error: 'debug image expired or unknown' });
+  }
+  res.setHeader('Cache-Control', 'private, max-age=' + Math.floor((entry.expires - Date.now()) / 1000));
+  res.type('png').send(entry.image);
+});
+
+// ── /api/scan request bodies ─────────────────────────────────────────────────
+// PLC gateways and scripts often cannot build multipart requests, so besides
+// multipart/form-data /api/scan reads base64 JSON and raw image bodies, all
+// with the same size limit and the same options.
+const jsonScanBody = express.json({ limit: Math.ceil(SCAN_MAX_BYTES * 4 / 3) + 64 * 1024 });
+const rawScanBody = express.raw({ type: () => true, limit: SCAN_MAX_BYTES });
+const tooLarge = () => apiError(413, 'image_too_large', { max: SCAN_MAX_BYTES });
+
+/**
+ * Image bytes from a base64 string or a base64 data URL ("data:image/png;base64,…").
+ * Throws 400 on malformed input, 415 for non-image data URLs, 413 above SCAN_MAX_BYTES.
+ */
+function decodeBase64Image(value) {
+  if (typeof value !== 'string') throw apiError(400, 'image_not_string');
+  let data = value;
+  const dataUrl = /^data:([^;,]*)((?:;[^;,]*)*),/i.exec(value);
+  if (dataUrl) {
+    if (!/;base64$/i.test(dataUrl[2])) throw apiError(400, 'data_url_not_base64');
+    const type = dataUrl[1].toLowerCase();
+    if (type && !type.startsWith('image/') && type !== 'application/octet-stream') {
+      throw apiError(415, 'unsupported_media_type', { type });
+    }
+    data = value.slice(dataUrl[0].length);
+  }
+  // whitespace from line-wrapped encoders; base64url is accepted as well
+  data = data.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data) || data.length % 4 === 1) {
+    throw apiError(400, 'invalid_base64');
+  }
+  if (data.length * 3 / 4 > SCAN_MAX_BYTES + 2) throw tooLarge();
+  return Buffer.from(data, 'base64');
+}
+
+/**
+ * Read the /api/scan body into `req.image` whatever its type:
+ *   multipart/form-data                   — file field "image", options as text fields
+ *   application/json                      — { image: base64 or data URL, ...options }
+ *   image/* or application/octet-stream   — the image bytes, options in the query
+ * Errors are answered as JSON in the client's language (messages.js): 400
+ * (missing / malformed), 413 (above the size limit), 415 (any other content type).
+ */
+function scanBody(req, res, next) {
+  const fail = err => sendError(req, res, err);
+  const read = getImage => err => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE' || err.status === 413) return fail(tooLarge());
+      if (err.type === 'entity.parse.failed') return fail(apiError(400, 'invalid_json'));
+      return fail(Object.assign(err, { status: err.status && err.status < 500 ? err.status : 400 }));
+    }
+    try {
+      req.image = getImage();
+    } catch (e) {
+      return fail(e);
+    }
+    if (!req.image || !req.image.length) return fail(apiError(400, 'no_image'));
+    next();
+  };
+
+  // null: no body at all; false: a body of another type
+  const type = req.is('multipart/form-data', 'application/json', 'image/*', 'application/octet-stream');
+  if (type === null) return fail(apiError(400, 'no_image'));
+  if (type === 'multipart/form-data') {
+    return upload.single('image')(req, res, read(() => req.file && req.file.buffer));
+  }
+  if (type === 'application/json') {
+    return jsonScanBody(req, res, read(() => {
+      const image = req.body && req.body.image;
+      return image === undefined || image === '' ? null : decodeBase64Image(image);
+    }));
+  }
+  if (type) return rawScanBody(req, res, read(() => (Buffer.isBuffer(req.body) ? req.body : null)));
+  return fail(apiError(415, 'unsupported_content_type', { type: req.headers['content-type'] }));
+}
+
+/** Boolean option: 1 / true / yes / on; undefined when absent. */
+function flag(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  return /^(1|true|yes|on)$/i.test(String(value));
+}
+
+// "qr-code", "qrcode", "QRCode" → "QRCode"
+const FORMAT_NAMES = new Map(barcodeFormats.map(f => [f.toLowerCase().replace(/[^a-z0-9]/g, ''), f]));
+
+/**
+ * Decode options from the query string and the body fields (the body wins),
+ * the same for every body type:
+ *   debug, verify, tryHarder — booleans (1 / true); debug also via X-Debug: 1
+ *   formats                  — ZXing format names, array or comma list
+ *                              (default DataMatrix)
+ *   debugImages              — 'base64' (or 1) / 'url': return intermediate
+ *                              images, implies debug
+ * Throws 400 on unknown formats or debugImages modes.
+ */
+function scanOptions(req) {
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  const pick = name => (body[name] !== undefined ? body[name] : req.query[name]);
+
+  let formats = ['DataMatrix'];
+  const requested = pick('formats');
+  if (requested !== undefined && requested !== '') {
+    const names = (Array.isArray(requested) ? requested : String(requested).split(',')).map(f => String(f).trim()).filter(Boolean);
+    formats = names.map(name => {
+      const format = FORMAT_NAMES.get(name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+      if (!format) {
+        throw apiError(400, 'unknown_format', { name, known: barcodeFormats.join(', ') });
+      }
+      return format;
+    }).filter((f, i, all) => all.indexOf(f) === i);
+    if (!formats.length) throw apiError(400, 'formats_empty');
+  }
+  const imagesMode = pick('debugImages');
+  let debugImages = null;
+  if (imagesMode === 'base64' || imagesMode === 'url') debugImages = imagesMode;
+  else if (flag(imagesMode)) debugImages = 'base64';
+  else if (flag(imagesMode) !== undefined && !/^(0|false|no|off)$/i.test(String(imagesMode))) {
+    throw apiError(400, 'debug_images_mode');
+  }
+  return {
+    debugEnabled: !!debugImages || (flag(pick('debug')) ?? req.headers['x-debug'] === '1'),
+    debugImages,
+    verify: flag(pick('verify')) ?? false,
+    tryHarder: flag(pick('tryHarder')) ?? true,
+    formats,
+  };
+}
+
+// ── /api/scan ────────────────────────────────────────────────────────────────
+/**
+ * POST /api/scan
+ * Body (see scanBody()):
+ *   multipart/form-data with field "image" (any image format), or
+ *   application/json { image: "<base64>" | "data:image/…;base64,…", ...options }, or
+ *   the raw image with Content-Type image/* or application/octet-stream.
+ * Options (query string or body fields, see scanOptions()):
+ *   verify=1     adds an ISO/IEC 15415 print-quality report per code
+ *   formats=…    ZXing formats to look for, e.g. "DataMatrix,QRCode"
+ *   tryHarder=0  faster, less thorough decoding
+ *   debug=1      adds the `debug` step list
+ *   debugImages=base64|url  adds `debugImages`: [{ name, kind, strategy?, bytes, data | url }]
+ *                kind — preprocessed (default recipe), strategy, region or annotated
+ *                (upload with decoded codes, failed ZXing candidates, searched regions);
+ *                `data` is a PNG data URL, `url` points to /api/debug/:id for
+ *                DEBUG_IMAGE_TTL seconds
+ * Limit SCAN_MAX_BYTES (20 MB) for every body type: 413 above it, 400 for a
+ * missing or malformed image, 415 for other content types; 415 / 400
+ * (`unreadable_image`) when the upload is no image format sharp knows or corrupt.
+ * Response: { ok: boolean, results: Array<{ text, format, decoder, points?, gs1, iso15434, verification? }> }
+ *   gs1          — { ok, elements: [{ ai, title, value, valid, ... }], errors } or null
+ *   iso15434     — { ok, segments: [{ format, name, elements }], errors, display } or null
+ *   verification — { grade, decode, symbolSize, moduleSize, parameters: { SC, MOD, RM, FPD, AN, GNU, UEC } }
+ *                  (A–F per parameter), { error } when the symbol could not be graded or
+ *                  { skipped: true, code } when DECODE_TIMEOUT_MS or a full decode queue left
+ *                  no time for grading (code: decode_timeout, queue_full, ...)
+ * Identical uploads are answered from the result cache; the X-Cache header
+ * says HIT, MISS, BYPASS (?nocache=1 / Cache-Control: no-cache) or OFF.
+ * 503 with Retry-After when the decode queue is full or the request exceeds
+ * DECODE_TIMEOUT_MS.
+ * With API keys configured, 401 without a valid X-API-Key header; 429 with
+ * Retry-After above the per-key or per-IP rate limit (see api-auth.js).
+ * Error responses are { ok: false, error, code? }: `error` in English or
+ * German by Accept-Language, `code` the language-independent message id
+ * (see messages.js).
+ * See runDecoders() for the decoder chain.
+ */
+app.post('/api/scan', countRequests('scan'), requireClient, scanBody, async (req, res) => {
+  let options;
+  try {
+    options = scanOptions(req);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+  req.apiClient.record(1, req.image.length);
+
+  try {
+    const { results, debug, images, cache } = await scanImage(req.image, Object.assign({ useCache: wantsCache(req) }, options));
+    res.setHeader('X-Cache', cache);
+    res.locals.outcome = results.length ? 'decoded' : 'empty';
+    if (!options.debugEnabled) return res.json({ ok: true, results });
+    const body = { ok: true, results, debug };
+    if (options.debugImages) body.debugImages = publishDebugImages(images, options.debugImages);
+    return res.json(body);
+  } catch (err) {
+    if (err.status === 503) {
+      res.setHeader('Retry-After', String(err.retryAfter || 1));
+      return sendError(req, res, err, 503);
+    }
+    if (err.status && err.status < 500) return sendError(req, res, err);
     console.error('[scan] Unexpected error:', err);
+    return sendError(req, res, err, 500);
+  }
+});
+
+// ── /api/scan/batch ──────────────────────────────────────────────────────────
+const IMAGE_NAME = /\.(png|jpe?g|gif|webp|tiff?|bmp|avif|heic)$/i;
+
+/**
+ * Expand uploaded files into a flat list of images; ZIP archives contribute
+ * their image entries as "archive.zip/inner/name.jpg".
+ * Throws (→ 400/413) on broken archives or when limits are exceeded.
+ */
+function collectBatchImages(files) {
+  const images = [];
+  let total = 0;
+  const add = (name, buffer) => {
+    images.push({ name, buffer });
+    total += buffer.length;
+    if (images.length > BATCH_MAX_FILES) throw apiError(413, 'too_many_images', { max: BATCH_MAX_FILES });
+    if (total > BATCH_MAX_BYTES) throw apiError(413, 'batch_too_large', { max: BATCH_MAX_BYTES });
+  };
+  for (const f of files) {
+    if (!zip.isZip(f.buffer)) {
+      add(f.originalname, f.buffer);
+      continue;
+    }
+    let entries;
+    try {
+      // only what is left of the batch budget, so one archive cannot inflate past it
+      entries = zip.extractEntries(f.buffer, {
+        // skip macOS resource forks and anything that is not an image
+        filter: name => IMAGE_NAME.test(name) && !name.startsWith('__MACOSX/'),
+        maxEntries: BATCH_MAX_FILES - images.length,
+        maxTotalSize: BATCH_MAX_BYTES - total,
+      });
+    } catch (err) {
+      // report the batch limits, not the remainder zip.js was given
+      if (err.messageId === 'too_many_images') throw apiError(413, 'too_many_images', { max: BATCH_MAX_FILES });
+      if (err.messageId === 'batch_too_large') throw apiError(413, 'batch_too_large', { max: BATCH_MAX_BYTES });
+      throw err;
+    }
+    entries.forEach(e => add(f.originalname + '/' + e.name, e.data));
+  }
+  return images;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight; `onDone` is
+ * called as each item settles (completion order, not input order).
+ */
+async function mapLimit(items, limit, fn, onDone = () => {}) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      out[index] = await fn(items[index], index);
+      onDone(out[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * POST /api/scan/batch
+ * Body: multipart/form-data with any number of "images" fields (images or
+ * ZIP archives of images).
+ * Response: { ok, count, ms, files: Array<{ index, name, ok, ms, results?, error? }> }
+ *   files are in upload order; a file that cannot be decoded has ok=false and
+ *   `error`, the batch itself still succeeds.
+ * ?verify=1 grades every code as in /api/scan; formats, tryHarder, debug and
+ * debugImages work as there (query string or form fields).
+ * Authentication and rate limits as for /api/scan; every image in the batch
+ * counts as one request against the limit. Errors, also per file, follow
+ * Accept-Language as there.
+ * With ?stream=1 (or Accept: application/x-ndjson) the response is NDJSON:
+ *   { type: 'start', count } — then one { type: 'file', ... } line per image
+ *   as it finishes — then { type: 'done', count, ms }.
+ */
+app.post('/api/scan/batch', countRequests('batch'), requireClient, (req, res, next) => {
+  // report multer limit errors as JSON instead of the default HTML page
+  batchUpload.array('images', BATCH_MAX_FILES)(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return sendError(req, res, apiError(413, 'image_too_large', { max: BATCH_FILE_MAX_BYTES }));
+    if (err.code === 'LIMIT_FILE_COUNT') return sendError(req, res, apiError(413, 'too_many_images', { max: BATCH_MAX_FILES }));
+    return sendError(req, res, err, 400);
+  });
+}, async (req, res) => {
+  if (!req.files || !req.files.length) return sendError(req, res, apiError(400, 'no_images'));
+
+  let images;
+  try {
+    images = collectBatchImages(req.files);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+  if (!images.length) return sendError(req, res, apiError(400, 'no_images_in_upload'));
+  req.apiClient.record(images.length, images.reduce((sum, image) => sum + image.buffer.length, 0));
+
+  let options;
+  try {
+    options = scanOptions(req);
+  } catch (err) {
+    return sendError(req, res, err);
+  }
+  const { debugEnabled } = options;
+  const lang = negotiate(req.get('accept-language'));
+  const useCache = wantsCache(req);
+  const stream = req.query.stream === '1' || /application\/x-ndjson/.test(req.headers.accept || '');
+  const start = Date.now();
+
+  const scanOne = async (image, index) => {
+    const t0 = Date.now();
+    try {
+      const { results, debug, images } = await scanImage(image.buffer, Object.assign({ useCache }, options));
+      const entry = { index, name: image.name, ok: true, ms: Date.now() - t0, results };
+      if (debugEnabled) entry.debug = debug;
+      if (options.debugImages) entry.debugImages = publishDebugImages(images, options.debugImages);
+      return entry;
+    } catch (err) {
+      const entry = { index, name: image.name, ok: false, ms: Date.now() - t0, error: localize(err, lang) };
+      if (err.messageId) entry.code = err.messageId;
+      return entry;
+    }
+  };
+
+  if (!stream) {
+    const files = await mapLimit(images, BATCH_CONCURRENCY, scanOne);
+    return res.json({ ok: true, count: files.length, ms: Date.now() - start, files });
+  }
+
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  const writeLine = obj => res.write(JSON.stringify(obj) + '\n');
+  writeLine({ type: 'start', count: images.length });
+  await mapLimit(images, BATCH_CONCURRENCY, scanOne, entry => writeLine(Object.assign({ type: 'file' }, entry)));
+  writeLine({ type: 'done', count: images.length, ms: Date.now() - start });
+  res.end();
+});
+
+// ── /api/generate ────────────────────────────────────────────────────────────
+/**
+ * POST /api/generate
+ * Body (JSON): {
+ *   text:       string   — content; for gs1 an element string "(01)…(10)…"
+ *                          or raw with GS / ␝ separators
+ *   gs1?:       boolean  — encode as GS1 DataMatrix (FNC1), validated first
+ *   shape?:     'square' | 'rectangle' | 'auto'  (default square)
+ *   size?:      string   — explicit symbol size, e.g. "16x16" or "12x36"
+ *   moduleSize?: number  — pixels (PNG) / user units (SVG) per module, 1–50, default 10
+ *   quietZone?: number   — light margin in modules, 0–20, default 2
+ *   format?:    'png' | 'svg'  (default png)
+ * }
+ * Response: image/png or image/svg+xml; X-Symbol-Size header carries the
+ * chosen "ROWSxCOLS". Errors: 400 { ok: false, error, errors? }.
+ */
+app.post('/api/generate', express.json({ limit: '64kb' }), async (req, res) => {
+  const body = req.body || {};
+  const format = body.format || 'png';
+  const moduleSize = body.moduleSize === undefined ? 10 : Number(body.moduleSize);
+  const quietZone = body.quietZone === undefined ? 2 : Number(body.quietZone);
+
+  if (typeof body.text !== 'string' || !body.text) return res.status(400).json({ ok: false, error: 'text is required' });
+  if (!['png', 'svg'].includes(format)) return res.status(400).json({ ok: false, error: 'format must be png or svg' });
+  if (!['square', 'rectangle', 'auto', undefined].includes(body.shape)) {
+    return res.status(400).json({ ok: false, error: 'shape must be square, rectangle or auto' });
+  }
+  if (!Number.isInteger(moduleSize) || moduleSize < 1 || moduleSize > 50) {
+    return res.status(400).json({ ok: false, error: 'moduleSize must be an integer between 1 and 50' });
+  }
+  if (!Number.isInteger(quietZone) || quietZone < 0 || quietZone > 20) {
+    return res.status(400).json({ ok: false, error: 'quietZone must be an integer between 0 and 20' });
+  }
+
+  let text = body.text;
+  if (body.gs1) {
+    const gs1 = GS1.parse(text);
+    if (!gs1.ok) return res.status(400).json({ ok: false, error: 'invalid GS1 element string', errors: gs1.errors });
+    text = GS1.toElementString(gs1.elements);
+  }
+
+  let symbol;
+  try {
+    symbol = DataMatrix.encode(text, { gs1: !!body.gs1, shape: body.shape, size: body.size });
+  } catch (err) {
+    const status = err instanceof RangeError ? 400 : 500;
+    return res.status(status).json({ ok: false, error: err.message });
+  }
+
+  res.setHeader('X-Symbol-Size', symbol.symbol.name);
+  if (format === 'svg') {
+    return res.type('image/svg+xml').send(DataMatrix.toSVG(symbol, { moduleSize, quietZone }));
+  }
+  try {
+    const { data, width, height } = DataMatrix.toRaw(symbol, { moduleSize, quietZone });
+    const png = await sharp(data, { raw: { width, height, channels: 1 } }).png().toBuffer();
+    return res.type('image/png').send(png);
+  } catch (err) {
+    console.error('[generate] PNG rendering failed:', err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// ── /api/ingest (development only) ───────────────────────────────────────────
+/**
+ * POST /api/ingest
+ * Local stand-in for an MES / webhook receiver, to test scan forwarding end
+ * to end. Only mounted with INGEST_ENABLED=1 and behind the API key / rate
+ * limit check. Accepts bodies up to INGEST_MAX_BYTES (JSON is parsed), keeps
+ * the last INGEST_KEEP deliveries in memory and answers a repeated
+ * Idempotency-Key with 200 { ok: true, duplicate: true } without storing it again.
+ * Response: 201 { ok: true, key }
+ *
+ * GET /api/ingest lists the received deliveries, newest first.
+ */
+const INGEST_KEEP = 50;
+const INGEST_MAX_BYTES = 64 * 1024;
+const ingested = [];
+
+function ingest(req, res) {
+  const key = req.get('Idempotency-Key') || null;
+  if (key && ingested.some(e => e.key === key)) return res.json({ ok: true, duplicate: true, key });
+
+  const raw = typeof req.body === 'string' ? req.body : '';
+  let body = raw;
+  try {
+    body = JSON.parse(raw);
+  } catch (e) {
+    // not JSON — keep the text as sent by the payload template
+  }
+  ingested.unshift({ key, received: new Date().toISOString(), contentType: req.get('Content-Type') || null, body });
+  ingested.splice(INGEST_KEEP);
+  return res.status(201).json({ ok: true, key });
+}
+
+if (process.env.INGEST_ENABLED === '1') {
+  app.post('/api/ingest', requireClient, express.text({ type: '*/*', limit: INGEST_MAX_BYTES }), ingest);
+  app.get('/api/ingest', requireClient, (req, res) => res.json({ ok: true, count: ingested.length, entries: ingested }));
+}
+
+// ── /api/usage ───────────────────────────────────────────────────────────────
+/**
+ * GET /api/usage — usage counters of the calling API key (all keys for keys
+ * with "admin": true); lets clients check their key.
+ * Response: { ok, auth: boolean, key, windowSeconds, usage: Array<{ name, limit, requests, images, bytes, limited, lastUsed }> }
+ *   limit — requests per windowSeconds
+ */
+app.get('/api/usage', requireClient, (req, res) => {
+  const { name, admin } = req.apiClient;
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    ok: true,
+    auth: apiAuth.enabled,
+    key: name,
+    windowSeconds: apiAuth.windowMs / 1000,
+    usage: name ? apiAuth.usage(admin ? null : name) : [],
+  });
+});
+
+// ── /metrics and /api/health ─────────────────────────────────────────────────
+/**
+ * GET /metrics — Prometheus text format (see the Metrics section above).
+ * With API keys configured only admin keys may read it: the api_key_* series
+ * name every key and its usage.
+ */
+app.get('/metrics', requireClient, (req, res) => {
+  if (apiAuth.enabled && !req.apiClient.admin) return sendError(req, res, apiError(403, 'admin_key_required'));
+  res.setHeader('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+/**
+ * GET /api/health — readiness for load balancers and orchestrators.
+ * Response: { ok, status: 'ready'|'busy'|'unavailable', uptime, pool, cache }
+ *   200 when ready; 503 when no decode worker is alive (unavailable) or the
+ *   decode queue is full (busy).
+ */
+app.get('/api/health', (req, res) => {
+  const pool = decodePool.stats();
+  const status = !pool.alive ? 'unavailable' : pool.queued >= pool.queueSize ? 'busy' : 'ready';
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status === 'ready' ? 200 : 503).json({
+    ok: status === 'ready',
+    status,
+    uptime: Math.round(process.uptime()),
+    pool,
+    cache: resultCache.stats(),
+  });
+});
+
 // Serve all static files from repo root
 app.use(express.static(path.join(__dirname)));
 
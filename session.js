@@ -0,0 +1,397 @@
+/**
+ * Scan sessions ("Zählung") for counting work such as incoming goods: a named
+ * session collects every accepted scan until it is closed, counts them per
+ * code and per product / batch and flags serial numbers scanned twice.
+ * Sessions and their scans live in IndexedDB, so an open session survives
+ * reloads and restarts; closing it exports a CSV or JSON report.
+ * Requires idb.js; exposes `ScanSessions` (storage and counting) and
+ * `initSessionView()` (UI).
+ *
+ * Session: { id, name, started, closed }   closed — time (ms), null while open
+ * Scan:    { id, session, text, product, batch, serial, source, timestamp, duplicate }
+ *   product / batch / serial — from GS1 AIs 01/02, 10, 21 or the matching
+ *                              ISO/IEC 15434 data identifiers; null if absent
+ *   duplicate                — the serial was already scanned in this session
+ */
+const ScanSessions = (() => {
+  const DB_NAME = 'scan-sessions';
+  const SESSIONS = 'sessions';
+  const SCANS = 'scans';
+  // field ids per key, first match wins: GS1 AIs, ANSI MH10.8.2 DIs, ATA text elements
+  const KEYS = {
+    product: ['01', '02', '8P', '9N', '1P', 'PNO', 'PNR'],
+    batch: ['10', '1T', 'LOT'],
+    serial: ['21', 'S', 'SER'],
+  };
+  let dbPromise = null;
+  let open = null;       // { session, scans } of the open session
+  let loading = null;    // promise of the initial load
+  let loaded = false;    // initial load settled
+  const pending = [];    // [text, source, timestamp] recorded before that
+  const serials = new Set(); // serialKey() of the open session
+
+  function db() {
+    if (!dbPromise) {
+      dbPromise = IDB.open(DB_NAME, 1, d => {
+        d.createObjectStore(SESSIONS, { keyPath: 'id', autoIncrement: true });
+        const scans = d.createObjectStore(SCANS, { keyPath: 'id', autoIncrement: true });
+        scans.createIndex('session', 'session');
+      });
+    }
+    return dbPromise;
+  }
+
+  async function scansOf(id) {
+    const scans = await IDB.withStore(await db(), SCANS, 'readonly', store => IDB.request(store.index('session').getAll(id)));
+    return scans.sort((a, b) => a.id - b.id);
+  }
+
+  const serialKey = scan => (scan.product || '') + '\u0000' + scan.serial;
+
+  function setOpen(session, scans) {
+    open = session ? { session, scans } : null;
+    serials.clear();
+    if (open) scans.forEach(s => { if (s.serial) serials.add(serialKey(s)); });
+  }
+
+  /**
+   * Load the open session, if any. Scans recorded before it has loaded are
+   * counted into it once it has.
+   */
+  function ready() {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const all = await IDB.withStore(await db(), SESSIONS, 'readonly', store => IDB.request(store.getAll()));
+          const session = all.find(s => !s.closed) || null;
+          setOpen(session, session ? await scansOf(session.id) : []);
+        } finally {
+          loaded = true;
+          pending.splice(0).forEach(args => count(...args));
+        }
+      })();
+    }
+    return loading;
+  }
+
+  /** Product, batch and serial number of a decoded text (see KEYS). */
+  function keysOf(text) {
+    const fields = typeof parseContent === 'function' ? parseContent(text).fields : [];
+    const pick = ids => {
+      const f = ids.map(id => fields.find(x => x.id === id)).find(Boolean);
+      return f ? String(f.value) : null;
+    };
+    return { product: pick(KEYS.product), batch: pick(KEYS.batch), serial: pick(KEYS.serial) };
+  }
+
+  async function start(name) {
+    await ready();
+    if (open) throw Object.assign(new Error('session "' + open.session.name + '" is still open'), { code: 'session-open', session: open.session.name });
+    const session = { name: String(name || '').trim() || t('session.defaultName', { date: I18n.formatDateTime(Date.now()) }), started: Date.now(), closed: null };
+    session.id = await IDB.withStore(await db(), SESSIONS, 'readwrite', store => IDB.request(store.add(session)));
+    setOpen(session, []);
+    return Object.assign({}, session);
+  }
+
+  /**
+   * Count one accepted scan in the open session. Counting happens in memory
+   * right away (so the caller can react to duplicates); the scan is stored
+   * in the background. Until ready() has loaded the open session the scan is
+   * only queued and counted then.
+   * @returns {object|null} the scan, or null when queued or without an open session
+   */
+  function record(text, source) {
+    if (!text) return null;
+    if (!loaded) {
+      pending.push([text, source, Date.now()]);
+      ready();
+      return null;
+    }
+    return count(text, source, Date.now());
+  }
+
+  function count(text, source, timestamp) {
+    if (!open) return null;
+    text = String(text);
+    const scan = Object.assign({ session: open.session.id, text }, keysOf(text), { source, timestamp, duplicate: false });
+    if (scan.serial) {
+      scan.duplicate = serials.has(serialKey(scan));
+      serials.add(serialKey(scan));
+    }
+    open.scans.push(scan);
+    db()
+      .then(d => IDB.withStore(d, SCANS, 'readwrite', store => IDB.request(store.add(scan))))
+      .then(id => { scan.id = id; })
+      .catch(e => console.warn('session: cannot store scan', e));
+    return scan;
+  }
+
+  /** Close the open session. @returns {Promise<object|null>} its report */
+  async function close() {
+    await ready();
+    if (!open) return null;
+    const session = Object.assign({}, open.session, { closed: Date.now() });
+    await IDB.withStore(await db(), SESSIONS, 'readwrite', store => IDB.request(store.put(session)));
+    const scans = open.scans;
+    setOpen(null);
+    return report(session, scans);
+  }
+
+  /** Closed sessions, newest first. */
+  async function list() {
+    const all = await IDB.withStore(await db(), SESSIONS, 'readonly', store => IDB.request(store.getAll()));
+    return all.filter(s => s.closed).sort((a, b) => b.started - a.started);
+  }
+
+  /** Report of a stored session. */
+  async function load(id) {
+    const session = await IDB.withStore(await db(), SESSIONS, 'readonly', store => IDB.request(store.get(id)));
+    return session ? report(session, await scansOf(id)) : null;
+  }
+
+  async function remove(id) {
+    const scans = await scansOf(id);
+    await IDB.withStore(await db(), SCANS, 'readwrite', store => Promise.all(scans.map(s => IDB.request(store.delete(s.id)))));
+    return IDB.withStore(await db(), SESSIONS, 'readwrite', store => IDB.request(store.delete(id)));
+  }
+
+  /**
+   * Counts of a list of scans.
+   * @returns {{ total: number, codes: Array<object>, lots: Array<object>, duplicates: Array<object> }}
+   *   codes      — [{ text, product, batch, serial, count, first, last }] per unique code
+   *   lots       — [{ product, batch, count }] per product / batch, largest first
+   *   duplicates — [{ product, serial, count }] serials scanned more than once
+   */
+  function summarize(scans) {
+    const codes = new Map();
+    const lots = new Map();
+    const repeated = new Map();
+    scans.forEach(s => {
+      const code = codes.get(s.text) ||
+        codes.set(s.text, { text: s.text, product: s.product, batch: s.batch, serial: s.serial, count: 0, first: s.timestamp, last: s.timestamp }).get(s.text);
+      code.count++;
+      code.last = s.timestamp;
+      const lotKey = (s.product || '') + '\u0000' + (s.batch || '');
+      const lot = lots.get(lotKey) || lots.set(lotKey, { product: s.product, batch: s.batch, count: 0 }).get(lotKey);
+      lot.count++;
+      if (s.serial) {
+        const key = serialKey(s);
+        const entry = repeated.get(key) || repeated.set(key, { product: s.product, serial: s.serial, count: 0 }).get(key);
+        entry.count++;
+      }
+    });
+    return {
+      total: scans.length,
+      codes: Array.from(codes.values()),
+      lots: Array.from(lots.values()).sort((a, b) => b.count - a.count),
+      duplicates: Array.from(repeated.values()).filter(d => d.count > 1),
+    };
+  }
+
+  function report(session, scans) {
+    return { session: Object.assign({}, session), summary: summarize(scans), scans };
+  }
+
+  /** Open session with its counts, or null. */
+  function current() {
+    return open ? report(open.session, open.scans.slice()) : null;
+  }
+
+  // Semicolon-separated with BOM like the history export; three blocks
+  // (session, product / batch counts, codes) separated by blank lines
+  function toCSV({ session, summary }) {
+    const esc = v => {
+      const s = v === undefined || v === null ? '' : String(v);
+      return /[";\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    };
+    const visible = t => (typeof ISO15434 !== 'undefined' ? ISO15434.visualize(t) : t);
+    const iso = t => (t ? new Date(t).toISOString() : '');
+    const dupes = new Set(summary.duplicates.map(serialKey));
+    const rows = [
+      ['session', 'started', 'closed', 'scans', 'codes', 'duplicate_serials'],
+      [session.name, iso(session.started), iso(session.closed), summary.total, summary.codes.length, summary.duplicates.length],
+      [],
+      ['product', 'batch', 'count'],
+      ...summary.lots.map(l => [l.product, l.batch, l.count]),
+      [],
+      ['code', 'product', 'batch', 'serial', 'count', 'duplicate', 'first', 'last'],
+      ...summary.codes.map(c => [
+        visible(c.text), c.product, c.batch, c.serial, c.count,
+        c.serial && dupes.has(serialKey(c)) ? 'x' : '', iso(c.first), iso(c.last),
+      ]),
+    ];
+    return '\uFEFF' + rows.map(r => r.map(esc).join(';')).join('\r\n') + '\r\n';
+  }
+
+  function toJSON({ session, summary, scans }) {
+    const iso = t => (t ? new Date(t).toISOString() : null);
+    return JSON.stringify({
+      session: Object.assign({}, session, { started: iso(session.started), closed: iso(session.closed) }),
+      summary: Object.assign({}, summary, {
+        codes: summary.codes.map(c => Object.assign({}, c, { first: iso(c.first), last: iso(c.last) })),
+      }),
+      scans: scans.map(s => Object.assign({}, s, { session: undefined, timestamp: iso(s.timestamp) })),
+    }, null, 2);
+  }
+
+  return { ready, start, record, close, current, list, load, remove, summarize, toCSV, toJSON };
+})();
+
+/**
+ * Wire up the session section and the running totals next to the result.
+ * `record(detections, source)` counts accepted scans and returns how many of
+ * them repeat a serial number of the open session.
+ */
+function initSessionView() {
+  const section = document.getElementById('session');
+  if (!section) return null;
+  const $ = id => document.getElementById(id);
+  const status = $('session-status');
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const fileName = report => t('session.fileName') + '-' + report.session.name.replace(/[^\w.-]+/g, '_').slice(0, 40) + '-' + stamp();
+
+  function download(report, format) {
+    if (format === 'json') downloadFile(fileName(report) + '.json', 'application/json', ScanSessions.toJSON(report));
+    else downloadFile(fileName(report) + '.csv', 'text/csv;charset=utf-8', ScanSessions.toCSV(report));
+  }
+
+  const productLabel = (product, batch) => (product || t('session.noProduct')) + (batch ? ' · ' + t('session.batch', { batch }) : '');
+
+  function renderStatus(report, lastDuplicate = false) {
+    status.classList.toggle('hidden', !report);
+    if (!report) return;
+    const { total, codes, lots, duplicates } = report.summary;
+    status.classList.toggle('fail', duplicates.length > 0);
+    status.textContent = t('session.status', {
+      name: report.session.name,
+      scans: t('session.scans', { count: total }),
+      codes: t('session.codes', { count: codes.length }),
+      lots: t('session.lotCount', { count: lots.length }),
+    }) +
+      (duplicates.length ? ' · ' + t('session.duplicateCount', { count: duplicates.length }) : '') +
+      (lastDuplicate ? t('session.duplicateWarning') : '');
+  }
+
+  function renderCurrent(report) {
+    const running = !!report;
+    $('session-name').disabled = running;
+    $('session-start').disabled = running;
+    $('session-close').disabled = !running;
+    $('session-export').disabled = !running;
+    if (running) $('session-name').value = report.session.name;
+    $('session-lots').replaceChildren(...(running ? report.summary.lots : []).map(l => {
+      const li = document.createElement('li');
+      li.textContent = l.count + ' × ' + productLabel(l.product, l.batch);
+      return li;
+    }));
+    $('session-duplicates').replaceChildren(...(running ? report.summary.duplicates : []).map(d => {
+      const li = document.createElement('li');
+      li.textContent = d.count + ' × SN ' + d.serial + (d.product ? ' (' + d.product + ')' : '');
+      return li;
+    }));
+    $('session-info').textContent = running
+      ? t('session.running', { time: I18n.formatDateTime(report.session.started) })
+      : t('session.none');
+  }
+
+  async function renderPast() {
+    if (section.classList.contains('hidden')) return;
+    let sessions = [];
+    try {
+      sessions = await ScanSessions.list();
+    } catch (e) {
+      console.warn('session: cannot read IndexedDB', e);
+    }
+    $('session-list').replaceChildren(...sessions.map(s => {
+      const li = document.createElement('li');
+      li.className = 'history-entry';
+      const info = document.createElement('div');
+      info.className = 'history-info';
+      const name = document.createElement('div');
+      name.className = 'history-text';
+      name.textContent = s.name;
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = I18n.formatDateTime(s.started) + ' – ' + I18n.formatDateTime(s.closed);
+      info.append(name, meta);
+      const button = (label, onClick, className = '') => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        if (className) b.className = className;
+        b.addEventListener('click', onClick);
+        return b;
+      };
+      li.append(
+        info,
+        button('CSV', async () => download(await ScanSessions.load(s.id), 'csv')),
+        button('JSON', async () => download(await ScanSessions.load(s.id), 'json')),
+        button(t('common.delete'), async () => {
+          if (!confirm(t('session.confirmDelete', { name: s.name }))) return;
+          await ScanSessions.remove(s.id);
+          renderPast();
+        }, 'history-delete'),
+      );
+      return li;
+    }));
+  }
+
+  function render(lastDuplicate = false) {
+    const report = ScanSessions.current();
+    renderStatus(report, lastDuplicate);
+    renderCurrent(report);
+  }
+
+  $('session-toggle')?.addEventListener('click', () => {
+    section.classList.toggle('hidden');
+    renderPast();
+  });
+  $('session-form').addEventListener('submit', async e => {
+    e.preventDefault();
+    let error = null;
+    try {
+      await ScanSessions.start($('session-name').value);
+    } catch (err) {
+      console.warn('session: cannot start', err);
+      error = err;
+    }
+    render();
+    // after render(), which rewrites the info line
+    if (error) {
+      $('session-info').textContent = error.code === 'session-open'
+        ? t('session.alreadyOpen', { name: error.session })
+        : t('session.startFailed');
+    }
+  });
+  $('session-close').addEventListener('click', async () => {
+    const name = ScanSessions.current()?.session.name;
+    if (!name || !confirm(t('session.confirmClose', { name }))) return;
+    const report = await ScanSessions.close();
+    if (report) download(report, $('session-format').value);
+    $('session-name').value = '';
+    render();
+    renderPast();
+  });
+  $('session-export').addEventListener('click', () => {
+    const report = ScanSessions.current();
+    if (report) download(report, $('session-format').value);
+  });
+
+  I18n.addEventListener('change', () => {
+    render();
+    renderPast();
+  });
+  ScanSessions.ready()
+    .then(() => render())
+    .catch(e => console.warn('session: cannot read IndexedDB', e));
+
+  return {
+    record(detections, source) {
+      const scans = detections.map(d => ScanSessions.record(d.text, source)).filter(Boolean);
+      if (!scans.length) return 0;
+      const duplicates = scans.filter(s => s.duplicate).length;
+      render(duplicates > 0);
+      return duplicates;
+    },
+  };
+}
@@ -1,21 +1,140 @@
-self.addEventListener("install", e => {
-  e.waitUntil(
-    caches.open("scanner-cache").then(cache => {
-      return cache.addAll([
-        "/",
-        "/index.html",
-        "/app.js",
-        "/manifest.json",
-        "/logo.png"
-      ]);
-    })
+importScripts("idb.js", "outbox.js");
+
+// Bump on every release: a changed sw.js installs a new cache next to the old
+// one and the page offers "new version — reload" (see app.js).
+const VERSION = "2026-10-19.10";
+const CACHE_PREFIX = "scanner-";
+const CACHE = CACHE_PREFIX + VERSION;
+
+const APP_ASSETS = [
+  "/",
+  "/index.html",
+  "/style.css",
+  "/i18n.js",
+  "/i18n-de.js",
+  "/i18n-en.js",
+  "/app.js",
+  "/decoders.js",
+  "/camera.js",
+  "/roi.js",
+  "/voting.js",
+  "/frame-worker.js",
+  "/gs1.js",
+  "/iso15434.js",
+  "/idb.js",
+  "/history.js",
+  "/session.js",
+  "/outbox.js",
+  "/batch.js",
+  "/generate.js",
+  "/validation.js",
+  "/manifest.json",
+  "/logo.png",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png"
+];
+
+// decoder libraries from CDNs (keep in sync with index.html / frame-worker.js)
+const LIBRARY_ASSETS = [
+  "https://docs.opencv.org/4.9.0/opencv.js",
+  "https://cdn.jsdelivr.net/npm/@undecaf/zbar-wasm@0.11.0/dist/index.js",
+  "https://cdn.jsdelivr.net/npm/@undecaf/zbar-wasm@0.11.0/dist/zbar.wasm"
+];
+
+/**
+ * Cache a CDN file; hosts without CORS headers yield an opaque response,
+ * which still works for <script> and importScripts.
+ */
+async function precacheLibrary(cache, url) {
+  try {
+    let response = await fetch(url, { mode: "cors" }).catch(() => null);
+    if (!response || !response.ok) response = await fetch(url, { mode: "no-cors" });
+    await cache.put(url, response);
+  } catch (e) {
+    console.warn("sw: cannot precache " + url, e);
+  }
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(CACHE).then(cache => Promise.all([
+      // app files must all be there, otherwise the install fails and the old
+      // version stays active
+      cache.addAll(APP_ASSETS.map(url => new Request(url, { cache: "reload" }))),
+      // the libraries are large and third-party: best effort
+      ...LIBRARY_ASSETS.map(url => precacheLibrary(cache, url))
+    ]))
   );
 });
 
-self.addEventListener("fetch", event => {
-  event.respondWith(
-    caches.match(event.request).then(response => {
-      return response || fetch(event.request);
-    })
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== CACHE && (key.startsWith(CACHE_PREFIX) || key === "scanner-cache"))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
   );
 });
+
+// the page asks the waiting worker to take over once the user agrees to reload
+self.addEventListener("message", event => {
+  if (event.data && event.data.type === "skip-waiting") self.skipWaiting();
+});
+
+const cacheable = response => response && (response.ok || response.type === "opaque");
+
+const APP_PATHS = new Set(APP_ASSETS);
+const LIBRARY_URLS = new Set(LIBRARY_ASSETS);
+
+/**
+ * The app's own files and the decoder libraries; anything else — /api/*,
+ * validation lists, MES endpoints, other files — goes to the network
+ * uncached, so it is never answered stale and the cache stays bounded.
+ */
+function isAsset(url) {
+  if (url.origin === self.location.origin) return APP_PATHS.has(url.pathname);
+  return LIBRARY_URLS.has(url.href);
+}
+
+/**
+ * App files and libraries: answer from the cache immediately and refresh it
+ * in the background; navigations fall back to the cached index.html.
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  const refresh = fetch(request)
+    .then(response => {
+      if (cacheable(response)) return cache.put(request, response.clone()).then(() => response);
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  try {
+    return await refresh;
+  } catch (e) {
+    const fallback = request.mode === "navigate" ? await cache.match("/index.html") : null;
+    if (fallback) return fallback;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (isAsset(url)) event.respondWith(staleWhileRevalidate(event));
+});
+
+// deliver queued scans once connectivity is back (Background Sync);
+// a rejected promise makes the browser retry the sync later
+self.addEventListener("sync", event => {
+  if (event.tag !== Outbox.SYNC_TAG) return;
+  event.waitUntil(Outbox.flush().then(({ pending }) => {
+    if (pending) throw new Error(pending + " scans still pending");
+  }));
+});
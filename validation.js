@@ -0,0 +1,312 @@
+/**
+ * Expected-code validation for picking and assembly checks: every decode is
+ * compared against a work-order list (typed, pasted, CSV file or fetched from
+ * a local endpoint). Exposes `Validation` (matching / state) and
+ * `initValidationView()` (UI).
+ *
+ * Item: { pattern, mode, label, error, confirmed, matchedText }
+ *   mode        — 'exact' | 'prefix' | 'regex' | 'gs1' (GS1 elements of the
+ *                 pattern must all be present with equal values)
+ *   confirmed   — time (ms) of the first matching decode, or null
+ *   matchedText — decoded text that confirmed the item
+ */
+const Validation = (() => {
+  const MODES = ['exact', 'prefix', 'regex', 'gs1'];
+  // live frames report the same code many times a second; count a mismatch
+  // again only after it has been out of view this long
+  const MISMATCH_REPEAT_MS = 5000;
+
+  let items = [];
+  let log = [];              // [{ text, source, count, first, last }]
+  const verdicts = new Map(); // text → 'pass' | 'fail'
+
+  /** Split one CSV line; double quotes protect delimiters. */
+  function splitCSV(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += c;
+      }
+    }
+    cells.push(cell);
+    return cells.map(s => s.trim());
+  }
+
+  function makeItem(pattern, mode, label = '') {
+    const item = { pattern: String(pattern).trim(), mode: MODES.includes(mode) ? mode : 'exact', label, error: null, confirmed: null, matchedText: null };
+    if (item.mode === 'regex') {
+      try {
+        item.regex = new RegExp(item.pattern);
+      } catch (e) {
+        item.error = e.message;
+      }
+    } else if (item.mode === 'gs1') {
+      const parsed = typeof GS1 !== 'undefined' ? GS1.parse(item.pattern) : { elements: [], errors: ['GS1 parser missing'] };
+      item.elements = parsed.elements;
+      if (!parsed.elements.length) item.error = parsed.errors[0] || 'no GS1 elements';
+    }
+    return item;
+  }
+
+  /**
+   * Parse a typed / pasted list or CSV file. Plain lists hold one code per
+   * line; a header row naming a `code` (or `pattern`) column switches to CSV
+   * (`;`, `,` or tab) with optional `mode` and `label` columns.
+   * @param {string} text
+   * @param {string} defaultMode  mode for entries without their own
+   */
+  function parseList(text, defaultMode = 'exact') {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+    if (!lines.length) return [];
+    const delimiter = [';', '\t', ','].find(d => lines[0].includes(d));
+    const header = delimiter ? splitCSV(lines[0], delimiter).map(h => h.toLowerCase()) : [];
+    const col = names => header.findIndex(h => names.includes(h));
+    const codeCol = col(['code', 'pattern', 'expected', 'soll']);
+    if (codeCol === -1) return lines.map(l => makeItem(l, defaultMode));
+
+    const modeCol = col(['mode', 'match']);
+    const labelCol = col(['label', 'name', 'description', 'bezeichnung']);
+    return lines.slice(1).map(l => splitCSV(l, delimiter)).filter(cells => cells[codeCol])
+      .map(cells => makeItem(cells[codeCol], (cells[modeCol] || '').toLowerCase() || defaultMode, cells[labelCol] || ''));
+  }
+
+  /**
+   * Items from an endpoint's JSON: an array (or `{ items }`) of strings or
+   * `{ code | pattern, mode?, label? }` objects.
+   */
+  function fromJSON(data, defaultMode = 'exact') {
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.items) ? data.items : null);
+    if (!list) throw new Error('expected an array of codes');
+    return list.map(e => (typeof e === 'string'
+      ? makeItem(e, defaultMode)
+      : makeItem(e.code ?? e.pattern ?? '', e.mode || defaultMode, e.label || '')))
+      .filter(item => item.pattern);
+  }
+
+  function matches(item, text) {
+    if (item.error) return false;
+    switch (item.mode) {
+      case 'prefix': return text.startsWith(item.pattern);
+      case 'regex': return item.regex.test(text);
+      case 'gs1': {
+        if (typeof GS1 === 'undefined' || !GS1.isGS1(text)) return false;
+        const decoded = GS1.parse(text).elements;
+        return item.elements.every(el => decoded.some(d => d.ai === el.ai && d.value === el.value));
+      }
+      default: return text === item.pattern;
+    }
+  }
+
+  /** Replace the expected list; confirmations and mismatch log start over. */
+  function load(newItems) {
+    items = newItems;
+    reset();
+  }
+
+  function reset() {
+    items.forEach(item => { item.confirmed = null; item.matchedText = null; });
+    log = [];
+    verdicts.clear();
+  }
+
+  /**
+   * Compare one decode. A text confirms the first open item it matches; the
+   * same text never confirms a second item.
+   * @returns {{ ok: boolean, item: object|null, repeat: boolean }}
+   */
+  function check(text, source) {
+    text = String(text);
+    let result;
+    const own = items.find(i => i.matchedText === text);
+    if (own) {
+      result = { ok: true, item: own, repeat: true };
+    } else {
+      const candidates = items.filter(i => matches(i, text));
+      const open = candidates.find(i => !i.confirmed);
+      if (open) {
+        open.confirmed = Date.now();
+        open.matchedText = text;
+        result = { ok: true, item: open, repeat: false };
+      } else {
+        result = { ok: candidates.length > 0, item: candidates[0] || null, repeat: candidates.length > 0 };
+      }
+    }
+
+    verdicts.set(text, result.ok ? 'pass' : 'fail');
+    if (!result.ok) {
+      const now = Date.now();
+      const entry = log.find(e => e.text === text);
+      if (!entry) {
+        log.push({ text, source, count: 1, first: now, last: now });
+      } else {
+        result.repeat = now - entry.last < MISMATCH_REPEAT_MS;
+        if (!result.repeat) entry.count++;
+        entry.last = now;
+      }
+    }
+    return result;
+  }
+
+  function progress() {
+    return { confirmed: items.filter(i => i.confirmed).length, total: items.length };
+  }
+
+  // Semicolon-separated with BOM, like the history export
+  function logToCSV() {
+    const esc = v => {
+      const s = v === undefined || v === null ? '' : String(v);
+      return /[";\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    };
+    const visible = t => (typeof ISO15434 !== 'undefined' ? ISO15434.visualize(t) : t);
+    const lines = [['first_seen', 'last_seen', 'count', 'source', 'text'].join(';')];
+    log.forEach(e => {
+      lines.push([new Date(e.first).toISOString(), new Date(e.last).toISOString(), e.count, e.source, visible(e.text)].map(esc).join(';'));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  function logToJSON() {
+    const { confirmed, total } = progress();
+    return JSON.stringify({
+      confirmed,
+      total,
+      mismatches: log.map(e => Object.assign({}, e, {
+        first: new Date(e.first).toISOString(),
+        last: new Date(e.last).toISOString(),
+      })),
+    }, null, 2);
+  }
+
+  return {
+    MODES, parseList, fromJSON, matches, load, reset, check, progress, logToCSV, logToJSON,
+    active: () => items.length > 0,
+    items: () => items,
+    log: () => log,
+    /** Last verdict for a decoded text (overlay colour), or null. */
+    verdict: text => verdicts.get(String(text)) || null,
+  };
+})();
+
+/** Wire up the validation section in index.html. */
+function initValidationView() {
+  const section = document.getElementById('validation');
+  if (!section) return null;
+  const $ = id => document.getElementById(id);
+  const listInput = $('val-list');
+  const modeSelect = $('val-mode');
+  const status = $('validation-status');
+  const visible = t => (typeof ISO15434 !== 'undefined' ? ISO15434.visualize(t) : t);
+
+  function renderItems() {
+    $('val-items').replaceChildren(...Validation.items().map(item => {
+      const li = document.createElement('li');
+      li.className = 'val-item' + (item.confirmed ? ' ok' : '') + (item.error ? ' invalid' : '');
+      li.textContent = (item.confirmed ? '✓ ' : '○ ') + (item.label ? item.label + ': ' : '') + item.pattern +
+        (item.mode !== 'exact' ? ' [' + item.mode + ']' : '') + (item.error ? ' – ' + item.error : '');
+      if (item.matchedText && item.matchedText !== item.pattern) li.title = visible(item.matchedText);
+      return li;
+    }));
+    $('val-log').replaceChildren(...Validation.log().map(e => {
+      const li = document.createElement('li');
+      li.textContent = I18n.formatTime(e.last) + ' · ' + visible(e.text) + (e.count > 1 ? ' (' + e.count + '×)' : '');
+      return li;
+    }));
+    const { confirmed, total } = Validation.progress();
+    $('val-progress').textContent = total ? t('val.progress', { confirmed, total }) : '';
+  }
+
+  function showStatus(text, ok) {
+    status.classList.toggle('hidden', !Validation.active());
+    status.classList.toggle('pass', ok === true);
+    status.classList.toggle('fail', ok === false);
+    status.textContent = text;
+  }
+
+  function apply(items) {
+    Validation.load(items);
+    renderItems();
+    const { total } = Validation.progress();
+    showStatus(total ? t('val.progress', { confirmed: 0, total }) : '', null);
+  }
+
+  const applyText = () => apply(Validation.parseList(listInput.value, modeSelect.value));
+
+  async function fetchList() {
+    const url = $('val-url').value.trim();
+    if (!url) return;
+    $('val-progress').textContent = t('val.loading');
+    try {
+      const resp = await fetch(url, { headers: { Accept: 'application/json, text/csv, text/plain' } });
+      if (!resp.ok) throw new Error('HTTP ' + resp.status);
+      const text = await resp.text();
+      let items;
+      try {
+        items = Validation.fromJSON(JSON.parse(text), modeSelect.value);
+      } catch (e) {
+        if (!(e instanceof SyntaxError)) throw e;
+        items = Validation.parseList(text, modeSelect.value);
+      }
+      listInput.value = ['code;mode;label'].concat(items.map(i => [i.pattern, i.mode, i.label].join(';'))).join('\n');
+      apply(items);
+    } catch (e) {
+      console.warn('validation: cannot load list', e);
+      $('val-progress').textContent = t('val.loadFailed', { error: e.message });
+    }
+  }
+
+  /**
+   * Compare the decoded detections of one scan and update progress, log
+   * and status banner.
+   */
+  function check(detections, source) {
+    if (!Validation.active()) return;
+    const decoded = detections.filter(d => d.text);
+    if (!decoded.length) return;
+    const results = decoded.map(d => Object.assign({ text: d.text }, Validation.check(d.text, source)));
+    const { confirmed, total } = Validation.progress();
+    const failed = results.find(r => !r.ok);
+    const progressText = t('val.progress', { confirmed, total });
+    if (failed) showStatus(t('val.unexpected', { text: visible(failed.text) }) + ' · ' + progressText, false);
+    else showStatus('✓ ' + (results[0].item.label || visible(results[0].text)) + ' · ' + progressText, true);
+    if (results.some(r => !r.repeat)) renderItems();
+  }
+
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  $('validation-toggle')?.addEventListener('click', () => section.classList.toggle('hidden'));
+  $('val-apply').addEventListener('click', applyText);
+  $('val-fetch').addEventListener('click', fetchList);
+  $('val-file').addEventListener('change', async e => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    listInput.value = await file.text();
+    e.target.value = '';
+    applyText();
+  });
+  $('val-reset').addEventListener('click', () => apply(Validation.items()));
+  $('val-clear').addEventListener('click', () => {
+    listInput.value = '';
+    apply([]);
+  });
+  $('val-export-csv').addEventListener('click', () => {
+    downloadFile(t('val.fileName') + '-' + stamp() + '.csv', 'text/csv;charset=utf-8', Validation.logToCSV());
+  });
+  $('val-export-json').addEventListener('click', () => {
+    downloadFile(t('val.fileName') + '-' + stamp() + '.json', 'application/json', Validation.logToJSON());
+  });
+
+  I18n.addEventListener('change', renderItems);
+  renderItems();
+  return { check, verdict: Validation.verdict };
+}
@@ -0,0 +1,308 @@
+/**
+ * ISO/IEC 15415 print-quality grading for ECC 200 DataMatrix — server only.
+ *
+ * Starting from the corners a decoder reported, the module grid is sampled
+ * with a synthetic aperture (0.5 X) and the 2-D matrix parameters are graded:
+ *   SC   symbol contrast            Rmax − Rmin
+ *   MOD  modulation                 2·|R − GT| / SC per module, codeword overlay with UEC
+ *   RM   reflectance margin         like MOD, 0 when a module is on the wrong side of GT
+ *   FPD  fixed pattern damage       L-finder, adjacent quiet zone, clock tracks / alignment
+ *   AN   axial non-uniformity       |X − Y| / ((X + Y) / 2)
+ *   GNU  grid non-uniformity        largest module-centre deviation on the clock tracks, in X
+ *   UEC  unused error correction    1 − 2t / E, worst block
+ * The overall grade is the lowest parameter grade (single scan, no averaging).
+ *
+ * Simplifications against the standard: reflectance is taken from the image
+ * grey value (no calibrated reflectance), one image instead of five scans,
+ * FPD segments are graded by their count of damaged modules.
+ */
+const DataMatrix = require('./datamatrix');
+
+const LETTERS = ['F', 'D', 'C', 'B', 'A']; // index = numeric grade
+
+// thresholds for A, B, C, D (higher value is better unless `lowerIsBetter`)
+const THRESHOLDS = {
+  SC: [70, 55, 40, 20],
+  MOD: [0.5, 0.4, 0.3, 0.2],
+  UEC: [0.62, 0.5, 0.37, 0.25],
+  AN: [0.06, 0.08, 0.1, 0.12],
+  GNU: [0.38, 0.5, 0.63, 0.75],
+};
+
+function grade(value, [a, b, c, d], lowerIsBetter = false) {
+  if (lowerIsBetter) return value <= a ? 4 : value <= b ? 3 : value <= c ? 2 : value <= d ? 1 : 0;
+  return value >= a ? 4 : value >= b ? 3 : value >= c ? 2 : value >= d ? 1 : 0;
+}
+
+/** FPD segment grade from its number of damaged modules: 0 → A … ≥ 4 → F. */
+const damageGrade = count => Math.max(0, 4 - count);
+
+const round = (v, digits = 3) => Number(v.toFixed(digits));
+const dist = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+
+// ── Geometry & sampling ─────────────────────────────────────────────────────
+/**
+ * Projective map of the unit square onto a quad [TL, TR, BR, BL]
+ * (Heckbert, "Fundamentals of Texture Mapping", 1989).
+ */
+function squareToQuad([p0, p1, p2, p3]) {
+  const sx = p0.x - p1.x + p2.x - p3.x;
+  const sy = p0.y - p1.y + p2.y - p3.y;
+  const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+  const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+  const den = dx1 * dy2 - dx2 * dy1;
+  const g = den ? (sx * dy2 - dx2 * sy) / den : 0;
+  const h = den ? (dx1 * sy - sx * dy1) / den : 0;
+  const a = p1.x - p0.x + g * p1.x, b = p3.x - p0.x + h * p3.x, c = p0.x;
+  const d = p1.y - p0.y + g * p1.y, e = p3.y - p0.y + h * p3.y, f = p0.y;
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return { x: (a * u + b * v + c) / w, y: (d * u + e * v + f) / w };
+  };
+}
+
+/** Grey image with bilinear lookup; reflectance in percent, 0 outside the image. */
+function makeImage({ data, width, height }) {
+  return (x, y) => {
+    x -= 0.5; // pixel centres
+    y -= 0.5;
+    if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return 0;
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+    const fx = x - x0, fy = y - y0;
+    const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+    const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+    return (top * (1 - fy) + bottom * fy) * 100 / 255;
+  };
+}
+
+// aperture: 5 × 5 points inside a disc of 0.5 X diameter, in module units
+const APERTURE = [];
+for (let i = -2; i <= 2; i++) {
+  for (let j = -2; j <= 2; j++) if (i * i + j * j <= 4) APERTURE.push([i * 0.125, j * 0.125]);
+}
+
+/** Reflectance of module (row, col); rows/cols outside 0…n-1 sample the quiet zone. */
+function sampleModule(reflect, map, symbol, row, col) {
+  let sum = 0;
+  for (const [du, dv] of APERTURE) {
+    const p = map((col + 0.5 + du) / symbol.cols, (row + 0.5 + dv) / symbol.rows);
+    sum += reflect(p.x, p.y);
+  }
+  return sum / APERTURE.length;
+}
+
+/**
+ * Find orientation and symbol size: every rotation of the corner quad is
+ * tried against every size of plausible aspect ratio; the combination whose
+ * finder and clock pattern matches best wins.
+ */
+function locate(reflect, corners) {
+  // global threshold estimate from a coarse sampling of the quad
+  const coarse = squareToQuad(corners);
+  let lo = 100, hi = 0;
+  for (let i = 0; i < 32; i++) {
+    for (let j = 0; j < 32; j++) {
+      const p = coarse((i + 0.5) / 32, (j + 0.5) / 32);
+      const r = reflect(p.x, p.y);
+      lo = Math.min(lo, r);
+      hi = Math.max(hi, r);
+    }
+  }
+  const threshold = (lo + hi) / 2;
+
+  let best = null;
+  for (let k = 0; k < 4; k++) {
+    const quad = [0, 1, 2, 3].map(i => corners[(i + k) % 4]);
+    const width = (dist(quad[0], quad[1]) + dist(quad[3], quad[2])) / 2;
+    const height = (dist(quad[0], quad[3]) + dist(quad[1], quad[2])) / 2;
+    const map = squareToQuad(quad);
+    for (const symbol of DataMatrix.SYMBOLS) {
+      const ratio = (width / symbol.cols) / (height / symbol.rows);
+      if (ratio < 0.6 || ratio > 1.6 || width / symbol.cols < 1) continue;
+      const fixed = DataMatrix.fixedPattern(symbol);
+      let total = 0, match = 0;
+      fixed.forEach((v, i) => {
+        if (v === 255) return;
+        const row = Math.floor(i / symbol.cols), col = i % symbol.cols;
+        const p = map((col + 0.5) / symbol.cols, (row + 0.5) / symbol.rows);
+        total++;
+        if ((reflect(p.x, p.y) < threshold ? 1 : 0) === v) match++;
+      });
+      const score = match / total;
+      if (!best || score > best.score) best = { score, symbol, quad, map, width, height };
+    }
+  }
+  return best;
+}
+
+// ── Parameters ──────────────────────────────────────────────────────────────
+/**
+ * Codeword grade overlay (ISO/IEC 15415 MOD / RM): for each grade level the
+ * codewords graded below it count as erasures; the level is limited by the
+ * notional UEC that leaves. Returns the best level reached by every block.
+ */
+function overlayGrade(codewordGrades, blocks) {
+  let result = 0;
+  for (let level = 4; level >= 1; level--) {
+    const levelGrade = Math.min(...blocks.map(block => {
+      const errorSet = new Set(block.errors);
+      let erasures = 0, errors = 0;
+      block.indices.forEach(i => {
+        if (codewordGrades[i] < level) erasures++;
+        else if (errorSet.has(i)) errors++;
+      });
+      const notional = Math.max(0, 1 - (erasures + 2 * errors) / block.ecc);
+      return Math.min(level, grade(notional, THRESHOLDS.UEC));
+    }));
+    result = Math.max(result, levelGrade);
+  }
+  return result;
+}
+
+/**
+ * Centre positions of the alternating modules along a clock track compared
+ * with the ideal grid; `point(t, o)` maps track position t ∈ [0, 1] and a
+ * perpendicular offset o (modules) to grid coordinates. Returns the largest
+ * deviation in modules (Infinity when modules are missing or extra).
+ */
+function clockTrackDeviation(reflect, map, count, threshold, point) {
+  // walk from the centre of the first to the centre of the last module
+  const steps = (count - 1) * 8;
+  const edges = []; // in modules
+  let prev = null;
+  for (let s = 0; s <= steps; s++) {
+    const t = (0.5 + s / 8) / count;
+    let sum = 0;
+    for (const o of [-0.2, -0.1, 0, 0.1, 0.2]) {
+      const p = map(...point(t, o));
+      sum += reflect(p.x, p.y);
+    }
+    const dark = sum / 5 < threshold;
+    if (prev !== null && dark !== prev) edges.push(0.5 + (s - 0.5) / 8);
+    prev = dark;
+  }
+  if (edges.length !== count - 1) return Infinity;
+  let worst = 0;
+  for (let i = 0; i + 1 < edges.length; i++) {
+    // the run between edge i and i + 1 is module i + 1
+    const centre = (edges[i] + edges[i + 1]) / 2;
+    worst = Math.max(worst, Math.abs(centre - (i + 1.5)));
+  }
+  return worst;
+}
+
+/**
+ * Grade one symbol.
+ * @param {{ data: Uint8Array, width: number, height: number }} gray  8-bit greyscale image
+ * @param {Array<{ x: number, y: number }>} corners  symbol corners in image coordinates
+ * @returns {object} report: { grade, gradeValue, symbolSize, moduleSize, decoded, parameters: { SC, MOD, RM, FPD, AN, GNU, UEC } }
+ *   each parameter: { value?, grade, gradeValue }
+ */
+function gradeSymbol(gray, corners) {
+  if (!corners || corners.length !== 4) throw new Error('four corner points required');
+  const reflect = makeImage(gray);
+  const located = locate(reflect, corners);
+  if (!located) throw new Error('symbol too small or distorted to grade');
+  const { symbol, map, width, height } = located;
+  const { rows, cols } = symbol;
+
+  // ── reflectance of every module plus the 1-module quiet zone ring ──
+  const R = new Float64Array(rows * cols);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) R[r * cols + c] = sampleModule(reflect, map, symbol, r, c);
+  }
+  const quietLeft = [], quietBottom = [], ring = [];
+  for (let r = -1; r <= rows; r++) {
+    const left = sampleModule(reflect, map, symbol, r, -1);
+    ring.push(left, sampleModule(reflect, map, symbol, r, cols));
+    if (r >= 0 && r < rows) quietLeft.push(left);
+  }
+  for (let c = 0; c < cols; c++) {
+    const bottom = sampleModule(reflect, map, symbol, rows, c);
+    ring.push(bottom, sampleModule(reflect, map, symbol, -1, c));
+    quietBottom.push(bottom);
+  }
+  const all = Array.from(R).concat(ring);
+  const Rmax = Math.max(...all);
+  const Rmin = Math.min(...all);
+  const SC = Rmax - Rmin;
+  const GT = (Rmax + Rmin) / 2;
+
+  // ── decode the sampled grid ──
+  const measured = new Uint8Array(rows * cols);
+  R.forEach((v, i) => { measured[i] = v < GT ? 1 : 0; });
+  const correction = DataMatrix.correctCodewords(symbol, DataMatrix.readCodewords(symbol, measured));
+  const UEC = correction.ok
+    ? Math.min(...correction.blocks.map(b => 1 - (2 * b.errors.length) / b.ecc))
+    : 0;
+  const nominal = DataMatrix.buildMatrix(symbol, correction.codewords).modules;
+
+  // ── MOD / RM per module → per codeword → overlay ──
+  const layout = DataMatrix.codewordLayout(symbol);
+  const modGrades = [], rmGrades = [];
+  layout.forEach(cells => {
+    let mod = 4, rm = 4;
+    cells.forEach(({ row, col }) => {
+      const i = row * cols + col;
+      const m = SC > 0 ? 2 * Math.abs(R[i] - GT) / SC : 0;
+      mod = Math.min(mod, grade(m, THRESHOLDS.MOD));
+      const margin = SC > 0 ? 2 * (nominal[i] === 1 ? GT - R[i] : R[i] - GT) / SC : 0;
+      rm = Math.min(rm, margin < 0 ? 0 : grade(margin, THRESHOLDS.MOD));
+    });
+    modGrades.push(mod);
+    rmGrades.push(rm);
+  });
+  const MODgrade = overlayGrade(modGrades, correction.blocks);
+  const RMgrade = correction.ok ? overlayGrade(rmGrades, correction.blocks) : 0;
+
+  // ── FPD: solid L, adjacent quiet zone, clock tracks and alignment patterns ──
+  const fixed = DataMatrix.fixedPattern(symbol);
+  const damage = { L1: 0, L2: 0, QZL1: 0, QZL2: 0, clockTrack: 0 };
+  fixed.forEach((v, i) => {
+    if (v === 255 || measured[i] === v) return;
+    const row = Math.floor(i / cols), col = i % cols;
+    if (col === 0) damage.L1++;
+    else if (row === rows - 1) damage.L2++;
+    else damage.clockTrack++;
+  });
+  damage.QZL1 = quietLeft.filter(v => v < GT).length;
+  damage.QZL2 = quietBottom.filter(v => v < GT).length;
+  const FPDgrade = Math.min(...Object.values(damage).map(damageGrade));
+
+  // ── AN / GNU ──
+  const X = width / cols;
+  const Y = height / rows;
+  const AN = Math.abs(X - Y) / ((X + Y) / 2);
+  const GNU = Math.max(
+    clockTrackDeviation(reflect, map, cols, GT, (t, o) => [t, (0.5 + o) / rows]),         // top clock track
+    clockTrackDeviation(reflect, map, rows, GT, (t, o) => [1 - (0.5 + o) / cols, t]),     // right clock track
+  );
+
+  const param = (gradeValue, value) => Object.assign(
+    value === undefined ? {} : { value: Number.isFinite(value) ? round(value) : null },
+    { grade: LETTERS[gradeValue], gradeValue });
+  const parameters = {
+    SC: param(grade(SC, THRESHOLDS.SC), SC),
+    MOD: param(MODgrade),
+    RM: param(RMgrade),
+    FPD: Object.assign(param(FPDgrade), { damaged: damage }),
+    AN: param(grade(AN, THRESHOLDS.AN, true), AN),
+    GNU: param(grade(GNU, THRESHOLDS.GNU, true), GNU),
+    UEC: param(grade(UEC, THRESHOLDS.UEC), UEC),
+  };
+  const decodeGrade = correction.ok ? 4 : 0;
+  const overall = Math.min(decodeGrade, ...Object.values(parameters).map(p => p.gradeValue));
+  return {
+    grade: LETTERS[overall],
+    gradeValue: overall,
+    decode: LETTERS[decodeGrade],
+    symbolSize: symbol.name,
+    moduleSize: round((X + Y) / 2, 2),
+    Rmax: round(Rmax, 1),
+    Rmin: round(Rmin, 1),
+    parameters,
+  };
+}
+
+module.exports = { gradeSymbol };
@@ -0,0 +1,112 @@
+/**
+ * Confirmation of live scans: a code is accepted once it was decoded in
+ * `required` of the last `window` frames, which filters misreads from
+ * blurred or partly visible frames, and it is accepted once per
+ * presentation — again only after it has been out of view for `cooldownMs`.
+ * Accepted codes are announced with an 'accepted' event; history, validation
+ * and feedback subscribe to it instead of reacting to every frame.
+ * Exposes `ScanVoting`; settings are persisted in localStorage.
+ *
+ * Event 'accepted' (CustomEvent) detail:
+ *   { detections, source, imgData, offsetX, offsetY } — newly accepted
+ *   detections and whatever the caller passed along (see push / accept)
+ */
+const ScanVoting = (() => {
+  const STORAGE_KEY = 'scan-voting';
+  const DEFAULTS = { required: 3, window: 5, cooldownMs: 2000 };
+  const events = new EventTarget();
+  let config = load();
+  let frames = [];            // Set of texts per frame, oldest first, at most config.window
+  const present = new Map();  // accepted text → last time (ms) it was seen
+
+  function load() {
+    try {
+      return sanitize(Object.assign({}, DEFAULTS, JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')));
+    } catch (e) {
+      return Object.assign({}, DEFAULTS); // corrupt or unavailable storage
+    }
+  }
+
+  /** 1 ≤ required ≤ window ≤ 30; cooldown ≥ 0. */
+  function sanitize(c) {
+    const size = Math.min(30, Math.max(1, Math.round(Number(c.window)) || DEFAULTS.window));
+    return {
+      window: size,
+      required: Math.min(size, Math.max(1, Math.round(Number(c.required)) || DEFAULTS.required)),
+      cooldownMs: Math.max(0, Number(c.cooldownMs) || 0),
+    };
+  }
+
+  function emit(detections, meta) {
+    events.dispatchEvent(new CustomEvent('accepted', { detail: Object.assign({}, meta, { detections }) }));
+  }
+
+  /**
+   * Count the votes of one live frame. Every detection with text gets
+   * `pending` (not yet accepted) and `votes` (frames of the window it was
+   * seen in); newly accepted ones fire 'accepted'.
+   * @param {Array<{ text }>} detections
+   * @param {object} [meta]  passed on in the event detail (source, imgData, …)
+   * @returns {Array<object>} the newly accepted detections
+   */
+  function push(detections, meta = {}) {
+    const now = Date.now();
+    const decoded = detections.filter(d => d.text);
+    frames.push(new Set(decoded.map(d => d.text)));
+    if (frames.length > config.window) frames = frames.slice(-config.window);
+    // out of view longer than the cooldown: the next presentation counts anew
+    present.forEach((seen, text) => { if (now - seen > config.cooldownMs) present.delete(text); });
+
+    const accepted = [];
+    decoded.forEach(d => {
+      d.votes = frames.reduce((n, f) => n + (f.has(d.text) ? 1 : 0), 0);
+      if (present.has(d.text)) {
+        present.set(d.text, now);
+        d.pending = false;
+        return;
+      }
+      d.pending = d.votes < config.required;
+      if (d.pending) return;
+      present.set(d.text, now);
+      accepted.push(d);
+    });
+    if (accepted.length) emit(accepted, meta);
+    return accepted;
+  }
+
+  /** Accept still-image results directly (one image, nothing to vote on). */
+  function accept(detections, meta = {}) {
+    const decoded = detections.filter(d => d.text);
+    if (decoded.length) emit(decoded, meta);
+    return decoded;
+  }
+
+  /** Forget frames and presented codes (camera stopped, source changed). */
+  function reset() {
+    frames = [];
+    present.clear();
+  }
+
+  /**
+   * Change (and persist) the settings.
+   * @param {{ required?: number, window?: number, cooldownMs?: number }} changes
+   */
+  function configure(changes = {}) {
+    config = sanitize(Object.assign({}, config, changes));
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    } catch (e) { /* private mode */ }
+    reset();
+    return Object.assign({}, config);
+  }
+
+  return {
+    push,
+    accept,
+    reset,
+    configure,
+    config: () => Object.assign({}, config),
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+  };
+})();
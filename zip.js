@@ -0,0 +1,87 @@
+/**
+ * Minimal ZIP archive reader for the batch scan endpoint (server only).
+ * Supports "stored" and "deflate" entries — what every OS zip tool and
+ * phone gallery export writes. No ZIP64, no encryption, no spanning.
+ * Errors are apiError()s (messages.js): 400 for corrupt, encrypted or
+ * unsupported archives, 413 when the limits are exceeded.
+ */
+const zlib = require('zlib');
+const { apiError } = require('./messages');
+
+const EOCD_SIG = 0x06054b50;    // end of central directory
+const CENTRAL_SIG = 0x02014b50; // central directory file header
+const LOCAL_SIG = 0x04034b50;   // local file header
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIG;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // EOCD is 22 bytes plus an optional comment of up to 64 KiB
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= min; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw apiError(400, 'zip_corrupt');
+}
+
+/**
+ * Extract file entries.
+ * @param {Buffer} buffer  the archive
+ * @param {{ filter?: (name: string) => boolean, maxEntries?: number, maxTotalSize?: number }} [options]
+ *   filter       — skip entries whose name does not match (directories are always skipped)
+ *   maxEntries   — throw when more matching entries are present
+ *   maxTotalSize — throw when the uncompressed total would exceed this many bytes
+ * @returns {Array<{ name: string, data: Buffer }>}
+ */
+function extractEntries(buffer, options = {}) {
+  try {
+    return readEntries(buffer, options);
+  } catch (err) {
+    // offsets past the end (RangeError) or a broken deflate stream
+    throw err.messageId ? err : apiError(400, 'zip_corrupt');
+  }
+}
+
+function readEntries(buffer, options) {
+  const { filter = () => true, maxEntries = Infinity, maxTotalSize = Infinity } = options;
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIG) throw apiError(400, 'zip_corrupt');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // bit 11: UTF-8 names; older tools write CP437, latin1 is close enough for file names
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+    if (flags & 0x1) throw apiError(400, 'zip_encrypted', { name });
+    if (entries.length >= maxEntries) throw apiError(413, 'too_many_images', { max: maxEntries });
+    total += size;
+    if (total > maxTotalSize) throw apiError(413, 'batch_too_large', { max: maxTotalSize });
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIG) throw apiError(400, 'zip_corrupt');
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    // the declared size is untrusted — cap the inflated output as well
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw apiError(400, 'zip_unsupported_method', { method, name });
+    entries.push({ name, data });
+  }
+  return entries;
+}
+
+module.exports = { isZip, extractEntries };